@@ -0,0 +1,105 @@
+const { loadRules, isRuleError } = require("./rules");
+const Movement = require("./movement");
+const Combat = require("./public/combat");
+
+// class of functions for playing the computer players' turns on the server,
+// so the client never needs the units the player can't see
+// what to do comes from public/rules/ai.js, each decision is made on the game
+// as it is after the last one and written through the same methods as the
+// player's actions
+class ComputerTurns {
+  constructor(games, movement, combat) {
+    this.games = games;
+    this.movement = movement;
+    this.combat = combat;
+  }
+
+  // loads the game's state for the next decision
+  async loadState(game) {
+    const state = await this.games.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    return state;
+  }
+
+  // Plays the turn of the computer player whose turn it is, then ends it:
+  // upgrades, promotions, a build and purchases first, then each unit's
+  // moves and attacks
+  // throws the engine's NOT_YOUR_TURN RuleError on the human player's turn
+  // Returns what Games.endTurn returns
+  async playTurn(game) {
+    const { ai, isComputer, RuleError } = await loadRules();
+    const player = (await this.loadState(game)).currentPlayer();
+    if (!isComputer(player)) {
+      throw new RuleError("NOT_YOUR_TURN", `It's ${player}'s turn, not a computer player's`);
+    }
+
+    await this.playEach(game, (state) => ai.nextUpgrade(state, player));
+    await this.playEach(game, (state) => ai.nextPromotion(state, player));
+    const build = ai.nextBuild(await this.loadState(game), player);
+    if (build) await this.play(game, build);
+    await this.playEach(game, (state) => ai.nextBuy(state, player));
+
+    for (const { id } of (await this.loadState(game)).unitsOf(player)) {
+      // a unit can die mid turn, and a capped number of steps keeps a unit
+      // from pacing back and forth forever
+      for (let steps = 8; steps > 0; steps--) {
+        const state = await this.loadState(game);
+        const action = ai.nextUnitAction(state, state.unit(id));
+        if (!action || !(await this.play(game, action))) break;
+        // attacking or fortifying ends the unit's turn
+        if (action.type !== "move") break;
+      }
+    }
+
+    return this.games.endTurn(game, player);
+  }
+
+  // plays what next(state) decides until it has nothing left or the rules
+  // refuse it, so a refused action isn't asked for again
+  async playEach(game, next) {
+    for (let action = next(await this.loadState(game)); action; action = next(await this.loadState(game))) {
+      if (!(await this.play(game, action))) return;
+    }
+  }
+
+  // writes one of ai.js's actions (see GameState.apply)
+  // Returns false if the rules refused it
+  async play(game, action) {
+    try {
+      switch (action.type) {
+        case "upgrade":
+          await this.games.upgradeUnit(game, action.unitId);
+          break;
+        case "promote":
+          await this.games.promoteUnit(game, action.unitId, action.promotion);
+          break;
+        case "build":
+          await this.games.buildStructure(game, action.player, action.structureType, action.q, action.r);
+          break;
+        case "buy":
+          await this.games.buyUnit(game, action.player, action.unitType, action.q, action.r);
+          break;
+        case "move":
+          await this.movement.moveUnit(action.unitId, game, action.q, action.r);
+          break;
+        case "attack":
+          await this.combat.attack(action.attackerId, action.victimId, game);
+          break;
+        case "attack_structure":
+          await this.combat.attackStructure(action.attackerId, action.q, action.r, game);
+          break;
+        default:
+          await this.games.orderUnit(game, action.unitId, action.type);
+      }
+      return true;
+    } catch (error) {
+      if (!isRuleError(error) && !(error instanceof Movement.MoveError) && !(error instanceof Combat.CombatError)) {
+        throw error;
+      }
+      console.warn(`${action.type} refused (${error.code}): ${error.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = ComputerTurns;
@@ -0,0 +1,622 @@
+const fs = require("fs");
+const path = require("path");
+const { loadRules, isRuleError } = require("./rules");
+
+const levelsDir = path.join(__dirname, "public", "assets", "levels");
+const savesDir = path.join(__dirname, "public", "saves");
+
+// actions a player can give one of their units, see GameState.order
+const unitOrders = ["fortify", "sleep", "wake"];
+
+// class of functions for creating, resuming and removing games
+// every state table row belongs to exactly one game
+class Games {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  // Creates a new game and its players
+  // level: the level name, ex: "level1"
+  // levelData: the level json, only stored when the level isn't one of ours
+  // players: list of player names, ex: ["Player 1", "AI 1"]
+  // seed: optional, replays a game someone sent in, a random one otherwise
+  // Returns the new game row
+  async createGame(level, levelData, players = [], seed) {
+    const levelFile = path.join(levelsDir, `${level}.json`);
+    const isBuiltIn = /^[\w-]+$/.test(level) && fs.existsSync(levelFile);
+    const { startingGold, newSeed, MAX_SEED } = await loadRules();
+    if (!Number.isInteger(seed) || seed < 1 || seed > MAX_SEED) seed = newSeed();
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        "INSERT INTO games (level, level_data, seed) VALUES ($1, $2, $3) RETURNING *",
+        [level, isBuiltIn ? null : JSON.stringify(levelData), seed],
+      );
+      const game = result.rows[0];
+
+      for (const name of players) {
+        await client.query(
+          "INSERT INTO players (game_id, name, gold) VALUES ($1, $2, $3)",
+          [game.id, name, startingGold(name)],
+        );
+      }
+      await this.placeLevelStructures(client, game);
+      await client.query("COMMIT");
+      return game;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Lists games, newest first
+  // level: optional, only list games on this level
+  async listGames(level) {
+    let command = `SELECT id, level, created_at, updated_at FROM games`;
+    const params = [];
+    if (level) {
+      command += ` WHERE level = $1`;
+      params.push(level);
+    }
+    command += ` ORDER BY updated_at DESC`;
+    const result = await this.pool.query(command, params);
+    return result.rows;
+  }
+
+  // the game row as it's sent to clients, without the seed (see exportLog)
+  publicGame(game) {
+    const { seed, ...rest } = game;
+    return rest;
+  }
+
+  async getGame(id) {
+    const result = await this.pool.query("SELECT * FROM games WHERE id = $1", [id]);
+    return result.rows[0];
+  }
+
+  // Gets everything needed to pick a game back up
+  // Returns the game row with its players and the units the player sees
+  // (see visibleUnits), or undefined
+  async resumeGame(id) {
+    const game = await this.getGame(id);
+    if (!game) return undefined;
+
+    await this.touchGame(id);
+    const players = await this.pool.query("SELECT * FROM players WHERE game_id = $1 ORDER BY id", [id]);
+    const units = this.getLevelData(game) ? await this.visibleUnits(game) : [];
+    return { ...game, players: players.rows, units };
+  }
+
+  // gets the level json the game is played on, the stored copy for custom
+  // maps and our level file otherwise
+  getLevelData(game) {
+    if (game.level_data) return game.level_data;
+    const levelFile = path.join(levelsDir, `${game.level}.json`);
+    if (!/^[\w-]+$/.test(game.level) || !fs.existsSync(levelFile)) return null;
+    return JSON.parse(fs.readFileSync(levelFile, "utf8"));
+  }
+
+  // marks the game as recently played so it sorts to the top of the list
+  async touchGame(id) {
+    await this.pool.query("UPDATE games SET updated_at = NOW() WHERE id = $1", [id]);
+  }
+
+  async getPlayers(id) {
+    const result = await this.pool.query("SELECT id, name, gold FROM players WHERE game_id = $1 ORDER BY id", [id]);
+    return result.rows;
+  }
+
+  // Gets the units the human player sees through the fog of war: their own
+  // and the ones on tiles they see (see GameState.visibleTiles), the
+  // computer players play on the server so nobody else asks
+  // Returns units_state rows
+  async visibleUnits(game) {
+    const { HUMAN_PLAYER, key } = await loadRules();
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    const visible = state.visibleTiles(HUMAN_PLAYER);
+    const units = await this.pool.query("SELECT * FROM units_state WHERE game_id = $1 ORDER BY id", [game.id]);
+    return units.rows.filter((u) => u.owned_by === HUMAN_PLAYER || visible.has(key(u.q_pos, u.r_pos)));
+  }
+
+  // Every tile the human player has seen this game, the fog of war shows
+  // the ones they don't see now as explored, see GameState.explored
+  // Returns tile keys, ex: ["0,1", "1,1"]
+  async explored(game) {
+    const { GameState, HUMAN_PLAYER } = await loadRules();
+    const level = this.getLevelData(game);
+    if (!level) throw new Error(`Level ${game.level} not found`);
+    const players = await this.getPlayers(game.id);
+    const unitTypes = await this.pool.query("SELECT * FROM units_data");
+    const structureTypes = await this.pool.query("SELECT * FROM structures_data");
+    try {
+      const seen = GameState.explored(HUMAN_PLAYER, {
+        level,
+        players: players.map((p) => p.name),
+        unitTypes: unitTypes.rows,
+        structureTypes: structureTypes.rows,
+        seed: Number(game.seed ?? 0),
+        log: await this.getActions(game.id),
+      });
+      return Array.from(seen);
+    } catch (error) {
+      if (!isRuleError(error)) throw error;
+      // a log that doesn't replay still shows what the player sees now
+      console.warn(`Game ${game.id}'s log doesn't replay (${error.code}), explored tiles start from here`);
+      const state = await this.loadState(game);
+      return Array.from(state.visibleTiles(HUMAN_PLAYER));
+    }
+  }
+
+  // The actions the human player has taken this turn, what the client needs
+  // to take them back (see GameState.undoable), none on a computer's turn
+  // Returns the actions, oldest first
+  async turnActions(game) {
+    const { HUMAN_PLAYER } = await loadRules();
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    if (state.currentPlayer() !== HUMAN_PLAYER) return [];
+    const start = state.log.findLastIndex((action) => action.type === "end_turn" || action.type === "restore");
+    return state.log.slice(start + 1);
+  }
+
+  // Gets the game's structures
+  // Returns structures_state rows
+  async getStructures(id) {
+    const result = await this.pool.query("SELECT * FROM structures_state WHERE game_id = $1 ORDER BY id", [id]);
+    return result.rows;
+  }
+
+  // writes the structures the game's level starts with (level.structures),
+  // call it in the transaction that creates or resets the game
+  async placeLevelStructures(client, game) {
+    const level = this.getLevelData(game);
+    if (!level) return;
+    const { GameState } = await loadRules();
+    const structureTypes = await client.query("SELECT * FROM structures_data");
+    const state = GameState.fromRows({ level, structureTypes: structureTypes.rows });
+    for (const s of state.structures.values()) {
+      await client.query(
+        `INSERT INTO structures_state (game_id, structure_type, current_health, owned_by, q_pos, r_pos, held_since)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [game.id, s.type, s.health, s.owner, s.q, s.r, s.heldSince],
+      );
+    }
+  }
+
+  // Writes a tile changing hands and the structure on it with it, call it in
+  // the transaction that writes the action that captured the tile
+  // tile: { q, r, owner }
+  // round: the round it changed hands in, a structure is held from then
+  async writeTileOwner(client, id, { q, r, owner }, round) {
+    await client.query(
+      `INSERT INTO tiles_state (game_id, q, r, owner) VALUES ($1, $2, $3, $4)
+        ON CONFLICT (game_id, q, r) DO UPDATE SET owner = $4, updated_at = NOW()`,
+      [id, q, r, owner],
+    );
+    await client.query(
+      `UPDATE structures_state SET owned_by = $1,
+          held_since = CASE WHEN owned_by IS DISTINCT FROM $1 THEN $5 ELSE held_since END
+        WHERE game_id = $2 AND q_pos = $3 AND r_pos = $4`,
+      [owner, id, q, r, round],
+    );
+  }
+
+  // Gets the painted/owned tiles of the game, tiles never saved are left out
+  // Returns [{ q, r, color, owner }]
+  async getTiles(id) {
+    const result = await this.pool.query(
+      "SELECT q, r, color, owner FROM tiles_state WHERE game_id = $1 ORDER BY q, r",
+      [id],
+    );
+    // bigint comes back as a string
+    return result.rows.map((row) => ({ ...row, color: row.color === null ? null : Number(row.color) }));
+  }
+
+  // Returns { round, turn }, round 1 turn 0 until a turn has been saved
+  async getTurnState(id) {
+    const result = await this.pool.query("SELECT round, turn FROM turn_state WHERE game_id = $1", [id]);
+    return result.rows[0] || { round: 1, turn: 0 };
+  }
+
+  // Puts the game back to round 1: no units, no saved tiles, the level's
+  // structures, starting gold and an empty action log, the players, seed and
+  // save slots are kept
+  async resetGame(id) {
+    const { startingGold } = await loadRules();
+    const game = await this.getGame(id);
+    const players = await this.getPlayers(id);
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("DELETE FROM units_state WHERE game_id = $1", [id]);
+      await client.query("DELETE FROM structures_state WHERE game_id = $1", [id]);
+      await client.query("DELETE FROM tiles_state WHERE game_id = $1", [id]);
+      await client.query("DELETE FROM turn_state WHERE game_id = $1", [id]);
+      await client.query("DELETE FROM game_actions WHERE game_id = $1", [id]);
+      for (const player of players) {
+        await client.query("UPDATE players SET gold = $1 WHERE id = $2 AND game_id = $3", [startingGold(player.name), player.id, id]);
+      }
+      if (game) await this.placeLevelStructures(client, game);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Builds the rules engine's GameState from the game's rows, the server
+  // checks every action against it before writing anything
+  // Returns undefined if the game's level can't be found
+  async loadState(game) {
+    const level = this.getLevelData(game);
+    if (!level) return undefined;
+
+    const { GameState } = await loadRules();
+    const units = await this.pool.query("SELECT * FROM units_state WHERE game_id = $1 ORDER BY id", [game.id]);
+    const unitTypes = await this.pool.query("SELECT * FROM units_data");
+    const structureTypes = await this.pool.query("SELECT * FROM structures_data");
+    return GameState.fromRows({
+      level,
+      players: await this.getPlayers(game.id),
+      tiles: await this.getTiles(game.id),
+      units: units.rows,
+      structures: await this.getStructures(game.id),
+      unitTypes: unitTypes.rows,
+      structureTypes: structureTypes.rows,
+      turnState: await this.getTurnState(game.id),
+      seed: Number(game.seed ?? 0),
+      log: await this.getActions(game.id),
+    });
+  }
+
+  // Gets the game's action log, oldest first
+  // since: optional, only the actions after this many
+  async getActions(id, since = 0) {
+    const result = await this.pool.query(
+      "SELECT action FROM game_actions WHERE game_id = $1 AND seq > $2 ORDER BY seq",
+      [id, since],
+    );
+    return result.rows.map((row) => row.action);
+  }
+
+  // Appends an action to the game's log, call it in the transaction that
+  // writes the action so the log never disagrees with the board
+  // client: the transaction's client
+  // action: see GameState.apply
+  async logAction(client, id, action) {
+    await client.query(
+      `INSERT INTO game_actions (game_id, seq, action)
+        VALUES ($1, (SELECT COALESCE(MAX(seq), 0) + 1 FROM game_actions WHERE game_id = $1), $2)`,
+      [id, JSON.stringify(action)],
+    );
+  }
+
+  // Everything needed to replay the game somewhere else, what QA asks for
+  // with a bug report (see public/rules/replay.js), attacks are logged with
+  // their rolls so the seed isn't needed
+  // the seed would tell players what's coming, it's null until the game is over
+  // Returns { game_id, level, level_data, seed, players, unit_types, structure_types, actions }
+  async exportLog(game) {
+    const state = await this.loadState(game);
+    const over = Boolean(state?.outcome());
+    const players = await this.getPlayers(game.id);
+    const unitTypes = await this.pool.query("SELECT * FROM units_data ORDER BY tier, name");
+    const structureTypes = await this.pool.query("SELECT * FROM structures_data ORDER BY name");
+    return {
+      game_id: game.id,
+      level: game.level,
+      level_data: this.getLevelData(game),
+      seed: over ? Number(game.seed) : null,
+      players: players.map((p) => p.name),
+      unit_types: unitTypes.rows,
+      structure_types: structureTypes.rows,
+      actions: await this.getActions(game.id),
+    };
+  }
+
+  // Logs the board as it is now, for when a save slot has been loaded over
+  // the game, replays pick up from here
+  async logRestore(game) {
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await this.logAction(client, game.id, { type: "restore", board: state.board() });
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Buys a unit for a player onto one of their empty tiles and charges them
+  // throws the engine's RuleError when the purchase isn't allowed
+  // Returns { unit: the new units_state row, gold: the player's gold left }
+  async buyUnit(game, playerName, unitName, q_pos, r_pos) {
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    const { unit, gold } = state.apply({ type: "buy", player: playerName, unitType: unitName, q: q_pos, r: r_pos });
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `INSERT INTO units_state (game_id, unit_type, current_health, owned_by, q_pos, r_pos, can_move, moves_left)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [game.id, unit.type, unit.health, playerName, q_pos, r_pos, unit.movesLeft > 0, unit.movesLeft],
+      );
+      await client.query("UPDATE players SET gold = $1 WHERE game_id = $2 AND name = $3", [gold, game.id, playerName]);
+      // logged with the id the database gave the unit
+      await this.logAction(client, game.id, { ...state.log.at(-1), id: result.rows[0].id });
+      await client.query("COMMIT");
+      return { unit: result.rows[0], gold };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Upgrades a unit into the next type on its upgrade path and charges its
+  // owner the difference, see GameState.upgrade
+  // throws the engine's RuleError when the upgrade isn't allowed
+  // Returns { unit: the updated units_state row, gold: the owner's gold left }
+  async upgradeUnit(game, unitId) {
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    const { unit, gold } = state.apply({ type: "upgrade", unitId });
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        "UPDATE units_state SET unit_type = $1, current_health = $2 WHERE id = $3 AND game_id = $4 RETURNING *",
+        [unit.type, unit.health, unit.id, game.id],
+      );
+      await client.query("UPDATE players SET gold = $1 WHERE game_id = $2 AND name = $3", [gold, game.id, unit.owner]);
+      await this.logAction(client, game.id, state.log.at(-1));
+      await client.query("COMMIT");
+      return { unit: result.rows[0], gold };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Gives a unit one of the promotions its experience has earned, see
+  // GameState.promote
+  // throws the engine's RuleError when it hasn't earned one or can't take it
+  // Returns the updated units_state row
+  async promoteUnit(game, unitId, promotion) {
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    const { formatPromotions } = await loadRules();
+    const { unit } = state.apply({ type: "promote", unitId, promotion });
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        "UPDATE units_state SET promotions = $1, moves_left = $2 WHERE id = $3 AND game_id = $4 RETURNING *",
+        [formatPromotions(unit.promotions), unit.movesLeft, unit.id, game.id],
+      );
+      await this.logAction(client, game.id, state.log.at(-1));
+      await client.query("COMMIT");
+      return result.rows[0];
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Gives a unit an order: "fortify", "sleep" or "wake", see GameState.order
+  // throws the engine's RuleError when it already has that order
+  // Returns the updated units_state row
+  async orderUnit(game, unitId, order) {
+    const { RuleError } = await loadRules();
+    // the order is the action's type, nothing else may pass for one
+    if (!unitOrders.includes(order)) throw new RuleError("UNKNOWN_ACTION", `Unknown order ${order}`);
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    const { unit } = state.apply({ type: order, unitId });
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        "UPDATE units_state SET status = $1 WHERE id = $2 AND game_id = $3 RETURNING *",
+        [unit.status, unit.id, game.id],
+      );
+      await this.logAction(client, game.id, state.log.at(-1));
+      await client.query("COMMIT");
+      return result.rows[0];
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Builds a structure for a player on one of their tiles and charges them
+  // throws the engine's RuleError when the build isn't allowed
+  // Returns { structure: the new structures_state row, gold: the player's gold left }
+  async buildStructure(game, playerName, structureType, q_pos, r_pos) {
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    const { structure, gold } = state.apply({ type: "build", player: playerName, structureType, q: q_pos, r: r_pos });
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await client.query(
+        `INSERT INTO structures_state (game_id, structure_type, current_health, owned_by, q_pos, r_pos, held_since)
+          VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [game.id, structure.type, structure.health, playerName, q_pos, r_pos, structure.heldSince],
+      );
+      await client.query("UPDATE players SET gold = $1 WHERE game_id = $2 AND name = $3", [gold, game.id, playerName]);
+      await this.logAction(client, game.id, state.log.at(-1));
+      await client.query("COMMIT");
+      return { structure: result.rows[0], gold };
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Takes back the current player's last move, purchase, upgrade, build or
+  // unit order this turn and drops it from the log, see GameState.undo
+  // throws the engine's RuleError when there's nothing to take back
+  // Returns { action, unit, tile, tiles } for a move, { action, unitId, gold }
+  // for a buy, { action, unit, gold } for an upgrade, { action, gold } for a
+  // build and { action, unit } for an order
+  async undoAction(game) {
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    const result = state.undo();
+    const { action } = result;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (action.type === "buy") {
+        await client.query("DELETE FROM units_state WHERE id = $1 AND game_id = $2", [action.id, game.id]);
+        await client.query("UPDATE players SET gold = $1 WHERE game_id = $2 AND name = $3", [result.gold, game.id, action.player]);
+      } else if (action.type === "upgrade") {
+        const { unit } = result;
+        await client.query(
+          "UPDATE units_state SET unit_type = $1, current_health = $2 WHERE id = $3 AND game_id = $4",
+          [unit.type, unit.health, unit.id, game.id],
+        );
+        await client.query("UPDATE players SET gold = $1 WHERE game_id = $2 AND name = $3", [result.gold, game.id, unit.owner]);
+      } else if (action.type === "build") {
+        await client.query(
+          "DELETE FROM structures_state WHERE game_id = $1 AND q_pos = $2 AND r_pos = $3",
+          [game.id, action.q, action.r],
+        );
+        await client.query("UPDATE players SET gold = $1 WHERE game_id = $2 AND name = $3", [result.gold, game.id, action.player]);
+      } else if (action.type !== "move") {
+        await client.query("UPDATE units_state SET status = $1 WHERE id = $2 AND game_id = $3", [
+          result.unit.status,
+          result.unit.id,
+          game.id,
+        ]);
+      } else {
+        const { unit, tiles } = result;
+        await client.query(
+          "UPDATE units_state SET q_pos = $1, r_pos = $2, moves_left = $3, status = $4, acted = $5 WHERE id = $6 AND game_id = $7",
+          [unit.q, unit.r, unit.movesLeft, unit.status, unit.acted, unit.id, game.id],
+        );
+        for (const tile of tiles) await this.writeTileOwner(client, game.id, tile, state.round);
+      }
+      await client.query(
+        "DELETE FROM game_actions WHERE game_id = $1 AND seq = (SELECT MAX(seq) FROM game_actions WHERE game_id = $1)",
+        [game.id],
+      );
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+    return result;
+  }
+
+  // Ends the player's turn: the next player collects income, their units get
+  // their moves back and the ones that rested or are near their
+  // amphitheaters heal
+  // Throws a NOT_YOUR_TURN RuleError if it isn't the player's turn
+  // Returns { round, turn, player, income, gold, healed, victory }, see
+  // GameState.endTurn, victory is GameState.victoryState(), the server
+  // decides it as the client doesn't see every unit
+  async endTurn(game, playerName) {
+    const state = await this.loadState(game);
+    if (!state) throw new Error(`Level ${game.level} not found`);
+    state.checkTurn(playerName);
+    const result = state.endTurn();
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `INSERT INTO turn_state (game_id, round, turn) VALUES ($1, $2, $3)
+          ON CONFLICT (game_id) DO UPDATE SET round = $2, turn = $3, updated_at = NOW()`,
+        [game.id, result.round, result.turn],
+      );
+      await client.query("UPDATE players SET gold = $1 WHERE game_id = $2 AND name = $3", [result.gold, game.id, result.player]);
+      for (const unit of state.unitsOf(result.player)) {
+        await client.query(
+          "UPDATE units_state SET moves_left = $1, can_move = true, current_health = $2, acted = false WHERE id = $3 AND game_id = $4",
+          [unit.movesLeft, unit.health, unit.id, game.id],
+        );
+      }
+      await client.query("UPDATE games SET updated_at = NOW() WHERE id = $1", [game.id]);
+      await this.logAction(client, game.id, { type: "end_turn" });
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+    return { ...result, victory: state.victoryState() };
+  }
+
+  // Deletes the game, its rows (cascade) and its save files
+  // Returns true if the game existed
+  async deleteGame(id) {
+    const result = await this.pool.query("DELETE FROM games WHERE id = $1", [id]);
+    fs.rmSync(this.saveDir(id), { recursive: true, force: true });
+    return result.rowCount > 0;
+  }
+
+  // folder the file saves for a game live in
+  // level: optional, gives the folder for that level inside the game
+  saveDir(id, level) {
+    const dir = path.join(savesDir, String(parseInt(id)));
+    // custom map names can be anything, keep them to one folder name
+    return level ? path.join(dir, String(level).replace(/[^\w-]/g, "_")) : dir;
+  }
+
+  // express middleware, loads the game named by game_id in the query or body
+  // into req.game and rejects the request if there isn't one
+  requireGame() {
+    return async (req, res, next) => {
+      try {
+        const id = parseInt(req.query.game_id ?? req.body?.game_id);
+        if (!Number.isInteger(id)) {
+          return res.status(400).json({ error: "game_id is required" });
+        }
+        const game = await this.getGame(id);
+        if (!game) {
+          return res.status(404).json({ error: `Game ${id} not found` });
+        }
+        req.game = game;
+        next();
+      } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: "Error loading game" });
+      }
+    };
+  }
+}
+
+module.exports = Games;
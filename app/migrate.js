@@ -0,0 +1,77 @@
+// Brings the database up to date: npm run migrate
+// Runs every .sql file in migrations/ that isn't in schema_migrations yet,
+// in file name order, each one in its own transaction.
+// Makes the database from env.json first if it doesn't exist.
+
+const fs = require("fs");
+const path = require("path");
+const { Client } = require("pg");
+const env = require("../env.json");
+
+const migrationsDir = path.join(__dirname, "migrations");
+
+async function connect() {
+  const client = new Client(env);
+  try {
+    await client.connect();
+    return client;
+  } catch (error) {
+    if (error.code !== "3D000") throw error; // 3D000: database doesn't exist
+
+    console.log(`Creating database ${env.database}`);
+    const admin = new Client({ ...env, database: "postgres" });
+    await admin.connect();
+    await admin.query(`CREATE DATABASE "${env.database.replace(/"/g, '""')}"`);
+    await admin.end();
+
+    const created = new Client(env);
+    await created.connect();
+    return created;
+  }
+}
+
+async function migrate() {
+  const client = await connect();
+  try {
+    await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(100) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )`);
+
+    const applied = new Set(
+      (await client.query("SELECT version FROM schema_migrations")).rows.map((r) => r.version),
+    );
+    const files = fs
+      .readdirSync(migrationsDir)
+      .filter((file) => file.endsWith(".sql"))
+      .sort();
+
+    let count = 0;
+    for (const file of files) {
+      const version = path.basename(file, ".sql");
+      if (applied.has(version)) continue;
+
+      console.log(`Applying ${version}`);
+      const sql = fs.readFileSync(path.join(migrationsDir, file), "utf8");
+      try {
+        await client.query("BEGIN");
+        await client.query(sql);
+        await client.query("INSERT INTO schema_migrations (version) VALUES ($1)", [version]);
+        await client.query("COMMIT");
+        count++;
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw new Error(`Migration ${version} failed: ${error.message}`);
+      }
+    }
+
+    console.log(count ? `Applied ${count} migration(s).` : "Database is up to date.");
+  } finally {
+    await client.end();
+  }
+}
+
+migrate().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -1,9 +1,9 @@
---DROP DATABASE IF EXISTS civ;
-CREATE DATABASE civ;
-\c civ
-CREATE TABLE units_data (
+-- the tables from the original setup.sql
+-- IF NOT EXISTS so databases made with setup.sql can start migrating from here
+
+CREATE TABLE IF NOT EXISTS units_data (
 	name VARCHAR(30) PRIMARY KEY,
-    health integer,
+	health integer,
 	damage integer,
 	move_range integer,
 	attack_range integer,
@@ -12,33 +12,32 @@ CREATE TABLE units_data (
 							-- swordsman would have knight in upgradeable
 );
 
-CREATE TABLE units_state (
+CREATE TABLE IF NOT EXISTS units_state (
 	id SERIAL PRIMARY KEY,
 	unit_type VARCHAR(30), --units_data name
-    current_health integer,
-	-- map_pos integer, --tile #
+	current_health integer,
 	owned_by integer, --players id
-	q_pos integer,    --column 
+	q_pos integer,    --column
 	r_pos integer,    --row
 	can_move boolean  --dictates if the unit has moved or not
 					  --Ex: when a unit attacks, they shouldn't move anymore
 );
 
-CREATE TABLE players (
+CREATE TABLE IF NOT EXISTS players (
 	id SERIAL PRIMARY KEY,
 	name VARCHAR(30)
 );
 
-CREATE TABLE structures_data (
+CREATE TABLE IF NOT EXISTS structures_data (
 	name VARCHAR(30) PRIMARY KEY,
-    health integer,
+	health integer,
 	cost integer
 );
 
-CREATE TABLE structures_state (
+CREATE TABLE IF NOT EXISTS structures_state (
 	id SERIAL PRIMARY KEY,
 	structure_type VARCHAR(30), --structures_data name
-    current_health integer,
+	current_health integer,
 	map_pos integer, --tile #
 	owned_by integer
-);
\ No newline at end of file
+);
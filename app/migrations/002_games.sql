@@ -0,0 +1,13 @@
+-- every state row belongs to a game so several games can run at once
+
+CREATE TABLE IF NOT EXISTS games (
+	id SERIAL PRIMARY KEY,
+	level VARCHAR(60),  --level name, ex: level1
+	level_data JSON,    --the level json, kept for maps that only live in the browser
+	created_at TIMESTAMP DEFAULT NOW(),
+	updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE units_state ADD COLUMN IF NOT EXISTS game_id integer REFERENCES games(id) ON DELETE CASCADE;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS game_id integer REFERENCES games(id) ON DELETE CASCADE;
+ALTER TABLE structures_state ADD COLUMN IF NOT EXISTS game_id integer REFERENCES games(id) ON DELETE CASCADE;
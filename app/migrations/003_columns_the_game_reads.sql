@@ -0,0 +1,9 @@
+-- columns the server and client use that setup.sql never made
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS gold integer DEFAULT 100;
+ALTER TABLE units_state ADD COLUMN IF NOT EXISTS moves_left integer;
+ALTER TABLE units_data ADD COLUMN IF NOT EXISTS tier integer DEFAULT 1;
+
+-- units and structures are owned by player names ("Player 1", "AI 1"), not ids
+ALTER TABLE units_state ALTER COLUMN owned_by TYPE VARCHAR(30) USING owned_by::VARCHAR;
+ALTER TABLE structures_state ALTER COLUMN owned_by TYPE VARCHAR(30) USING owned_by::VARCHAR;
@@ -0,0 +1,18 @@
+-- live board state, what the client used to keep in Supabase
+
+CREATE TABLE IF NOT EXISTS tiles_state (
+	game_id integer REFERENCES games(id) ON DELETE CASCADE,
+	q integer,
+	r integer,
+	color bigint,        --tile color, ex: 0x808080
+	owner VARCHAR(30),   --player name, null for neutral tiles
+	updated_at TIMESTAMP DEFAULT NOW(),
+	PRIMARY KEY (game_id, q, r)
+);
+
+CREATE TABLE IF NOT EXISTS turn_state (
+	game_id integer PRIMARY KEY REFERENCES games(id) ON DELETE CASCADE,
+	round integer DEFAULT 1,
+	turn integer DEFAULT 0,  --index into the game's players
+	updated_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,13 @@
+-- every random choice in a game comes from its seed, and every action is
+-- logged so the game can be replayed exactly (see public/rules/gameState.js)
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS seed bigint;
+UPDATE games SET seed = 1 + floor(random() * 2147483646) WHERE seed IS NULL;
+
+CREATE TABLE IF NOT EXISTS game_actions (
+	game_id integer REFERENCES games(id) ON DELETE CASCADE,
+	seq integer,        --1 for the game's first action, never reused
+	action JSON,        --ex: { "type": "move", "unitId": 3, "q": 2, "r": 1 }
+	created_at TIMESTAMP DEFAULT NOW(),
+	PRIMARY KEY (game_id, seq)
+);
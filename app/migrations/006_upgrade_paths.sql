@@ -0,0 +1,13 @@
+-- units_data.upgradeable was seeded with true/false, it holds the name of
+-- the unit type a unit upgrades into (see public/rules/units.js)
+
+UPDATE units_data SET upgradeable = CASE name
+	WHEN 'warrior' THEN 'swordsman'
+	WHEN 'swordsman' THEN 'knight'
+	WHEN 'slinger' THEN 'archer'
+	WHEN 'archer' THEN 'musketeer'
+	WHEN 'horseman' THEN 'lancer'
+	WHEN 'lancer' THEN 'chariot'
+	ELSE NULL
+END
+WHERE upgradeable IS NULL OR upgradeable IN ('true', 'false');
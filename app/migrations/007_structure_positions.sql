@@ -0,0 +1,5 @@
+-- structures sit on a hex like units do, map_pos was a tile number from
+-- before the board was a hex grid (see public/rules/structures.js)
+
+ALTER TABLE structures_state ADD COLUMN IF NOT EXISTS q_pos integer;
+ALTER TABLE structures_state ADD COLUMN IF NOT EXISTS r_pos integer;
@@ -0,0 +1,4 @@
+-- the round a structure last changed hands, the wonder victory counts the
+-- rounds it's been held from it (see public/rules/victory.js)
+
+ALTER TABLE structures_state ADD COLUMN IF NOT EXISTS held_since integer DEFAULT 1;
@@ -0,0 +1,4 @@
+-- roads cost half a move to enter, so a unit can have half a move left
+-- (see public/rules/terrain.js)
+
+ALTER TABLE units_state ALTER COLUMN moves_left TYPE real USING moves_left::real;
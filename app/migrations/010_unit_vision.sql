@@ -0,0 +1,14 @@
+-- how many hexes around it a unit sees through the fog of war, scouts see
+-- furthest (see public/rules/units.js)
+
+ALTER TABLE units_data ADD COLUMN IF NOT EXISTS vision integer DEFAULT 2;
+
+UPDATE units_data SET vision = CASE name
+	WHEN 'scout' THEN 4
+	WHEN 'archer' THEN 3
+	WHEN 'musketeer' THEN 3
+	WHEN 'horseman' THEN 3
+	WHEN 'lancer' THEN 3
+	WHEN 'chariot' THEN 3
+	ELSE 2
+END;
@@ -0,0 +1,15 @@
+-- how a unit fights: melee and mounted units strike back when attacked up
+-- close, ranged units aren't struck back (see public/rules/units.js)
+
+ALTER TABLE units_data ADD COLUMN IF NOT EXISTS role varchar(30) DEFAULT 'melee';
+
+UPDATE units_data SET role = CASE name
+	WHEN 'scout' THEN 'scout'
+	WHEN 'slinger' THEN 'ranged'
+	WHEN 'archer' THEN 'ranged'
+	WHEN 'musketeer' THEN 'ranged'
+	WHEN 'horseman' THEN 'mounted'
+	WHEN 'lancer' THEN 'mounted'
+	WHEN 'chariot' THEN 'mounted'
+	ELSE 'melee'
+END;
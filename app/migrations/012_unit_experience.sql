@@ -0,0 +1,5 @@
+-- experience a unit has gained from fights and the promotions its owner
+-- picked with it, comma separated (see public/rules/promotions.js)
+
+ALTER TABLE units_state ADD COLUMN IF NOT EXISTS xp integer DEFAULT 0;
+ALTER TABLE units_state ADD COLUMN IF NOT EXISTS promotions varchar(100) DEFAULT '';
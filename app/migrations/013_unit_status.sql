@@ -0,0 +1,4 @@
+-- a unit's standing order: NULL, 'fortified' or 'asleep', until it's woken,
+-- moves or attacks (see GameState.order)
+
+ALTER TABLE units_state ADD COLUMN IF NOT EXISTS status varchar(20);
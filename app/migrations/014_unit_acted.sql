@@ -0,0 +1,4 @@
+-- whether a unit has moved or attacked in its owner's turn, units that
+-- didn't heal when the turn comes back around (see GameState.restHealing)
+
+ALTER TABLE units_state ADD COLUMN IF NOT EXISTS acted boolean DEFAULT false;
@@ -0,0 +1,71 @@
+const { isRuleError, statusFor } = require("./rules");
+
+// thrown when a move breaks the rules, turned into a json error by the route
+class MoveError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// class of functions for checking and applying unit moves on the server
+// units_state is the source of truth, the client only asks to move
+// the rules themselves are in public/rules, see GameState.move
+class Movement {
+  constructor(pool, games) {
+    this.pool = pool;
+    this.games = games;
+  }
+
+  // checks a move against the game's board and returns what it costs
+  // throws a MoveError when the move is illegal
+  // Returns the GameState with the move applied, GameState.move's result and
+  // the action as the state logged it
+  async validateMove(id, game, q_pos, r_pos) {
+    const state = await this.games.loadState(game);
+    if (!state) {
+      throw new MoveError(404, "UNKNOWN_LEVEL", `Level ${game.level} not found`);
+    }
+
+    try {
+      const result = state.apply({ type: "move", unitId: id, q: q_pos, r: r_pos });
+      return { state, ...result, action: state.log.at(-1) };
+    } catch (error) {
+      if (!isRuleError(error)) throw error;
+      throw new MoveError(statusFor(error.code), error.code, error.message);
+    }
+  }
+
+  // validates then writes the new position, remaining moves and the tiles
+  // the unit claimed, the destination or its whole path by the level's rules,
+  // moving ends a fortify or sleep order and keeps the unit from resting
+  // returns the updated row with the path it took
+  async moveUnit(id, game, q_pos, r_pos) {
+    const { state, unit, path, captured, claimed, action } = await this.validateMove(id, game, q_pos, r_pos);
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        "UPDATE units_state SET q_pos = $1, r_pos = $2, moves_left = $3, status = NULL, acted = true WHERE id = $4 AND game_id = $5",
+        [q_pos, r_pos, unit.movesLeft, unit.id, game.id],
+      );
+      for (const tile of claimed) await this.games.writeTileOwner(client, game.id, tile, state.round);
+      // logged with where the unit came from, for undo
+      await this.games.logAction(client, game.id, action);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { id: unit.id, q_pos, r_pos, moves_left: unit.movesLeft, path, captured, claimed };
+  }
+}
+
+Movement.MoveError = MoveError;
+
+module.exports = Movement;
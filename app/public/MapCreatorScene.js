@@ -1,10 +1,12 @@
 import Tile from "./lib/tile.js";
+import { TERRAIN } from "./rules/index.js";
 
 export class MapCreatorScene extends Phaser.Scene {
   constructor() {
     super("map_creator");
     this.tiles = new Map();
     this.selectedColor = 0x808080; // default neutral
+    this.selectedTerrain = "plains"; // painted when selectedColor is "terrain"
   }
 
   preload() {
@@ -36,6 +38,8 @@ export class MapCreatorScene extends Phaser.Scene {
             tile.graphics.destroy();
             this.tiles.delete(`${tile.q},${tile.r}`);
           } else if (this.selectedColor === "restore") {
+          } else if (this.selectedColor === "terrain") {
+            tile.setTerrain(this.selectedTerrain);
           } else {
             tile.setColor(this.selectedColor, true);
           }
@@ -67,6 +71,8 @@ export class MapCreatorScene extends Phaser.Scene {
           this.tiles.delete(`${tile.q},${tile.r}`);
         } else if (this.selectedColor === "restore") {
           // Already handled
+        } else if (this.selectedColor === "terrain") {
+          tile.setTerrain(this.selectedTerrain);
         } else {
           tile.setColor(this.selectedColor, true);
         }
@@ -83,11 +89,17 @@ export class MapCreatorScene extends Phaser.Scene {
       { label: "Enemy", color: 0xd2042d },
       { label: "Remove", color: null },
       { label: "Add", color: "restore" },
+      // terrain is painted over whatever owns the tile, see rules/terrain.js
+      ...Object.keys(TERRAIN).map((terrain) => ({
+        label: terrain[0].toUpperCase() + terrain.slice(1),
+        color: "terrain",
+        terrain,
+      })),
     ];
   
     palette.forEach((entry, i) => {
       const btn = this.add
-        .text(60, 60 + i * 60, entry.label, {
+        .text(60, 60 + i * 50, entry.label, {
           fontFamily: '"JetBrains Mono", monospace',
           fontSize: "18px",
           color: "#ffffff",
@@ -99,6 +111,7 @@ export class MapCreatorScene extends Phaser.Scene {
   
       btn.on("pointerdown", (pointer, localX, localY, event) => {
         this.selectedColor = entry.color;
+        if (entry.terrain) this.selectedTerrain = entry.terrain;
         event.stopPropagation();
       });
     });
@@ -145,6 +158,7 @@ export class MapCreatorScene extends Phaser.Scene {
         q: tile.q,
         r: tile.r,
         color: `0x${tile.color.toString(16).padStart(6, "0")}`,
+        ...(tile.terrain !== "plains" && { terrain: tile.terrain }),
       });
     }
 
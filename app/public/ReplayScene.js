@@ -0,0 +1,411 @@
+// Replay viewer, opened from a game in level select's "Resume a Game" list.
+// Rebuilds the board from the game's level json and steps through its
+// action log (see GameState.apply) with the same unit animations as a game.
+
+import Tile from "./lib/tile.js";
+import Unit from "./lib/unit.js";
+import Structure from "./lib/structure.js";
+import * as api from "./lib/api.js";
+import { GameState, UNIT_TYPES, describeVictory } from "./rules/index.js";
+
+const speeds = [0.5, 1, 2, 4];
+
+export class ReplayScene extends Phaser.Scene {
+  constructor() {
+    super("replay");
+  }
+
+  init(data) {
+    this.gameId = data.gameId;
+    this.level = data.level;
+
+    this.tiles = new Map();
+    this.units = [];
+    this.structures = new Map();
+    this.highlightedTiles = [];
+    this.log = null;
+    this.state = null;
+    this.step = 0; // actions applied so far
+    this.playing = false;
+    this.busy = false;
+    this.speedIndex = 1;
+  }
+
+  preload() {
+    for (const { name } of UNIT_TYPES) {
+      this.load.image(name, `assets/${name}.png`);
+    }
+  }
+
+  async create() {
+    this.infoText = this.add.text(20, 20, "Loading replay…", {
+      fontFamily: '"JetBrains Mono", monospace',
+      fontSize: "18px",
+      color: "#ffffff",
+      backgroundColor: "#262c44",
+      padding: { x: 12, y: 8 },
+    }).setDepth(3000);
+
+    this.createControls();
+
+    try {
+      this.log = await api.getLog(this.gameId);
+    } catch (error) {
+      this.infoText.setText(`Couldn't load game #${this.gameId}'s log`);
+      return;
+    }
+    if (!this.log.level_data) {
+      this.infoText.setText(`Game #${this.gameId}'s level can't be found`);
+      return;
+    }
+
+    this.buildBoard(this.log.level_data);
+    this.jumpTo(0);
+
+    this.input.keyboard.on("keydown-SPACE", () => this.togglePlay());
+    this.input.keyboard.on("keydown-RIGHT", () => this.stepForward());
+    this.input.keyboard.on("keydown-LEFT", () => this.stepBack());
+  }
+
+  // ===== Board =====
+
+  buildBoard(levelData) {
+    const radius = 30;
+    const hexWidth = Math.sqrt(3) * radius;
+    const hexHeight = 2 * radius;
+    const gridPixelWidth = hexWidth * levelData.cols + hexWidth / 2;
+    const gridPixelHeight = hexHeight * 0.75 * levelData.rows + hexHeight / 4;
+    const offsetX = (this.scale.width - gridPixelWidth) / 2;
+    const offsetY = (this.scale.height - gridPixelHeight) / 2;
+
+    for (const { q, r, color, terrain } of levelData.tiles) {
+      this.tiles.set(`${q},${r}`, new Tile(this, q, r, offsetX, offsetY, parseInt(color), terrain));
+    }
+  }
+
+  // the state after the game's first `step` actions
+  stateAt(step) {
+    return GameState.replay({
+      level: this.log.level_data,
+      players: this.log.players,
+      unitTypes: this.log.unit_types,
+      structureTypes: this.log.structure_types,
+      seed: this.log.seed,
+      log: this.log.actions.slice(0, step),
+    });
+  }
+
+  // draws a state without animating, for the start and stepping back
+  jumpTo(step) {
+    this.state = this.stateAt(step);
+    this.step = step;
+    this.redraw();
+  }
+
+  redraw() {
+    for (const t of this.state.tiles.values()) {
+      const tile = this.tiles.get(`${t.q},${t.r}`);
+      if (!tile) continue;
+      tile.setColor(t.color, true);
+      tile.setOwner(t.owner);
+    }
+
+    this.units.forEach((u) => u.destroy());
+    this.units = [];
+    for (const stateUnit of this.state.units.values()) this.addUnit(stateUnit);
+
+    this.renderStructures();
+    this.renderInfo();
+  }
+
+  // draws the state's structures, like GameScene.renderStructures
+  renderStructures() {
+    for (const [k, structure] of this.structures) {
+      if (this.state.structure(structure.q, structure.r)?.type === structure.type) continue;
+      structure.destroy();
+      this.structures.delete(k);
+    }
+    for (const s of this.state.structures.values()) {
+      const k = `${s.q},${s.r}`;
+      const tile = this.tiles.get(k);
+      if (!tile) continue;
+      if (this.structures.has(k)) this.structures.get(k).update(s);
+      else this.structures.set(k, new Structure(this, tile, s, this.state.structureType(s.type)?.health ?? s.health));
+    }
+  }
+
+  addUnit(stateUnit) {
+    const unit = new Unit(this, stateUnit.q, stateUnit.r, stateUnit.type, stateUnit.owner, stateUnit.type, stateUnit.id);
+    unit.currentHealth = stateUnit.health;
+    unit.movesLeft = stateUnit.movesLeft;
+    unit.setRank(stateUnit.promotions?.length ?? 0);
+    unit.setStatus(stateUnit.status);
+    this.input.setDraggable(unit.sprite, false); // it's a recording
+    this.units.push(unit);
+    return unit;
+  }
+
+  unitById(id) {
+    return this.units.find((u) => u.id_num === id);
+  }
+
+  // ===== Playback =====
+
+  get speed() {
+    return speeds[this.speedIndex];
+  }
+
+  wait(ms) {
+    return new Promise((resolve) => this.time.delayedCall(ms / this.speed, resolve));
+  }
+
+  // applies the next action and animates it
+  async stepForward() {
+    if (!this.log || this.busy || this.step >= this.log.actions.length) return;
+    this.busy = true;
+    try {
+      await this.playAction(this.log.actions[this.step]);
+      // moves and attacks end orders too
+      for (const unit of this.units) unit.setStatus(this.state.unit(unit.id_num)?.status);
+      this.step += 1;
+      this.renderInfo();
+    } catch (error) {
+      console.error(`Replay stopped at action ${this.step}:`, error);
+      this.pause();
+      this.infoText.setText(`Action ${this.step + 1} doesn't apply: ${error.message}`);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  stepBack() {
+    if (!this.log || this.busy || this.step === 0) return;
+    this.pause();
+    this.jumpTo(this.step - 1);
+  }
+
+  async playAction(action) {
+    const result = this.state.apply(action);
+
+    switch (action.type) {
+      case "buy": {
+        const unit = this.addUnit(result.unit);
+        unit.sprite.setScale(0);
+        this.tweens.add({ targets: unit.sprite, scale: 0.5, duration: 250, ease: "Back.easeOut" });
+        await this.wait(300);
+        break;
+      }
+      case "move": {
+        this.unitById(action.unitId)?.moveToTile(this.tiles.get(`${action.q},${action.r}`), result.path);
+        // levels that claim the whole path
+        for (const { q, r, owner } of result.claimed) this.tiles.get(`${q},${r}`)?.setOwner(owner);
+        this.renderStructures(); // a structure changes hands with its tile
+        await this.wait(350);
+        break;
+      }
+      case "upgrade": {
+        const unit = this.unitById(action.unitId);
+        await unit?.setType(result.unit.type, result.unit.health);
+        if (unit) this.tweens.add({ targets: unit.sprite, scale: 0.6, duration: 150, yoyo: true });
+        await this.wait(300);
+        break;
+      }
+      case "promote": {
+        const unit = this.unitById(action.unitId);
+        unit?.setRank(result.unit.promotions.length);
+        if (unit) this.tweens.add({ targets: unit.sprite, scale: 0.6, duration: 150, yoyo: true });
+        await this.wait(300);
+        break;
+      }
+      case "fortify":
+      case "sleep":
+      case "wake":
+        await this.wait(200);
+        break;
+      case "build":
+        this.renderStructures();
+        await this.wait(300);
+        break;
+      case "attack_structure": {
+        const attacker = this.unitById(action.attackerId);
+        const structure = this.structures.get(`${action.q},${action.r}`);
+        if (attacker && structure) await attacker.playLunge(structure.tile);
+        structure?.flash();
+        if (result.captured) this.tiles.get(`${action.q},${action.r}`)?.setOwner(result.captured.owner);
+        this.renderStructures();
+        break;
+      }
+      case "attack": {
+        const attacker = this.unitById(action.attackerId);
+        const victim = this.unitById(action.victimId);
+        if (!attacker || !victim) break;
+        victim.currentHealth = result.victim.health;
+        attacker.currentHealth = result.attacker.health;
+        // same shape as the server's combat result
+        await attacker.playAttack(victim, {
+          attacker: {
+            id: attacker.id_num,
+            q_pos: result.attacker.q,
+            r_pos: result.attacker.r,
+            current_health: result.attacker.health,
+            defeated: result.attacker.defeated,
+          },
+          victim: { id: victim.id_num, current_health: result.victim.health, defeated: result.victim.defeated },
+          damage: result.damage,
+          retaliation: result.retaliation,
+          captured: result.captured,
+        });
+        break;
+      }
+      case "end_turn":
+        // units that rested or are near amphitheaters heal
+        for (const { id, health } of result.healed ?? []) {
+          const unit = this.unitById(id);
+          if (unit) {
+            unit.currentHealth = health;
+            unit.updateTint();
+          }
+        }
+        await this.wait(400);
+        break;
+      case "restore":
+        // a save was loaded over the game, redraw from the loaded board
+        this.redraw();
+        break;
+    }
+  }
+
+  async play() {
+    if (this.playing || !this.log) return;
+    this.playing = true;
+    this.renderControls();
+    while (this.playing && this.step < this.log.actions.length) {
+      await this.stepForward();
+      await this.wait(150);
+    }
+    this.pause();
+  }
+
+  pause() {
+    this.playing = false;
+    this.renderControls();
+  }
+
+  togglePlay() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  cycleSpeed() {
+    this.speedIndex = (this.speedIndex + 1) % speeds.length;
+    this.tweens.timeScale = this.speed;
+    this.renderControls();
+  }
+
+  // ===== HUD =====
+
+  renderInfo() {
+    const total = this.log.actions.length;
+    const last = this.log.actions[this.step - 1];
+    const lines = [
+      `Replay — game #${this.gameId} on ${this.log.level}${this.log.seed ? ` (seed ${this.log.seed})` : ""}`,
+      `Round ${this.state.round}, ${this.state.currentPlayer()} to play`,
+      `Action ${this.step} / ${total}${last ? `: ${this.describe(last)}` : ""}`,
+    ];
+    const victory = this.state.victoryState();
+    if (victory) lines.push(describeVictory(victory));
+    for (const { name, gold } of this.state.players) {
+      lines.push(`${name}: ${gold} gold, ${this.state.unitsOf(name).length} units, ${this.state.structuresOf(name).length} structures, ${this.state.ownedTiles(name).length} tiles`);
+    }
+    this.infoText.setText(lines.join("\n"));
+  }
+
+  describe(action) {
+    switch (action.type) {
+      case "buy":
+        return `${action.player} buys a ${action.unitType} at (${action.q},${action.r})`;
+      case "move":
+        return `#${action.unitId} moves to (${action.q},${action.r})`;
+      case "upgrade":
+        return `#${action.unitId} is upgraded`;
+      case "promote":
+        return `#${action.unitId} is promoted with ${action.promotion}`;
+      case "fortify":
+        return `#${action.unitId} fortifies`;
+      case "sleep":
+        return `#${action.unitId} sleeps`;
+      case "wake":
+        return `#${action.unitId} wakes up`;
+      case "build":
+        return `${action.player} builds a ${action.structureType} at (${action.q},${action.r})`;
+      case "attack_structure":
+        return `#${action.attackerId} attacks the structure at (${action.q},${action.r})`;
+      case "attack":
+        return `#${action.attackerId} attacks #${action.victimId}`;
+      case "end_turn":
+        return "end of turn";
+      case "restore":
+        return "a save was loaded";
+      default:
+        return action.type;
+    }
+  }
+
+  createControls() {
+    const y = this.scale.height - 40;
+    const x = this.scale.width / 2;
+
+    this.controls = {
+      restart: this.makeButton(x - 260, y, "⏮", () => {
+        this.pause();
+        if (this.log && !this.busy) this.jumpTo(0);
+      }),
+      back: this.makeButton(x - 180, y, "◀ Step", () => this.stepBack()),
+      play: this.makeButton(x - 60, y, "▶ Play", () => this.togglePlay()),
+      forward: this.makeButton(x + 60, y, "Step ▶", () => {
+        this.pause();
+        this.stepForward();
+      }),
+      speed: this.makeButton(x + 180, y, "1x", () => this.cycleSpeed()),
+      exit: this.makeButton(80, y, "← Back", () => {
+        this.pause();
+        this.scene.start("level_select");
+      }),
+    };
+
+    this.scale.on("resize", (size) => {
+      const cx = size.width / 2;
+      const cy = size.height - 40;
+      this.controls.restart.setPosition(cx - 260, cy);
+      this.controls.back.setPosition(cx - 180, cy);
+      this.controls.play.setPosition(cx - 60, cy);
+      this.controls.forward.setPosition(cx + 60, cy);
+      this.controls.speed.setPosition(cx + 180, cy);
+      this.controls.exit.setPosition(80, cy);
+    });
+  }
+
+  renderControls() {
+    this.controls.play.setText(this.playing ? "⏸ Pause" : "▶ Play");
+    this.controls.speed.setText(`${this.speed}x`);
+  }
+
+  makeButton(x, y, label, onClick) {
+    const btn = this.add
+      .text(x, y, label, {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "18px",
+        color: "#ffffff",
+        backgroundColor: "#444444",
+        padding: { x: 12, y: 6 },
+      })
+      .setOrigin(0.5)
+      .setDepth(3000)
+      .setInteractive({ useHandCursor: true });
+
+    btn.on("pointerover", () => btn.setTint(0xaaaaaa));
+    btn.on("pointerout", () => btn.clearTint());
+    btn.on("pointerdown", onClick);
+    return btn;
+  }
+}
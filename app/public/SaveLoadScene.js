@@ -0,0 +1,266 @@
+// Save slot browser, opened on top of the paused GameScene.
+// Lists the level's slots with a thumbnail of the board and lets you
+// load, overwrite or delete them, or save into a new slot.
+
+import * as api from "./lib/api.js";
+
+const playerColors = {
+  "Player 1": 0x3377cc,
+  "AI 1": 0xd2042d,
+  "AI 2": 0xcc3333,
+};
+
+export class SaveLoadScene extends Phaser.Scene {
+  constructor() {
+    super("save_load");
+    this.rows = [];
+  }
+
+  init(data) {
+    this.mode = data.mode ?? "load";
+    this.level = data.level;
+    this.gameId = data.gameId;
+    this.rows = [];
+  }
+
+  create() {
+    const { width, height } = this.scale;
+
+    this.add
+      .rectangle(width / 2, height / 2, width, height, 0x000000, 0.75)
+      .setInteractive(); // swallow clicks meant for the paused game
+
+    this.add
+      .text(width / 2, 50, `Saves — ${this.level}`, {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "32px",
+        color: "#ffffff",
+      })
+      .setOrigin(0.5);
+
+    this.statusText = this.add
+      .text(width / 2, 90, "", {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "16px",
+        color: "#cccccc",
+      })
+      .setOrigin(0.5);
+
+    this.makeButton(width / 2 - 200, height - 50, "+ New Save", "#006600", () =>
+      this.newSave(),
+    );
+    this.makeButton(width / 2, height - 50, "⬆ Import File", "#004488", () =>
+      this.importFile(),
+    );
+    this.makeButton(width / 2 + 200, height - 50, "Close", "#444444", () =>
+      this.close(),
+    );
+
+    this.input.keyboard.on("keydown-ESC", () => this.close());
+
+    this.refresh();
+  }
+
+  get gameScene() {
+    return this.scene.get("game");
+  }
+
+  makeButton(x, y, label, color, onClick) {
+    const btn = this.add
+      .text(x, y, label, {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "16px",
+        color: "#ffffff",
+        backgroundColor: color,
+        padding: { x: 10, y: 5 },
+      })
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true });
+
+    btn.on("pointerover", () => btn.setTint(0xaaaaaa));
+    btn.on("pointerout", () => btn.clearTint());
+    btn.on("pointerdown", onClick);
+    return btn;
+  }
+
+  async refresh() {
+    this.rows.forEach((o) => o.destroy());
+    this.rows = [];
+    this.statusText.setText("Loading saves...");
+
+    let slots = [];
+    try {
+      slots = await api.listSaves(this.gameId, this.level);
+    } catch (error) {
+      console.error("Error listing saves:", error);
+      this.statusText.setText("Couldn't list saves.");
+      return;
+    }
+
+    if (!slots.length) {
+      this.statusText.setText("No saves yet. Make one with + New Save.");
+    } else {
+      this.statusText.setText(
+        this.mode === "save"
+          ? "Overwrite a slot or make a new save."
+          : "Pick a save to load.",
+      );
+    }
+    slots.forEach((slot, i) => this.makeRow(slot, 130 + i * 90));
+  }
+
+  makeRow(slot, y) {
+    const left = this.scale.width / 2 - 360;
+
+    const bg = this.add
+      .rectangle(left, y, 720, 80, 0x262c44, 1)
+      .setOrigin(0, 0);
+    const thumb = this.drawThumbnail(slot.tiles, left + 50, y + 40);
+
+    const when = slot.saved_at ? new Date(slot.saved_at).toLocaleString() : "?";
+    const info = this.add.text(
+      left + 110,
+      y + 10,
+      `${slot.slot}\n` +
+        `Round ${slot.round ?? "?"} · Turn ${slot.turn ?? "?"} · ` +
+        `Gold ${slot.gold ?? "?"} · Units ${slot.units}\n${when}`,
+      {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "14px",
+        color: "#ffffff",
+      },
+    );
+
+    const right = left + 720;
+    const exportBtn = this.makeButton(right - 340, y + 40, "⬇", "#444444", () =>
+      this.exportSlot(slot.slot),
+    );
+    const loadBtn = this.makeButton(right - 250, y + 40, "Load", "#004488", () =>
+      this.loadSlot(slot.slot),
+    );
+    const overwriteBtn = this.makeButton(
+      right - 160,
+      y + 40,
+      "Overwrite",
+      "#886600",
+      () => this.overwriteSlot(slot.slot),
+    );
+    const deleteBtn = this.makeButton(right - 50, y + 40, "🗑", "#882222", () =>
+      this.deleteSlot(slot.slot),
+    );
+
+    this.rows.push(bg, thumb, info, exportBtn, loadBtn, overwriteBtn, deleteBtn);
+  }
+
+  // tiny hex map of the saved board, colored by owner
+  drawThumbnail(tiles, cx, cy) {
+    const g = this.add.graphics();
+    if (!tiles.length) return g;
+
+    const radius = 4;
+    const width = Math.sqrt(3) * radius;
+    const points = tiles.map((t) => ({
+      ...t,
+      x: width * (t.q + t.r / 2),
+      y: 1.5 * radius * t.r,
+    }));
+
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    const offsetX = cx - (Math.min(...xs) + Math.max(...xs)) / 2;
+    const offsetY = cy - (Math.min(...ys) + Math.max(...ys)) / 2;
+
+    for (const p of points) {
+      g.fillStyle(playerColors[p.owner] ?? (Number(p.color) || 0x808080), 1);
+      g.fillCircle(p.x + offsetX, p.y + offsetY, radius);
+    }
+    return g;
+  }
+
+  async newSave() {
+    const name = prompt("Name this save:");
+    if (!name) return;
+    await this.saveSlot(name.trim());
+  }
+
+  async overwriteSlot(slot) {
+    if (!confirm(`Overwrite save "${slot}"?`)) return;
+    await this.saveSlot(slot);
+  }
+
+  async saveSlot(slot) {
+    try {
+      await this.gameScene.saveSnapshot(this.level, slot);
+    } catch (error) {
+      this.statusText.setText(`Couldn't save: ${error.message}`);
+      return;
+    }
+    this.refresh();
+  }
+
+  async loadSlot(slot) {
+    this.statusText.setText(`Loading "${slot}"...`);
+    await this.gameScene.loadSnapshot(this.level, slot);
+    this.close();
+  }
+
+  async deleteSlot(slot) {
+    if (!confirm(`Delete save "${slot}"?`)) return;
+    try {
+      await api.deleteSave(this.gameId, this.level, slot);
+    } catch (error) {
+      console.error("Error deleting save:", error);
+    }
+    this.refresh();
+  }
+
+  // downloads the slot as one save file, handy for bug reports
+  exportSlot(slot) {
+    const a = document.createElement("a");
+    a.href = api.exportSaveUrl(this.gameId, this.level, slot);
+    a.download = `${this.level}-${slot}.civ0.json`;
+    a.click();
+  }
+
+  // uploads a save file and starts a new game from it
+  importFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json";
+
+    input.addEventListener("change", async (event) => {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch (error) {
+        alert("That file isn't valid JSON.");
+        return;
+      }
+
+      let data;
+      try {
+        data = await api.importSave(bundle);
+      } catch (error) {
+        console.error("Error importing save:", error);
+        return;
+      }
+
+      // restarts the paused game scene on the new game and closes this one
+      this.scene.start("game", {
+        level: data.game.level,
+        gameId: data.game.id,
+        slot: data.slot,
+      });
+    });
+
+    input.click();
+  }
+
+  close() {
+    this.scene.resume("game");
+    this.scene.stop();
+  }
+}
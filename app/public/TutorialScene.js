@@ -30,8 +30,8 @@ export class TutorialScene extends Phaser.Scene {
 
     // Draw tiles
     for (const tileData of levelData.tiles) {
-      const { q, r, color } = tileData;
-      const tile = new Tile(this, q, r, offsetX, offsetY, parseInt(color));
+      const { q, r, color, terrain } = tileData;
+      const tile = new Tile(this, q, r, offsetX, offsetY, parseInt(color), terrain);
       this.tiles.set(`${q},${r}`, tile);
     }
 
@@ -1,7 +1,6 @@
 // UnitProgression.js
 // Lightweight unit list + 5-round tier progression HUD for Phaser 3.
 
-import UnitTray from "./lib/unitTray.js";
 import Unit from "./lib/unit.js"; // used when spawning from the tray
 
 export default class unitProgression {
@@ -29,7 +28,7 @@ export default class unitProgression {
     this.bg = null;
     this.title = null;
     this.list = null;
-    this.rows = []; // { unit, container, tray, label, lockOverlay }
+    this.rows = []; // { unit, container, label, lockOverlay, traySprite, cost }
 
     this._onResize = this._onResize.bind(this);
     this._onTurnChanged = this._onTurnChanged.bind(this);
@@ -46,20 +45,26 @@ export default class unitProgression {
 
   updateTrayAffordability(playerGold) {
     for (const row of this.rows) {
-      if (!row?.tray) continue;
+      if (!row) continue;
       // locked rows don’t need an affordance change
       if (row.unit.tier > this.unlockedTier) continue;
 
-      if (row.tray.cost != null) {
-        row.tray.setAffordable(playerGold >= row.tray.cost);
+      if (row.cost != null) {
+        row.label.setColor(playerGold >= row.cost ? "#ffffff" : "#999aa7");
       }
     }
   }
 
-  /** Call when your round changes (if you don’t emit "turn:changed"). */
-  applyRound(round) {
+  /**
+   * Call when your round changes (if you don’t emit "turn:changed").
+   * @param {number} round
+   * @param {number} [tier] the player's unlocked tier when it isn't the round's (academies)
+   */
+  applyRound(round, tier) {
     const safeRound = Number.isFinite(round) ? round : 1;
-    const newTier = Math.floor((Math.max(1, safeRound) - 1) / this.turnsPerTier) + 1;
+    const newTier = Number.isFinite(tier)
+      ? tier
+      : Math.floor((Math.max(1, safeRound) - 1) / this.turnsPerTier) + 1;
     if (newTier !== this.unlockedTier) {
       this.unlockedTier = newTier;
       this.onTierUnlock?.(this.unlockedTier);
@@ -93,7 +98,7 @@ export default class unitProgression {
   }
 
   _onTurnChanged(payload) {
-    this.applyRound(payload?.round ?? this._currentRound());
+    this.applyRound(payload?.round ?? this._currentRound(), payload?.tier);
   }
 
   _onResize(size) {
@@ -150,29 +155,18 @@ _rebuildRows() {
   for (const u of this.units) {
     const row = this.scene.add.container(0, y);
 
-    // Build the tray first
-    const tray = new UnitTray(
-      this.scene,
-      36,              // x (within the left panel)
-      30,              // y (within the row)
-      u.iconKey,       // texture key (matches your preloaded asset)
-      "Player 1",      // owner label used by your UnitTray
-      Unit,            // Unit class
-      u.id             // unit id / name
-    );
-
-    // If UnitTray didn't produce a sprite (bad/missing icon), make a placeholder
-    let traySprite = tray.sprite;
-    if (!traySprite) {
-      console.warn("[UnitProgression] Tray sprite missing for", u);
-      traySprite = this.scene.add.rectangle(36, 30, 34, 34, 0x666666).setOrigin(0.5);
-    }
+    // Icon, click it then one of your empty tiles to buy the unit there
+    const traySprite = this.scene.add
+      .image(36, 30, this._safeIconKey(u.iconKey))
+      .setDisplaySize(40, 40);
+    traySprite.on("pointerdown", () => this.scene.startPlacing?.(u.name));
 
-    // Label
+    // Label, the cost comes from the game's unit types
+    const cost = this.scene.state?.unitType(u.name)?.cost;
     const label = this.scene.add.text(
       left + 48,
       12,
-      `${u.name}  (T${u.tier}) — ?`,
+      `${u.name}  (T${u.tier}) — ${cost ?? "?"}`,
       {
         fontFamily: '"JetBrains Mono", monospace',
         fontSize: "16px",
@@ -180,11 +174,6 @@ _rebuildRows() {
       }
     );
 
-    // Update label once cost is fetched
-    tray.onCostLoaded = (cost) => {
-      label.setText(`${u.name}  (T${u.tier}) — ${cost ?? "?"}`);
-    };
-
     // Lock overlay (DECLARE BEFORE USING in row.add)
     const lockOverlay = this.scene.add
       .rectangle(0, 0, this.panelWidth, rowH, 0x000000, 0.45)
@@ -203,7 +192,7 @@ _rebuildRows() {
     this.list.add(row);
 
     // Track the row parts we need later
-    this.rows.push({ unit: u, container: row, tray, label, lockOverlay, traySprite });
+    this.rows.push({ unit: u, container: row, label, lockOverlay, traySprite, cost });
 
     y += rowH;
   }
@@ -211,6 +200,7 @@ _rebuildRows() {
   // Lay out and apply locks for the current round
   this._layout(this.scene.scale.width, this.scene.scale.height);
   this._renderLocks();
+  if (typeof this.scene.playerGold === "number") this.updateTrayAffordability(this.scene.playerGold);
 }
 
 // --- make sure this method also exists (this is what _buildUI calls) ---
@@ -225,10 +215,10 @@ _layout(w, h) {
       const locked = row.unit.tier > this.unlockedTier;
       row.lockOverlay.setVisible(locked);
 
-      if (row.tray?.sprite) {
-        row.tray.sprite.disableInteractive();
-        if (!locked) row.tray.sprite.setInteractive({ useHandCursor: true });
-        row.tray.sprite.setAlpha(locked ? 0.35 : 1);
+      if (row.traySprite) {
+        row.traySprite.disableInteractive();
+        if (!locked) row.traySprite.setInteractive({ useHandCursor: true });
+        row.traySprite.setAlpha(locked ? 0.35 : 1);
    }
 
     row.label.setAlpha(locked ? 0.6 : 1);
@@ -1,65 +1,177 @@
-let { Pool } = require("pg");
-let env = require("../../env.json");
-let pool = new Pool(env);
-const SelectEntity = require("../selectEntity");
-const selectEntity = new SelectEntity(pool);
+const { isRuleError, statusFor } = require("../rules");
+
+// thrown when an attack isn't allowed, status is the HTTP status to answer with
+class CombatError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
 
 // class of functions for when a unit attacks another unit or structure
+// the server is the only place attacks are resolved, the client animates the result
+// the rules themselves are in public/rules, see GameState.attack and attackStructure
 class Combat {
-  constructor(pool) {
+  constructor(pool, games) {
     this.pool = pool;
-    this.selectEntity = selectEntity;
+    this.games = games;
   }
 
-  async attack(attackerId, victimId) {
-    const attackerState = await this.selectEntity.getUnitState(attackerId);
-    const attackerType = attackerState.unit_type;
-    const attackerDmg = (await this.selectEntity.getUnitDamage(attackerType)).row[0].damage;
-
-    const victimState = await this.selectEntity.getUnitState(victimId);
-    const victimHP = victimState.current_health;
+  // loads the game's state, throws a CombatError if its level is gone
+  async loadState(game) {
+    const state = await this.games.loadState(game);
+    if (!state) {
+      throw new CombatError(404, "UNKNOWN_LEVEL", `Level ${game.level} not found`);
+    }
+    return state;
+  }
 
-    // total victim health
-    const totalVHP = victimHP - attackerDmg;
-    if (totalVHP <= 0) {
-      // temp console.log, delete when our game is playable
-      console.log(`Unit ${victimId} Defeated!`);
-      // await this.selectEntity.removeUnit({ id: victimId});
-      await this.selectEntity.removeUnit(victimId);
-    } else {
-      // temp console.log, delete when our game is playable
-      console.log(`Unit ${victimId} New HP: ${totalVHP}`);
-      await this.selectEntity.updateUnitHealth(victimId, totalVHP);
+  // Resolves one attack: checks it, applies the blow and the victim's
+  // retaliation (see GameState.attack), removes whoever dies and, when the
+  // victim died next to the attacker, moves the attacker onto its tile and
+  // captures the tile, whoever lives gains experience
+  // Returns {
+  //   attacker: { id, q_pos, r_pos, moves_left, current_health, defeated, xp },
+  //   victim: { id, current_health, defeated, xp },
+  //   damage, retaliation,
+  //   captured: { q, r, owner } or null,
+  //   rolls: the random numbers it drew, for the client to apply it with
+  // }
+  async attack(attackerId, victimId, game) {
+    const state = await this.loadState(game);
+    let result;
+    try {
+      result = state.apply({ type: "attack", attackerId, victimId });
+    } catch (error) {
+      if (!isRuleError(error)) throw error;
+      throw new CombatError(statusFor(error.code), error.code, error.message);
     }
+    const { attacker, victim, captured } = result;
 
-    await this.selectEntity.updateUnitMove(attackerId, false);
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      if (victim.defeated) {
+        await client.query("DELETE FROM units_state WHERE id = $1 AND game_id = $2", [victim.id, game.id]);
+      } else {
+        await client.query("UPDATE units_state SET current_health = $1, xp = $2 WHERE id = $3 AND game_id = $4", [
+          victim.health,
+          victim.xp,
+          victim.id,
+          game.id,
+        ]);
+      }
 
-    return { victimId, hp: Math.max(totalVHP, 0) }
+      if (attacker.defeated) {
+        await client.query("DELETE FROM units_state WHERE id = $1 AND game_id = $2", [attacker.id, game.id]);
+      } else {
+        // attacking uses up the rest of the turn and ends a fortify or sleep order
+        await client.query(
+          "UPDATE units_state SET q_pos = $1, r_pos = $2, current_health = $3, xp = $4, moves_left = 0, can_move = false, status = NULL, acted = true WHERE id = $5 AND game_id = $6",
+          [attacker.q, attacker.r, attacker.health, attacker.xp, attacker.id, game.id],
+        );
+      }
+
+      if (captured) await this.games.writeTileOwner(client, game.id, captured, state.round);
+      await this.games.logAction(client, game.id, state.log.at(-1));
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return {
+      attacker: {
+        id: attacker.id,
+        q_pos: attacker.q,
+        r_pos: attacker.r,
+        moves_left: 0,
+        current_health: attacker.health,
+        defeated: attacker.defeated,
+        xp: attacker.xp,
+      },
+      victim: { id: victim.id, current_health: victim.health, defeated: victim.defeated, xp: victim.xp },
+      damage: result.damage,
+      retaliation: result.retaliation,
+      captured,
+      rolls: result.rolls,
+    };
   }
 
-  // checks the attack range of a unit across the tiles
-  // a_q: attacker column position
-  // a_r: attacker row position
-  // a_range: range of attacker from units_data
-  // v_q: victim column position
-  // v_r: victim row position
-  async check_range(a_q, a_r, a_range, v_q, v_r) {
-    const a_s = -a_q - a_r;
-    const v_s = -v_q - v_r;
+  // Resolves a unit attacking the structure at q, r: checks it, applies the
+  // attacker's blow and, when it drops to 0, hands the structure and its tile to the
+  // attacker's side, see GameState.attackStructure
+  // Returns {
+  //   attacker: { id, q_pos, r_pos, moves_left },
+  //   structure: { structure_type, owned_by, q_pos, r_pos, current_health },
+  //   damage,
+  //   captured: { q, r, owner } or null,
+  //   rolls: the random numbers it drew, for the client to apply it with
+  // }
+  async attackStructure(attackerId, q, r, game) {
+    const state = await this.loadState(game);
+    let result;
+    try {
+      result = state.apply({ type: "attack_structure", attackerId, q, r });
+    } catch (error) {
+      if (!isRuleError(error)) throw error;
+      throw new CombatError(statusFor(error.code), error.code, error.message);
+    }
+    const { attacker, structure, captured } = result;
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        "UPDATE structures_state SET current_health = $1 WHERE game_id = $2 AND q_pos = $3 AND r_pos = $4",
+        [structure.health, game.id, q, r],
+      );
+      // attacking ends a fortify or sleep order too
+      await client.query("UPDATE units_state SET moves_left = 0, can_move = false, status = NULL, acted = true WHERE id = $1 AND game_id = $2", [
+        attacker.id,
+        game.id,
+      ]);
+      if (captured) await this.games.writeTileOwner(client, game.id, captured, state.round);
+      await this.games.logAction(client, game.id, state.log.at(-1));
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    const dist = Math.max(Math.abs(a_q - v_q), Math.abs(a_r - v_r), Math.abs(a_s - v_s));
-    return dist <= a_range;
+    return {
+      attacker: { id: attacker.id, q_pos: attacker.q, r_pos: attacker.r, moves_left: 0 },
+      structure: {
+        structure_type: structure.type,
+        owned_by: structure.owner,
+        q_pos: structure.q,
+        r_pos: structure.r,
+        current_health: structure.health,
+      },
+      damage: result.damage,
+      captured,
+      rolls: result.rolls,
+    };
   }
 
-  // returns true if enemy is detected within the unit's range
-  // returns false if no enemy is within range
-  // from units_state
-  async can_attack(id) {
-    let command = `SELECT can_move FROM units_state WHERE id = $1`;
-    let boolVal = await pool.query(command, pos, id);
-    return boolVal;
+  // returns true if the victim is in the attacker's range and line of sight
+  // a victim in the fog of war of the attacker's side isn't found
+  async check_range(attackerId, victimId, game) {
+    const state = await this.loadState(game);
+    const attacker = state.unit(attackerId);
+    const victim = state.unit(victimId);
+    if (!attacker || !victim || !state.visibleTiles(attacker.owner).has(`${victim.q},${victim.r}`)) {
+      throw new CombatError(404, "UNKNOWN_UNIT", "Unit not found");
+    }
+    return state.canTarget(attacker, victim);
   }
 }
 
-module.exports = Combat;
+Combat.CombatError = CombatError;
 
+module.exports = Combat;
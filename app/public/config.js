@@ -0,0 +1,12 @@
+// Client settings, change these when the game server isn't the one serving
+// the page (ex: running the client from a static host)
+export default {
+  // origin of the game server, "" for the server that served the page
+  // ex: "http://localhost:3000"
+  apiOrigin: "",
+
+  // times a request is tried again after a network error or a 502/503/504
+  retries: 2,
+  // wait before the first retry, doubled each retry after that
+  retryDelayMs: 300,
+};
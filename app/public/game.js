@@ -4,6 +4,10 @@ import { TutorialScene } from "./TutorialScene.js";
 import { LevelSelect } from "./level_select.js";
 import { MapCreatorScene } from "./MapCreatorScene.js";
 import { HowTo } from "./howTo.js";
+import { SaveLoadScene } from "./SaveLoadScene.js";
+import { ReplayScene } from "./ReplayScene.js";
+import { onError } from "./lib/api.js";
+import { showToast, topScene } from "./lib/toast.js";
 
 console.log("hello");
 
@@ -11,7 +15,7 @@ const game = new Phaser.Game({
   width: window.innerWidth,
   height: window.innerHeight,
   parent: "game",
-  scene: [Menu, GameScene, LevelSelect, MapCreatorScene, HowTo, TutorialScene],
+  scene: [Menu, GameScene, LevelSelect, MapCreatorScene, HowTo, TutorialScene, SaveLoadScene, ReplayScene],
   backgroundColor: 0x191970,
   scale: {
     mode: Phaser.Scale.RESIZE,
@@ -19,6 +23,12 @@ const game = new Phaser.Game({
   },
 });
 
+// failed server requests show up on whichever scene is on top
+onError((error) => {
+  const scene = topScene(game);
+  if (scene) showToast(scene, error.message);
+});
+
 window.addEventListener("resize", () => {
   game.scale.resize(window.innerWidth, window.innerHeight);
 });
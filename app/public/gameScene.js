@@ -1,42 +1,11 @@
 import Tile from "./lib/tile.js";
 import Unit from "./lib/unit.js";
-import EnemyAI from "./lib/enemyAI.js";
+import Structure from "./lib/structure.js";
 import UnitProgression from "./UnitProgression.js";
-import { supabase } from "./supabaseClient.js";
 import UnitTray from "./lib/unitTray.js";
-
-// Helper: fetch the catalog from Supabase (falls back to local list if needed)
-function fetchUnitsFromSupabase() {
-  return supabase
-    .from("units_data")
-    .select("name,tier")
-    .order("tier")
-    .order("name")
-    .then(({ data, error }) => {
-      if (error) {
-        console.error("supabase units_data error:", error);
-        return [];
-      }
-      // Map Supabase names -> asset keys you actually loaded
-      // e.g. "Warrior" -> "warrior", "Horseman" -> "horseman"
-      return (data || []).map((u) => {
-        const key = String(u.name || "")
-          .toLowerCase()
-          .trim()
-          .replace(/\s+/g, ""); // if you ever had spaces in names
-        return {
-          id: key, // use the safe key internally
-          name: u.name, // display pretty name
-          tier: u.tier ?? 1,
-          iconKey: key, // MUST match this.load.image(...) key
-        };
-      });
-    })
-    .catch((e) => {
-      console.error("fetchUnitsFromSupabase error:", e);
-      return [];
-    });
-}
+import * as api from "./lib/api.js";
+import { showToast } from "./lib/toast.js";
+import { GameState, HUMAN_PLAYER, STRUCTURE_TYPES, STRUCTURE_ICONS, PROMOTIONS, describeVictory } from "./rules/index.js";
 
 export class GameScene extends Phaser.Scene {
   constructor() {
@@ -48,14 +17,14 @@ export class GameScene extends Phaser.Scene {
     this.turnIndex = 0;
     this.round = 1;
 
-    this.AIs = [];
-
     this.turnText = null;
     this.endTurnBtn = null;
     this.goldText = null;
 
     this.tiles = new Map();
     this.units = [];
+    // the rules engine's copy of the game, see loadState()
+    this.state = null;
 
     this.highlightedTiles = [];
 
@@ -67,14 +36,28 @@ export class GameScene extends Phaser.Scene {
 
   init(data) {
     this.level = data.level;
+    // set when resuming a game, otherwise a new game is created in create()
+    this.gameId = data.gameId ?? null;
+    // save slot to restore once the board is built (imported saves)
+    this.startSlot = data.slot ?? null;
 
     // Reset scene-level state
     this.players = ["Player 1"];
     this.turnIndex = 0;
     this.round = 1;
-    this.AIs = [];
     this.tiles = new Map();
     this.units = [];
+    // drawn structures by "q,r", see renderStructures()
+    this.structures = new Map();
+    this.explored = new Set(); // keys of the tiles the player has seen, see renderFog()
+    this.state = null;
+    this.turnInProgress = false;
+    // moves and purchases taken back this turn, newest last, see undo()
+    this.redoStack = [];
+    // unit type picked in the Units panel, see startPlacing()
+    this.placingType = null;
+    // structure type picked from the build buttons, see startBuilding()
+    this.buildingType = null;
     this.highlightedTiles = [];
     this.selectedUnit = null;
     this.targetUnit = null;
@@ -82,6 +65,13 @@ export class GameScene extends Phaser.Scene {
     this.turnText = null;
     this.endTurnBtn = null;
     this.goldText = null;
+    this.undoBtn = null;
+    this.redoBtn = null;
+    this.upgradeBtn = null;
+    this.promoteBtns = [];
+    this.buildBtns = [];
+    this.fortifyBtn = null;
+    this.sleepBtn = null;
   }
 
   get playerGold() {
@@ -135,7 +125,17 @@ export class GameScene extends Phaser.Scene {
 
     try {
       say("load level json from cache");
-      const levelData = this.cache.json.get(this.level);
+      let levelData = this.cache.json.get(this.level);
+
+      // resuming a custom map that isn't in this browser: use the game's copy
+      let resumed = null;
+      if (this.gameId) {
+        resumed = await this.fetchGame(this.gameId);
+        if (!levelData && resumed?.level_data) {
+          levelData = resumed.level_data;
+          this.cache.json.add(this.level, levelData);
+        }
+      }
 
       if (!levelData) {
         // If for some reason the json wasn't in cache, try to (re)queue it and wait.
@@ -150,20 +150,24 @@ export class GameScene extends Phaser.Scene {
       }
 
       // ========== PLAYERS ==========
-      say("seed players (Supabase guarded)");
-      try {
-        await supabase.from("players").delete().neq("id", 0);
-        // Build AI list before inserting rows
-        for (let i = 1; i < levelData.num_enemies + 1; i++) {
-          const aiName = "AI " + i;
-          this.players.push(aiName);
-          this.AIs.push(new EnemyAI(this, aiName));
+      say("create or resume game");
+      // the computer players, before creating the game's player rows, the
+      // server plays their turns (see advanceTurn())
+      for (let i = 1; i < levelData.num_enemies + 1; i++) {
+        this.players.push("AI " + i);
+      }
+      if (!resumed) {
+        try {
+          this.gameId = await this.createGame(levelData);
+        } catch (e) {
+          // the server's refusal has already been shown as a toast, there's
+          // no game to set the board up for
+          console.error("Couldn't create the game", e);
+          if (!(e instanceof api.ApiError)) showToast(this, `Couldn't create the game: ${e.message}`);
+          say("Couldn't create the game");
+          this.createBackButton();
+          return;
         }
-        await supabase
-          .from("players")
-          .insert(this.players.map((name) => ({ name })));
-      } catch (e) {
-        console.warn("[players] ignoring error:", e);
       }
 
       // ========== GRID ==========
@@ -190,9 +194,9 @@ export class GameScene extends Phaser.Scene {
       this.tiles = new Map();
 
       for (const tileData of levelData.tiles) {
-        const { q, r, color } = tileData;
+        const { q, r, color, terrain } = tileData;
         const tileColor = parseInt(color);
-        const tile = new Tile(this, q, r, offsetX, offsetY, tileColor);
+        const tile = new Tile(this, q, r, offsetX, offsetY, tileColor, terrain);
 
         for (const [playerName, playerColor] of Object.entries(playerColors)) {
           if (tileColor === playerColor) {
@@ -207,6 +211,7 @@ export class GameScene extends Phaser.Scene {
           .zone(tile.x, tile.y, hexWidth * 0.9, hexHeight * 0.9)
           .setRectangleDropZone(hexWidth * 0.9, hexHeight * 0.9);
         dz.setData("tileObj", tile);
+        dz.on("pointerdown", () => this.onTileClick(tile));
       }
 
       this.input.setTopOnly(true);
@@ -217,34 +222,34 @@ export class GameScene extends Phaser.Scene {
       this.turnText.setText(`Round: ${this.round}`);
       this.goldText.setText(`Gold: ${this.playerGold}`);
 
-      // Persistent state (guard Supabase failures so we still render)
-      say("load persisted turn & tiles (guarded)");
+      // Persistent state (guard server failures so we still render)
+      say("load game state: turn, tiles, gold & units (guarded)");
       try {
-        await this.loadTurnState(this.level);
+        await this.loadState();
       } catch (e) {
-        console.warn("loadTurnState", e);
-      }
-      try {
-        await this.loadTiles(this.level);
-      } catch (e) {
-        console.warn("loadTiles", e);
+        console.warn("loadState", e);
       }
 
       // ========== UNIT PROGRESSION PANEL ==========
       say("build UnitProgression panel");
-      let unitCatalog = [];
+      const fallbackUnits = [
+        { id: "scout", name: "scout", tier: 1 },
+        { id: "slinger", name: "slinger", tier: 1 },
+        { id: "warrior", name: "warrior", tier: 1 },
+        { id: "archer", name: "archer", tier: 2 },
+        { id: "horseman", name: "horseman", tier: 2 },
+        { id: "swordsman", name: "swordsman", tier: 2 },
+        { id: "chariot", name: "chariot", tier: 3 },
+        { id: "knight", name: "knight", tier: 3 },
+        { id: "lancer", name: "lancer", tier: 3 },
+        { id: "musketeer", name: "musketeer", tier: 4 },
+      ];
 
-      unitCatalog = await (async () => {
+      const unitCatalog = await (async () => {
         try {
-          const { data, error } = await supabase
-            .from("units_data")
-            .select("name,tier")
-            .order("tier")
-            .order("name");
+          const data = await api.getUnitCatalog();
 
-          if (error) throw error;
-
-          // Normalize Supabase data
+          // Normalize server data
           const normalized = (data || []).map((u) => {
             const key = String(u.name || "")
               .toLowerCase()
@@ -261,9 +266,8 @@ export class GameScene extends Phaser.Scene {
           // ✅ Fallback check: if preload doesn’t have a texture, drop it
           return normalized.filter((u) => this.textures.exists(u.iconKey));
         } catch (e) {
-          console.warn("Supabase failed, using fallbackUnits:", e);
+          console.warn("units_data failed, using fallbackUnits:", e);
 
-          // fallbackUnits is your static array
           return fallbackUnits.map((u) => {
             const key = u.id.toLowerCase().trim();
             return { ...u, id: key, iconKey: key };
@@ -271,19 +275,6 @@ export class GameScene extends Phaser.Scene {
         }
       })();
 
-      const fallbackUnits = [
-        { id: "scout", name: "scout", tier: 1 },
-        { id: "slinger", name: "slinger", tier: 1 },
-        { id: "warrior", name: "warrior", tier: 1 },
-        { id: "archer", name: "archer", tier: 2 },
-        { id: "horseman", name: "horseman", tier: 2 },
-        { id: "swordsman", name: "swordsman", tier: 2 },
-        { id: "chariot", name: "chariot", tier: 3 },
-        { id: "knight", name: "knight", tier: 3 },
-        { id: "lancer", name: "lancer", tier: 3 },
-        { id: "musketeer", name: "musketeer", tier: 4 },
-      ];
-
       // UnitProgression is robust to missing textures now
       this.unitUI = new UnitProgression(this, {
         units: unitCatalog.length ? unitCatalog : fallbackUnits,
@@ -292,53 +283,61 @@ export class GameScene extends Phaser.Scene {
       });
 
       // Apply current round to lock/unlock tiers
-      this.unitUI.applyRound(this.round ?? 1);
-
-      // ========== UNITS FROM DB ==========
-      say("load units_state (guarded)");
-      try {
-        await this.loadUnitDataFromDB();
-      } catch (e) {
-        console.warn("loadUnitDataFromDB", e);
-      }
+      this.unitUI.applyRound(this.round ?? 1, this.state?.tierFor(HUMAN_PLAYER));
 
       // Keyboard & interactions
       this.input.keyboard.on("keydown-SPACE", () => this.advanceTurn());
+      // Ctrl+Z undo, Ctrl+Y or Ctrl+Shift+Z redo
+      this.input.keyboard.on("keydown-Z", (event) => {
+        if (!event.ctrlKey && !event.metaKey) return;
+        if (event.shiftKey) this.redo();
+        else this.undo();
+      });
+      this.input.keyboard.on("keydown-Y", (event) => {
+        if (event.ctrlKey || event.metaKey) this.redo();
+      });
+      this.input.keyboard.on("keydown-ESC", () => this.cancelPlacing());
+      this.input.keyboard.on("keydown-U", () => this.upgradeSelected());
+      this.input.keyboard.on("keydown-F", () => this.fortifySelected());
+      this.input.keyboard.on("keydown-S", () => this.sleepSelected());
 
       this.scale.on("resize", (size) => {
         const x = size.width - 260;
         if (this.turnText) this.turnText.setPosition(x, 20);
         if (this.endTurnBtn) this.endTurnBtn.setPosition(x, 92);
         if (this.goldText) this.goldText.setPosition(x, 160);
+        if (this.undoBtn) this.undoBtn.setPosition(x, 204);
+        if (this.redoBtn) this.redoBtn.setPosition(x + 120, 204);
+        if (this.upgradeBtn) this.upgradeBtn.setPosition(x, 248);
+        this.promoteBtns.forEach(({ btn }, i) => btn.setPosition(x - 190, 248 + i * 40));
+        this.buildBtns.forEach(({ btn }, i) => btn.setPosition(x, 292 + i * 40));
+        const ordersY = 292 + this.buildBtns.length * 40;
+        if (this.fortifyBtn) this.fortifyBtn.setPosition(x, ordersY);
+        if (this.sleepBtn) this.sleepBtn.setPosition(x + 130, ordersY);
       });
 
+      // click a unit of yours, then an enemy or enemy structure, to attack it
       this.input.on("gameobjectdown", async (_pointer, obj) => {
         if (obj.unitId) {
-          const unit = this.units.find((u) => u.id === obj.unitId);
+          const unit = this.units.find((u) => u.id_num === obj.unitId);
           if (unit) this.onUnitClick(unit);
+        } else if (obj.structureObj) {
+          this.onStructureClick(obj.structureObj);
         }
       });
 
       this.selectedUnit = null;
 
-      (this.units || []).forEach((unit) => {
-        unit.sprite.setInteractive();
-        unit.sprite.on("pointerdown", () => {
-          if (!this.selectedUnit) {
-            if (unit.owner === "Player 1") this.selectedUnit = unit;
-            return;
-          }
-          if (this.selectedUnit && unit.owner !== this.selectedUnit.owner) {
-            this.combat(this.selectedUnit.id, unit.id);
-            this.selectedUnit = null;
-          }
-        });
-      });
-
       this.createResetButton();
+      this.createLogButton();
       this.createBackButton();
       this.createSaveLoadButtons();
 
+      if (this.startSlot) {
+        say(`load save "${this.startSlot}"`);
+        await this.loadSnapshot(this.level, this.startSlot);
+      }
+
       say("Game ready ✅");
       // Remove the debug text once we’re sure the scene is running
       this.time.delayedCall(800, () => dbg.destroy());
@@ -349,6 +348,22 @@ export class GameScene extends Phaser.Scene {
     }
   }
 
+  // creates the game on the server (with its players) and returns its id
+  async createGame(levelData) {
+    const game = await api.createGame(this.level, levelData, this.players);
+    return game.id;
+  }
+
+  // gets a saved game from the server, null if it's gone
+  async fetchGame(gameId) {
+    try {
+      return await api.getGame(gameId);
+    } catch (error) {
+      console.error("Error resuming game:", error);
+      return null;
+    }
+  }
+
   shutdown() {
     this.unitUI?.destroy();
   }
@@ -366,52 +381,50 @@ export class GameScene extends Phaser.Scene {
     return this.players[(this.turnIndex + 1) % this.players.length];
   }
 
-  checkWinLose() {
-    const allTiles = Array.from(this.tiles.values());
-    const allPlayer = allTiles.filter((t) => t.owner === "Player 1").length;
-    const allEnemy = allTiles.filter(
-      (t) => t.owner && t.owner.startsWith("AI"),
-    ).length;
-
-    if (allEnemy === 0) this.showEndScreen("win");
-    else if (allPlayer === 0) this.showEndScreen("lose");
+  // returns true if the game is over, by one of the level's victory
+  // conditions (see rules/victory.js)
+  // victory: what the server's end of turn decided, this.state doesn't see
+  // the units in the fog of war to decide it
+  checkWinLose(victory) {
+    if (victory) this.showEndScreen(victory);
+    return Boolean(victory);
   }
 
+  // ends the player's turn, has the server play each computer player's turn
+  // and hands it back (a game left on a computer's turn picks up from it)
   async advanceTurn() {
-    const current = this.currentPlayer();
-
-    if (current === "Player 1") {
-      // refresh movement
-      this.units.forEach((u) => {
-        if (u.owner === current) u.incrementTurn();
-      });
+    if (this.turnInProgress) return;
+    this.turnInProgress = true;
 
-      // gold income
-      const ownedTileCount = Array.from(this.tiles.values()).filter(
-        (t) => t.owner === current,
-      ).length;
-      this.playerGold += ownedTileCount * 5;
-
-      // AIs act
-      for (const ai of this.AIs) {
-        ai.newTurn();
-        ai.takeTurn();
+    let victory = null;
+    try {
+      if (this.currentPlayer() === HUMAN_PLAYER) ({ victory } = await this.endTurn());
+      while (!victory && this.currentPlayer() !== HUMAN_PLAYER) {
+        ({ victory } = await api.computerTurn(this.gameId));
+        // only what the player sees of the computer's turn comes back
+        await this.loadState();
       }
-
-      // round advance + unlocks
-      this.round += 1;
-      this.turnIndex = 0;
-      this.unitUI.applyRound(this.round);
+      if (this.checkWinLose(victory)) return;
+    } catch (e) {
+      // the server refused, it has already been shown as a toast
+      console.error("advanceTurn failed", e);
+      await this.loadState().catch(() => {});
+      return;
+    } finally {
+      this.turnInProgress = false;
     }
 
-    this.game.events.emit("turn:changed", { round: this.round });
+    this.game.events.emit("turn:changed", { round: this.round, tier: this.state?.tierFor(HUMAN_PLAYER) });
 
     this.renderTurnHud();
-    this.checkWinLose();
 
-    // persist
-    await this.saveTurnState(this.level);
-    await this.saveTiles(this.level);
+    // autosave, a failed save has already been shown as a toast
+    try {
+      await this.saveTurnState(this.level);
+      await this.saveTiles(this.level);
+    } catch (e) {
+      console.error("autosave failed", e);
+    }
   }
 
   createResetButton() {
@@ -426,16 +439,12 @@ export class GameScene extends Phaser.Scene {
       .setInteractive();
 
     btn.on("pointerdown", async () => {
-      const level = this.level;
-      await supabase.from("tiles_state").delete().eq("level", level);
-      await supabase.from("turn_state").delete().eq("level", level);
-      await supabase.from("units_state").delete(); // optional
-      await supabase.from("players").delete().neq("id", 0); // optional
-
-      // Reset local state
-      this.round = 1;
-      this.turnIndex = 0;
-      this.playerGold = 100;
+      try {
+        await api.resetGame(this.gameId);
+      } catch (e) {
+        console.error("Reset failed:", e);
+        return;
+      }
 
       // Repaint tiles from level JSON
       const levelData = this.cache.json.get(this.level);
@@ -443,13 +452,12 @@ export class GameScene extends Phaser.Scene {
         const key = `${t.q},${t.r}`;
         const tile = this.tiles.get(key);
         if (tile) {
-          tile.setColor(parseInt(t.color));
+          tile.setColor(parseInt(t.color), true);
           tile.setOwner(null);
         }
       }
 
-      this.unitUI.applyRound?.(this.round);
-      this.renderTurnHud();
+      await this.loadState(); // clears the board's units
       console.log("Reset complete.");
     });
 
@@ -458,6 +466,31 @@ export class GameScene extends Phaser.Scene {
     );
   }
 
+  // downloads the game's action log, for bug reports
+  // (replay it with npm run replay)
+  createLogButton() {
+    const btn = this.add
+      .text(this.scale.width - 80, this.scale.height - 200, "🐞 Log", {
+        fontSize: "16px",
+        backgroundColor: "#555555",
+        color: "#ffffff",
+        padding: { x: 10, y: 5 },
+      })
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true });
+
+    btn.on("pointerdown", () => {
+      const a = document.createElement("a");
+      a.href = api.exportLogUrl(this.gameId);
+      a.download = `game-${this.gameId}-log.json`;
+      a.click();
+    });
+
+    this.scale.on("resize", (size) =>
+      btn.setPosition(size.width - 80, size.height - 200),
+    );
+  }
+
   createBackButton() {
     const backBtn = this.add
       .text(this.scale.width - 80, this.scale.height - 40, "← Back", {
@@ -506,20 +539,9 @@ export class GameScene extends Phaser.Scene {
       .setOrigin(0.5)
       .setInteractive();
 
-    saveBtn.on("pointerdown", () => {
-      const level = this.level;
-      this.saveTurnState(level);
-      this.saveTiles(level);
-    });
-
-    loadBtn.on("pointerdown", async () => {
-      const level = this.level;
-      await this.loadTurnState(level);
-      await this.loadTiles(level);
-      await this.loadUnitDataFromDB();
-      this.unitUI.applyRound(this.round); // keep unlocks in sync after load
-      this.renderTurnHud();
-    });
+    // both open the save slot browser, it has save, load, overwrite and delete
+    saveBtn.on("pointerdown", () => this.openSaveBrowser("save"));
+    loadBtn.on("pointerdown", () => this.openSaveBrowser("load"));
 
     saveBtn.on("pointerover", () => {
       saveBtn.setTint(0xaaaaaa);
@@ -545,6 +567,19 @@ export class GameScene extends Phaser.Scene {
     });
   }
 
+  openSaveBrowser(mode) {
+    this.scene.launch("save_load", { mode, level: this.level, gameId: this.gameId });
+    this.scene.pause();
+  }
+
+  // restores turn state, tiles, gold, units and structures from a save slot,
+  // the server puts them back and the board is loaded again from it
+  async loadSnapshot(level, slot) {
+    await api.loadSlot(this.gameId, level, slot);
+    this.redoStack = [];
+    await this.loadState();
+  }
+
   createTurnHud() {
     const x = this.scale.width - 260;
 
@@ -575,9 +610,163 @@ export class GameScene extends Phaser.Scene {
       backgroundColor: "#444",
       padding: { x: 12, y: 8 },
     });
+
+    this.undoBtn = this.add
+      .text(x, 204, "↶ Undo", {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "16px",
+        color: "#ffffff",
+        backgroundColor: "#444444",
+        padding: { x: 12, y: 8 },
+      })
+      .setInteractive({ useHandCursor: true })
+      .on("pointerdown", () => this.undo());
+
+    this.redoBtn = this.add
+      .text(x + 120, 204, "↷ Redo", {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "16px",
+        color: "#ffffff",
+        backgroundColor: "#444444",
+        padding: { x: 12, y: 8 },
+      })
+      .setInteractive({ useHandCursor: true })
+      .on("pointerdown", () => this.redo());
+
+    // shown while one of the player's units that can upgrade is selected
+    this.upgradeBtn = this.add
+      .text(x, 248, "", {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "16px",
+        color: "#ffffff",
+        backgroundColor: "#6a4c93",
+        padding: { x: 12, y: 8 },
+      })
+      .setInteractive({ useHandCursor: true })
+      .setVisible(false)
+      .on("pointerdown", () => this.upgradeSelected());
+
+    // one button per promotion, shown while one of the player's units that
+    // has earned a promotion is selected, left of the upgrade button
+    this.promoteBtns = Object.entries(PROMOTIONS).map(([name, promotion], i) => ({
+      name,
+      btn: this.add
+        .text(x - 190, 248 + i * 40, `★ ${promotion.label}`, {
+          fontFamily: '"JetBrains Mono", monospace',
+          fontSize: "16px",
+          color: "#ffffff",
+          backgroundColor: "#8a6d1f",
+          padding: { x: 12, y: 8 },
+        })
+        .setInteractive({ useHandCursor: true })
+        .setVisible(false)
+        .on("pointerdown", () => this.promoteSelected(name)),
+    }));
+
+    // one button per structure the player can build, dimmed when they can't
+    // afford it
+    this.buildBtns = STRUCTURE_TYPES.filter((t) => t.buildable !== false).map((type, i) => ({
+      type: type.name,
+      btn: this.add
+        .text(x, 292 + i * 40, "", {
+          fontFamily: '"JetBrains Mono", monospace',
+          fontSize: "16px",
+          color: "#ffffff",
+          backgroundColor: "#5c4b2e",
+          padding: { x: 12, y: 8 },
+        })
+        .setInteractive({ useHandCursor: true })
+        .on("pointerdown", () => this.startBuilding(type.name)),
+    }));
+
+    // shown while one of the player's units is selected, under the build buttons
+    const ordersY = 292 + this.buildBtns.length * 40;
+    const orderStyle = {
+      fontFamily: '"JetBrains Mono", monospace',
+      fontSize: "16px",
+      color: "#ffffff",
+      backgroundColor: "#3d5a45",
+      padding: { x: 12, y: 8 },
+    };
+    this.fortifyBtn = this.add
+      .text(x, ordersY, "🛡 Fortify [F]", orderStyle)
+      .setInteractive({ useHandCursor: true })
+      .setVisible(false)
+      .on("pointerdown", () => this.fortifySelected());
+    this.sleepBtn = this.add
+      .text(x + 130, ordersY, "", orderStyle)
+      .setInteractive({ useHandCursor: true })
+      .setVisible(false)
+      .on("pointerdown", () => this.sleepSelected());
+
+    this.renderUndoButtons();
+    this.renderBuildButtons();
+  }
+
+  renderBuildButtons() {
+    for (const { type, btn } of this.buildBtns) {
+      const cost = this.state?.structureType(type)?.cost ?? STRUCTURE_TYPES.find((t) => t.name === type).cost;
+      btn.setText(`${STRUCTURE_ICONS[type] ?? ""} ${type} (${cost} gold)`);
+      btn.setAlpha(this.isPlayersTurn() && this.playerGold >= cost ? 1 : 0.4);
+    }
   }
 
-  showEndScreen(result) {
+  // shows what the selected unit upgrades into and for how much, dimmed
+  // when the tier is locked or the player can't afford it
+  renderUpgradeButton() {
+    if (!this.upgradeBtn) return;
+    const unit = this.selectedUnit?.stateUnit();
+    const target = unit && unit.owner === HUMAN_PLAYER ? this.state.upgradeTarget(unit) : undefined;
+    this.upgradeBtn.setVisible(Boolean(target));
+    if (!target) return;
+
+    let allowed = true;
+    try {
+      this.state.checkUpgrade(unit.id);
+    } catch (error) {
+      allowed = false;
+    }
+    this.upgradeBtn.setText(`⬆ ${target.name} (${this.state.upgradeCost(unit)} gold) [U]`);
+    this.upgradeBtn.setAlpha(allowed && this.isPlayersTurn() ? 1 : 0.4);
+  }
+
+  // shows the promotions the selected unit can pick, none when it hasn't
+  // earned one
+  renderPromoteButtons() {
+    const unit = this.selectedUnit?.stateUnit();
+    const choices = unit && unit.owner === HUMAN_PLAYER ? this.state.promotionChoices(unit) : [];
+    let row = 0;
+    for (const { name, btn } of this.promoteBtns) {
+      const shown = choices.includes(name);
+      btn.setVisible(shown);
+      if (shown) btn.setY(248 + row++ * 40).setAlpha(this.isPlayersTurn() ? 1 : 0.4);
+    }
+  }
+
+  // shows fortify and sleep for the selected unit, or wake when it already
+  // has one of them
+  renderOrderButtons() {
+    if (!this.fortifyBtn) return;
+    const unit = this.selectedUnit?.stateUnit();
+    const shown = Boolean(unit) && unit.owner === HUMAN_PLAYER;
+    const alpha = this.isPlayersTurn() ? 1 : 0.4;
+    this.fortifyBtn.setVisible(shown && !unit.status).setAlpha(alpha);
+    this.sleepBtn.setVisible(shown).setAlpha(alpha);
+    if (shown) this.sleepBtn.setText(unit.status ? "⏰ Wake [S]" : "💤 Sleep [S]");
+  }
+
+  // dims undo/redo when there's nothing to take back or put back
+  renderUndoButtons() {
+    this.undoBtn?.setAlpha(this.canUndo() ? 1 : 0.4);
+    this.redoBtn?.setAlpha(this.canRedo() ? 1 : 0.4);
+  }
+
+  // victory: { outcome, condition, player }, see GameState.victoryState
+  showEndScreen(victory) {
+    const result = victory.outcome;
+    const titles = { win: "YOU WIN!", lose: "YOU LOSE!", draw: "DRAW" };
+    const colors = { win: "#00ff00", lose: "#ff0000", draw: "#ffd700" };
+
     this.input.keyboard.removeAllListeners();
     this.unitUI?.destroy();
     // (no UnitTray anymore)
@@ -596,16 +785,26 @@ export class GameScene extends Phaser.Scene {
       .text(
         this.scale.width / 2,
         this.scale.height / 2 - 50,
-        result === "win" ? "YOU WIN!" : "YOU LOSE!",
+        titles[result],
         {
           fontSize: "64px",
           fontStyle: "bold",
-          color: result === "win" ? "#00ff00" : "#ff0000",
+          color: colors[result],
         },
       )
       .setOrigin(0.5)
       .setDepth(101);
 
+    // which condition ended the game
+    this.add
+      .text(this.scale.width / 2, this.scale.height / 2 + 2, describeVictory(victory), {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "22px",
+        color: "#ffffff",
+      })
+      .setOrigin(0.5)
+      .setDepth(101);
+
     const button = this.add
       .text(
         this.scale.width / 2,
@@ -628,289 +827,506 @@ export class GameScene extends Phaser.Scene {
   }
 
   renderTurnHud() {
-    this.turnText.setText(`Round: ${this.round}`);
+    // a score victory ends the game after its last round
+    const limit = this.state?.victory.find((c) => c.type === "score")?.rounds;
+    this.turnText.setText(limit ? `Round: ${this.round} / ${limit}` : `Round: ${this.round}`);
+    // units with moves left that haven't been fortified or put to sleep
+    const waiting = this.isPlayersTurn() ? this.state.pendingUnits(HUMAN_PLAYER).length : 0;
+    this.endTurnBtn.setText(waiting > 0 ? `End Turn (Space) · ${waiting} waiting` : "End Turn (Space)");
     this.goldText.setText(`Gold: ${this.playerGold}`);
   }
 
-  // ===== Supabase-backed loads =====
-  async loadUnitDataFromDB() {
+  // ===== Game state =====
+  // this.state is the rules engine's copy of the game (see rules/gameState.js),
+  // built from the server's rows and kept in step by applying every action
+  // the server accepts to it, the board is drawn from it
+  // it only has the enemy units the player sees and this turn's actions, the
+  // server keeps the rest
+
+  async loadState() {
+    const [turnState, tiles, players, units, structures, unitTypes, structureTypes, actions, explored] = await Promise.all([
+      api.getTurnState(this.gameId),
+      api.getTiles(this.gameId),
+      api.getPlayers(this.gameId),
+      api.getUnits(this.gameId),
+      api.getStructures(this.gameId),
+      api.getUnitCatalog(),
+      api.getStructureCatalog(),
+      api.getTurnActions(this.gameId),
+      api.getExplored(this.gameId),
+    ]);
+    this.state = GameState.fromRows({
+      level: this.cache.json.get(this.level),
+      tiles,
+      units,
+      structures,
+      players,
+      unitTypes,
+      structureTypes,
+      turnState,
+      log: actions,
+    });
+    this.explored = new Set(explored);
+    this.renderUnits();
+    this.renderState();
+  }
+
+  // applies an action the server accepted to this.state
+  // the server has the final say, if the copy disagrees it's loaded again
+  // a new action means what was undone can't be redone (redo() puts the
+  // rest of its stack back itself)
+  // Returns the engine's result, or null if the state had to be reloaded
+  async applyAction(action) {
+    if (!this.state) return null;
+    this.redoStack = [];
     try {
-      const { data, error } = await supabase
-        .from("units_state")
-        .select(
-          "id, unit_type, current_health, owned_by, q_pos, r_pos, moves_left",
-        );
-      if (error) throw error;
+      const result = this.state.apply(action);
+      this.renderState();
+      return result;
+    } catch (error) {
+      console.warn(`State out of step with the server (${error.code}), reloading`, error);
+      await this.loadState();
+      return null;
+    }
+  }
 
-      // clear existing
-      this.units.forEach((u) => u.sprite.destroy());
-      this.units = [];
+  // ends the current player's turn on the server and in this.state
+  async endTurn() {
+    const result = await api.endTurn(this.gameId, this.currentPlayer());
+    const local = await this.applyAction({ type: "end_turn" });
+    if (local && (local.turn !== result.turn || local.gold !== result.gold)) {
+      await this.loadState();
+    }
+    return result;
+  }
 
-      for (const row of data) {
-        const unit = new this.Unit(
-          this,
-          row.q_pos,
-          row.r_pos,
-          row.unit_type,
-          row.owned_by,
-        );
-        unit.id_num = row.id;
-        unit.id = row.unit_type;
-        unit.sprite.unitId = row.id;
-        unit.movesLeft = row.moves_left ?? 1;
+  // ===== Undo =====
+  // the human player can take back their moves, purchases, upgrades, builds
+  // and unit orders until they attack or end the turn, the server keeps the
+  // log (see GameState.undo) and the redo stack lives here
 
-        const tile = this.tiles.get(`${row.q_pos},${row.r_pos}`);
-        if (tile) {
-          tile.unit = unit;
-          unit.boundTile = tile;
-          unit.sprite.x = tile.x;
-          unit.sprite.y = tile.y;
-          unit.startX = tile.x;
-          unit.startY = tile.y;
-        }
+  isPlayersTurn() {
+    return Boolean(this.state) && !this.turnInProgress && this.currentPlayer() === HUMAN_PLAYER;
+  }
 
-        unit.sprite.setInteractive();
-        unit.sprite.on("pointerdown", () => {
-          if (!this.selectedUnit) {
-            if (unit.owner === "Player 1") this.selectedUnit = unit;
-            return;
-          }
-          if (this.selectedUnit && unit.owner !== this.selectedUnit.owner) {
-            this.combat(this.selectedUnit.id, unit.id_num);
-            this.selectedUnit = null;
-          }
-        });
+  canUndo() {
+    return this.isPlayersTurn() && Boolean(this.state.undoable());
+  }
 
-        if (unit.movesLeft <= 0) unit.sprite.setTint(0x888888);
-        this.units.push(unit);
+  canRedo() {
+    return this.isPlayersTurn() && this.redoStack.length > 0;
+  }
+
+  // takes back the last move, purchase, upgrade or build on the server, then
+  // on the board (an undone build is dropped by renderStructures())
+  async undo() {
+    if (!this.canUndo()) return;
+    this.turnInProgress = true;
+    try {
+      const result = await api.undo(this.gameId);
+      const local = this.state.undo();
+      // a bought unit's id is action.id, a moved one's action.unitId
+      const unitId = local.action.id ?? local.action.unitId;
+      if (local.action.type !== result.action.type || unitId !== (result.action.id ?? result.action.unitId)) {
+        throw new Error("undid a different action than the server");
       }
-    } catch (error) {
-      console.error("Error loading units from Supabase:", error);
+
+      const unit = this.units.find((u) => u.id_num === unitId);
+      if (local.action.type === "buy") {
+        unit?.remove();
+      } else if (local.action.type === "upgrade") {
+        await unit?.setType(local.unit.type, local.unit.health);
+      } else if (local.action.type === "move") {
+        const tile = this.tiles.get(`${local.unit.q},${local.unit.r}`);
+        if (unit && tile) unit.moveToTile(tile);
+      }
+      this.redoStack.push(local.action);
+    } catch (e) {
+      // the server refused, it has already been shown as a toast
+      console.warn("undo failed", e);
+      this.redoStack = [];
+      await this.loadState().catch(() => {});
+    } finally {
+      this.turnInProgress = false;
     }
+    this.renderState();
   }
 
-  // (still local endpoints; migrate later if needed)
-  async checkUnitRange(attackerId, victimId) {
+  // makes the last undone move or purchase again, through the server like
+  // the first time
+  async redo() {
+    if (!this.canRedo()) return;
+    const stack = this.redoStack;
+    const action = stack.pop();
+    this.turnInProgress = true;
     try {
-      const res = await fetch(
-        `/detect_units?attackId=${attackerId}&enemyId=${victimId}`,
-      );
-      return await res.json();
-    } catch (error) {
-      console.error("Error checking range:", error);
-      return false;
+      let done = null;
+      if (action.type === "buy") {
+        done = await this.buyUnit(action.player, action.unitType, action.q, action.r);
+        // the unit is bought again under a new id, later moves follow it
+        if (done) {
+          for (const a of stack) if (a.unitId === action.id) a.unitId = done.id_num;
+        }
+      } else if (action.type === "upgrade") {
+        const unit = this.units.find((u) => u.id_num === action.unitId);
+        if (unit) done = await this.upgradeUnit(unit);
+      } else if (action.type === "build") {
+        done = await this.buildStructure(action.player, action.structureType, action.q, action.r);
+      } else if (action.type !== "move") {
+        const unit = this.units.find((u) => u.id_num === action.unitId);
+        if (unit) done = await this.orderUnit(unit, action.type);
+      } else {
+        const unit = this.units.find((u) => u.id_num === action.unitId);
+        const tile = this.tiles.get(`${action.q},${action.r}`);
+        if (unit && tile) done = await unit.moveTo(tile);
+      }
+      // a redo the server refuses leaves nothing after it to redo
+      this.redoStack = done ? stack : [];
+    } finally {
+      this.turnInProgress = false;
     }
+    this.renderUndoButtons();
   }
 
-  async onUnitClick(unit) {
-    if (!this.selectedUnit) {
-      if (unit.owner !== this.currentPlayer()) return;
-      this.selectedUnit = unit;
-    } else {
-      if (unit.owner === this.currentPlayer()) return;
-      this.targetUnit = unit;
-
-      const inRange = await this.checkUnitRange(
-        this.selectedUnit.id,
-        this.targetUnit.id,
-      );
-      if (inRange) await this.combat(this.selectedUnit.id, this.targetUnit.id);
-      this.selectedUnit = null;
-      this.targetUnit = null;
+  // ===== Buying =====
+
+  // picks a unit type from the Units panel, the next click on one of the
+  // player's empty tiles buys it there (Esc cancels)
+  startPlacing(unitType) {
+    this.cancelPlacing();
+    if (!this.isPlayersTurn()) return;
+    this.placingType = unitType;
+    for (const t of this.state.ownedTiles(HUMAN_PLAYER)) {
+      const tile = this.tiles.get(`${t.q},${t.r}`);
+      if (!tile || tile.unit) continue;
+      tile.setColor(0x66ff66);
+      this.highlightedTiles.push(tile);
     }
   }
 
-  async combat(attackerId, victimId) {
-    try {
-      let res = await fetch(
-        `/combat?attackerId=${attackerId}&victimId=${victimId}`,
-      );
-      let data = await res.json();
+  // picks a structure from the build buttons, the next click on one of the
+  // player's tiles without a structure builds it there (Esc cancels)
+  startBuilding(structureType) {
+    this.cancelPlacing();
+    if (!this.isPlayersTurn()) return;
+    this.buildingType = structureType;
+    for (const t of this.state.ownedTiles(HUMAN_PLAYER)) {
+      const tile = this.tiles.get(`${t.q},${t.r}`);
+      if (!tile || this.state.structure(t.q, t.r)) continue;
+      tile.setColor(0xffcc66);
+      this.highlightedTiles.push(tile);
+    }
+  }
 
-      if (data.error) {
-        console.error("Error:", data.error);
-        return;
-      }
+  cancelPlacing() {
+    if (!this.placingType && !this.buildingType) return;
+    this.placingType = null;
+    this.buildingType = null;
+    this.clearHighlightedTiles();
+  }
 
-      if (data.victimUpdated && data.victimUpdated.current_health > 0) {
-        let victimUnit = this.units.find((u) => u.id === victimId);
-        if (victimUnit) {
-          console.log(
-            `Victim ${victimId} now has ${data.victimUpdated.current_health} HP`,
-          );
-        }
-      }
+  async onTileClick(tile) {
+    if (!this.placingType && !this.buildingType) return;
+    const unitType = this.placingType;
+    const structureType = this.buildingType;
+    this.cancelPlacing();
+    if (!this.isPlayersTurn()) return;
+    if (structureType) await this.buildStructure(HUMAN_PLAYER, structureType, tile.q, tile.r);
+    else await this.buyUnit(HUMAN_PLAYER, unitType, tile.q, tile.r);
+  }
 
-      if (data.victimDefeated) {
-        let victimIndex = this.units.findIndex((u) => u.id === victimId);
-        if (victimIndex !== -1) {
-          this.units[victimIndex].sprite.destroy();
-          this.units.splice(victimIndex, 1);
-        }
-      }
+  // builds a structure through the server, then in this.state, which draws it
+  // Returns the server's result, or null if the build was refused
+  async buildStructure(player, structureType, q, r) {
+    let result;
+    try {
+      result = await api.buildStructure(this.gameId, structureType, q, r, player);
     } catch (error) {
-      console.error("Error, combat request failed:", error);
+      console.warn(`Build refused (${error.code}): ${error.message}`);
+      return null;
     }
+
+    await this.applyAction({ type: "build", player, structureType, q, r });
+    return result;
   }
 
-  // ===== Supabase persistence for round/tiles =====
-  /*
-  saveTurnState(level) {
-    return supabase
-      .from("turn_state")
-      .upsert({
-        level,
-        round: this.round,
-        turn: this.turnIndex,
-        gold: this.playerGold,
-        updated_at: new Date().toISOString(),
-      })
-      .then(({ error }) => {
-        if (error) console.error("saveTurnState error", error);
-        else console.log("Turn state saved!");
-      });
+  // buys a unit through the server, then adds it to this.state and the board
+  // Returns the new Unit, or null if the purchase was refused
+  async buyUnit(player, unitType, q, r) {
+    let result;
+    try {
+      result = await api.initiateUnit(this.gameId, unitType, q, r, player);
+    } catch (error) {
+      console.warn(`Purchase refused (${error.code}): ${error.message}`);
+      return null;
+    }
+
+    const bought = await this.applyAction({ type: "buy", player, unitType, q, r, id: result.unit.id });
+    if (!bought) return this.units.find((u) => u.id_num === result.unit.id) ?? null;
+    return this.addUnit(bought.unit);
   }
 
-  async loadTurnState(level) {
-    const { data, error } = await supabase
-      .from("turn_state")
-      .select("round, turn, gold")
-      .eq("level", level)
-      .single();
+  // upgrades a unit through the server, then in this.state and on the board
+  // Returns the server's result, or null if the upgrade was refused
+  async upgradeUnit(unit) {
+    let result;
+    try {
+      result = await api.upgradeUnit(this.gameId, unit.id_num);
+    } catch (error) {
+      console.warn(`Upgrade refused (${error.code}): ${error.message}`);
+      return null;
+    }
 
-    if (error && error.code !== "PGRST116") {
-      console.error("loadTurnState error", error);
-      return;
+    await this.applyAction({ type: "upgrade", unitId: unit.id_num });
+    await unit.setType(result.unit.unit_type, result.unit.current_health);
+    return result;
+  }
+
+  // gives a unit a promotion through the server, then in this.state, the
+  // board redraws its chevrons
+  // Returns the updated units_state row, or null if it was refused
+  async promoteUnit(unit, promotion) {
+    let row;
+    try {
+      row = await api.promoteUnit(this.gameId, unit.id_num, promotion);
+    } catch (error) {
+      console.warn(`Promotion refused (${error.code}): ${error.message}`);
+      return null;
     }
 
-    if (data) {
-      this.round = data.round;
-      this.turnIndex = data.turn;
-      this.playerGold = data.gold;
-    } else {
-      await supabase
-        .from("turn_state")
-        .insert({ level, round: 1, turn: 0, gold: this.playerGold });
+    await this.applyAction({ type: "promote", unitId: unit.id_num, promotion });
+    return row;
+  }
+
+  promoteSelected(promotion) {
+    const unit = this.selectedUnit;
+    if (!unit || unit.owner !== HUMAN_PLAYER || !this.isPlayersTurn()) return;
+    return this.promoteUnit(unit, promotion);
+  }
+
+  // gives a unit an order through the server, then in this.state, the board
+  // redraws its icon
+  // order: "fortify", "sleep" or "wake", see GameState.order
+  // Returns the updated units_state row, or null if it was refused
+  async orderUnit(unit, order) {
+    let row;
+    try {
+      row = await api.orderUnit(this.gameId, unit.id_num, order);
+    } catch (error) {
+      console.warn(`Order refused (${error.code}): ${error.message}`);
+      return null;
     }
+
+    await this.applyAction({ type: order, unitId: unit.id_num });
+    return row;
   }
 
-  saveTiles(level) {
-    const rows = Array.from(this.tiles.values()).map((t) => ({
-      level,
-      q: t.q,
-      r: t.r,
-      color: t.baseColor,
-      owner: t.owner || null,
-      updated_at: new Date().toISOString(),
-    }));
+  fortifySelected() {
+    const unit = this.selectedUnit;
+    if (!unit || unit.owner !== HUMAN_PLAYER || !this.isPlayersTurn() || unit.stateUnit()?.status) return;
+    return this.orderUnit(unit, "fortify");
+  }
 
-    supabase
-      .from("tiles_state")
-      .upsert(rows, { onConflict: "level,q,r" })
-      .then(({ error }) => {
-        if (error) console.error("saveTiles error", error);
-        else console.log("Tiles saved!");
-      });
+  // puts the selected unit to sleep, or wakes it if it's asleep or fortified
+  sleepSelected() {
+    const unit = this.selectedUnit;
+    if (!unit || unit.owner !== HUMAN_PLAYER || !this.isPlayersTurn()) return;
+    return this.orderUnit(unit, unit.stateUnit()?.status ? "wake" : "sleep");
   }
 
-  async loadTiles(level) {
-    const { data, error } = await supabase
-      .from("tiles_state")
-      .select("q, r, color, owner")
-      .eq("level", level);
+  upgradeSelected() {
+    const unit = this.selectedUnit;
+    if (!unit || unit.owner !== HUMAN_PLAYER || !this.isPlayersTurn()) return;
+    return this.upgradeUnit(unit);
+  }
 
-    if (error) {
-      console.error("loadTiles error", error);
-      return;
+  // puts a unit of this.state on the board
+  addUnit(stateUnit) {
+    const unit = new this.Unit(
+      this,
+      stateUnit.q,
+      stateUnit.r,
+      stateUnit.type,
+      stateUnit.owner,
+      stateUnit.type,
+      stateUnit.id,
+    );
+    unit.sprite.unitId = stateUnit.id;
+    unit.movesLeft = stateUnit.movesLeft ?? 0;
+    unit.currentHealth = stateUnit.health;
+    if (unit.movesLeft <= 0) unit.sprite.setTint(0x888888);
+    this.fogUnit(unit);
+
+    this.units.push(unit);
+    return unit;
+  }
+
+  // replaces the board's units with this.state's
+  renderUnits() {
+    this.units.forEach((u) => u.destroy());
+    this.units = [];
+
+    for (const stateUnit of this.state.units.values()) {
+      if (!this.tiles.has(`${stateUnit.q},${stateUnit.r}`)) continue;
+      this.addUnit(stateUnit);
     }
+  }
 
-    for (const row of data) {
-      const key = `${row.q},${row.r}`;
-      const tile = this.tiles.get(key);
+  // brings the board's structures in line with this.state: draws new ones,
+  // recolors and updates the health of the rest and drops the ones that
+  // are gone (an undone build)
+  renderStructures() {
+    for (const [k, structure] of this.structures) {
+      if (this.state.structure(structure.q, structure.r)?.type === structure.type) continue;
+      structure.destroy();
+      this.structures.delete(k);
+    }
+    for (const s of this.state.structures.values()) {
+      const k = `${s.q},${s.r}`;
+      const tile = this.tiles.get(k);
       if (!tile) continue;
-      tile.setColor(Number(row.color));
-      tile.setOwner(row.owner || null);
+      const drawn = this.structures.get(k);
+      if (drawn) {
+        drawn.update(s);
+      } else {
+        const maxHealth = this.state.structureType(s.type)?.health ?? s.health;
+        this.structures.set(k, new Structure(this, tile, s, maxHealth));
+      }
     }
-    console.log("Tiles loaded.");
   }
-  */
 
-  saveTable(level, table) {
-    fetch("/save", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        level,
-        table,
-        data: this.extractTableData(table),
-      }),
-    });
-  }
+  // brings the HUD, tile owners, structures and units' moves and health in
+  // line with this.state
+  renderState() {
+    const state = this.state;
+    this.round = state.round;
+    this.turnIndex = state.turn;
+
+    for (const t of state.tiles.values()) {
+      const tile = this.tiles.get(`${t.q},${t.r}`);
+      if (!tile || tile.owner === t.owner) continue;
+      tile.setOwner(t.owner);
+      // a tile nobody owns anymore (an undone move) goes back to its level color
+      if (!t.owner && t.color !== null) tile.setColor(t.color, true);
+    }
 
-  saveTurnState(level) {
-    fetch("/save", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        level,
-        table: "turn_state",
-        data: { turn: this.turnIndex, round: this.round },
-      }),
-    });
+    for (const unit of this.units) {
+      const stateUnit = state.unit(unit.id_num);
+      if (!stateUnit) continue;
+      unit.movesLeft = stateUnit.movesLeft ?? 0;
+      unit.currentHealth = stateUnit.health;
+      if (unit.maxHealth) unit.updateTint(); // healed at an amphitheater
+      if (unit.movesLeft > 0) unit.sprite.clearTint();
+      else unit.sprite.setTint(0x888888);
+      // only the player's own units show the promotions they can pick
+      unit.setRank(stateUnit.promotions?.length ?? 0, unit.owner === HUMAN_PLAYER ? state.pendingPromotions(stateUnit) : 0);
+      unit.setStatus(stateUnit.status);
+    }
+
+    this.playerGold = state.player(HUMAN_PLAYER)?.gold ?? this.playerGold;
+    this.unitUI?.applyRound(this.round, state.tierFor(HUMAN_PLAYER));
+    this.renderStructures();
+    this.renderFog();
+    if (this.turnText) this.renderTurnHud();
+    this.renderUndoButtons();
+    this.renderUpgradeButton();
+    this.renderPromoteButtons();
+    this.renderOrderButtons();
+    this.renderBuildButtons();
   }
 
-  saveTiles(level) {
-    const tilesData = Array.from(this.tiles.values()).map((tile) => ({
-      q: tile.q,
-      r: tile.r,
-      color: tile.baseColor,
-      owner: tile.owner || null,
-    }));
-    fetch("/save", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ level, table: "tiles", data: tilesData }),
-    });
+  // the fog of war: tiles the player sees are clear, ones they've explored
+  // are greyed out and ones they've never seen are blacked out with their
+  // structures, enemy units out of sight are hidden (see GameState.visibleTiles)
+  renderFog() {
+    const visible = this.state.visibleTiles(HUMAN_PLAYER);
+    for (const k of visible) this.explored.add(k);
+    for (const [k, tile] of this.tiles) {
+      tile.setFog(visible.has(k) ? null : this.explored.has(k) ? "explored" : "hidden");
+    }
+    for (const [k, structure] of this.structures) structure.setVisible(this.explored.has(k));
+    for (const unit of this.units) this.fogUnit(unit, visible);
   }
 
-  async importTable(level, table) {
-    const res = await fetch(`/load?level=${level}&table=${table}`);
-    const data = await res.json();
-    if (!data.success) throw new Error(data.error);
+  // hides an enemy unit the player can't see, where this.state has it (the
+  // sprite may still be on its way)
+  // visible: the player's visible tiles when they're already worked out
+  fogUnit(unit, visible = this.state.visibleTiles(HUMAN_PLAYER)) {
+    const at = this.state.unit(unit.id_num) ?? unit;
+    unit.hidden = unit.owner !== HUMAN_PLAYER && !visible.has(`${at.q},${at.r}`);
+    unit.sprite.setVisible(!unit.hidden);
+  }
 
-    // Clear and reinsert table data into DB
-    await fetch(`/clear_table?name=${table}`, { method: "POST" });
-    for (let row of data.data) {
-      await fetch(`/insert_row?table=${table}`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(row),
-      });
+  async onUnitClick(unit) {
+    if (unit.owner === this.currentPlayer()) {
+      // select it, to attack with it or upgrade it
+      this.selectedUnit = unit;
+    } else if (this.selectedUnit) {
+      const attacker = this.selectedUnit;
+      this.selectedUnit = null;
+      await this.combat(attacker, unit);
     }
+    this.renderUpgradeButton();
+    this.renderPromoteButtons();
+    this.renderOrderButtons();
   }
 
-  async loadTurnState(level) {
-    const res = await fetch(`/load?level=${level}&table=turn_state`);
-    const data = await res.json();
-    if (data.success) {
-      this.turnIndex = data.data.turn;
-      this.round = data.data.round;
-      this.renderTurnHud();
-    }
+  // a click on a structure is a click on its tile while placing, otherwise
+  // the selected unit attacks it
+  async onStructureClick(structure) {
+    if (this.placingType || this.buildingType) return this.onTileClick(structure.tile);
+    const attacker = this.selectedUnit;
+    if (!attacker || attacker.owner === structure.owner) return;
+    this.selectedUnit = null;
+    if (attacker.movesLeft > 0) await attacker.attackStructure(structure);
+    this.renderUpgradeButton();
+    this.renderPromoteButtons();
+    this.renderOrderButtons();
   }
 
-  async loadTiles(level) {
-    const res = await fetch(`/load?level=${level}&table=tiles`);
-    const data = await res.json();
-    if (data.success) {
-      for (const tileData of data.data) {
-        const key = `${tileData.q},${tileData.r}`;
-        const tile = this.tiles.get(key);
-        if (tile) {
-          tile.setColor(parseInt(tileData.color));
-          tile.setOwner(tileData.owner || null);
-        }
-      }
+  // the server checks the range and resolves the attack, the attacker
+  // animates whatever it decided
+  async combat(attacker, victim) {
+    if (attacker.movesLeft <= 0) return;
+    const result = await attacker.attack(victim);
+    if (result && !result.attacker.defeated && attacker.movesLeft <= 0) attacker.sprite.setTint(0x888888);
+  }
+
+  // what the client knows about a save table
+  // the server saves its own turn_state, tiles, players, units_state and
+  // structures_state
+  extractTableData(table) {
+    switch (table) {
+      case "ai_state":
+        return this.players
+          .filter((name) => name !== HUMAN_PLAYER)
+          .map((name) => ({ name, gold: this.state?.player(name)?.gold ?? 0 }));
+      default:
+        return undefined;
     }
   }
+
+  saveTable(level, table) {
+    return api.save(this.gameId, level, table, this.extractTableData(table));
+  }
+
+  saveTurnState(level) {
+    return this.saveTable(level, "turn_state");
+  }
+
+  saveTiles(level) {
+    return this.saveTable(level, "tiles");
+  }
+
+  // turn state, tiles, gold, units and structures in one save
+  // slot: the save slot name, the server uses the autosave if it's left out
+  saveSnapshot(level, slot) {
+    return api.save(
+      this.gameId,
+      level,
+      "snapshot",
+      { ai_state: this.extractTableData("ai_state") },
+      slot,
+    );
+  }
 }
@@ -33,19 +33,37 @@ export class HowTo extends Phaser.Scene {
     // Instruction text
     let instructions = this.add.text(leftX + 100, centerY, 
       "Goal:\n" + 
-      "Color the entire map in your own team color\n\n" +
+      "Color the entire map in your own team color\n" +
+      "Some maps can also be won by territory, score, wiping out the enemy or holding the Tower of Babel\n\n" +
       "Buying Units:\n" +
-      "Left Click and drag the units on the left to any tile you own\n" +
-      "Each unit has their own health, range, movement, and cost\n\n" +
+      "Click a unit on the left, then any empty tile you own\n" +
+      "Each unit has their own health, range, movement, and cost\n" +
+      "Click one of your units and press U to upgrade it for the difference in cost\n" +
+      "The build buttons on the right put structures (towns, barracks...) on your tiles\n\n" +
       "Movement:\n" +
-      "Each unit can move a certain amount of spaces\n" +
-      "Units can only move once per turn\n" +
-      "When a unit moves onto a tile, that unit claims it\n\n" +
+      "Drag a unit as far as its moves reach, the white line shows the way it will go\n" +
+      "Forests and hills cost 2 moves and protect units on them, roads cost half\n" +
+      "Mountains and water can't be crossed\n" +
+      "Moves left over can be spent later in the turn, enemy units block the way\n" +
+      "Stepping next to an enemy unit ends the move (not on every map)\n" +
+      "When a unit moves onto a tile, that unit claims it (on some maps every tile it passes)\n\n" +
+      "Fog of War:\n" +
+      "You only see around your tiles, units and structures, scouts see furthest\n" +
+      "Enemy units out of sight are hidden, tiles you've explored stay greyed out\n\n" +
       "Combat:\n" +
       "Left Click and drag your unit to an enemy unit to do damage\n" +
-      "Each unit can attack once per turn\n\n" +
+      "Each unit can attack once per turn\n" +
+      "Hurt units hit softer, melee units strike back unless the attacker is ranged\n" +
+      "Dragging onto an enemy shows the damage you'd deal and take and your odds of a kill\n" +
+      "Every other unit of yours next to the enemy adds to the damage\n" +
+      "Units that survive fights earn promotions, select one with a white chevron to pick it\n" +
+      "Units that don't move or attack heal, faster on your own land\n" +
+      "Select a unit and press F to fortify it (+25% defense) or S to sleep, until it moves\n" +
+      "Ranged units can't shoot through forests, mountains or structures (purple targets)\n" +
+      "Attack an enemy structure down to 0 health to capture it\n\n" +
       "Turns:\n" +
       "You can advance a turn by pressing the SPACE bar\n" +
+      "Ctrl+Z / Ctrl+Y undo and redo your moves, buys and builds until you attack or end the turn\n" +
       "Top right shows current player's turn and the next player's turn\n" + 
       "There are an infinite amount of turns",
       {
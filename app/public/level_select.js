@@ -1,3 +1,5 @@
+import * as api from "./lib/api.js";
+
 export class LevelSelect extends Phaser.Scene {
   constructor() {
     super("level_select");
@@ -74,6 +76,15 @@ export class LevelSelect extends Phaser.Scene {
       align: "center",
     });
     
+    let resumeBtn = this.add.text(-500, centerY + 225, "Resume a Game", {
+      fontFamily: '"JetBrains Mono", monospace',
+      fontSize: "32px",
+      color: "#ffffff",
+      backgroundColor: "#333333",
+      padding: { x: 20, y: 10 },
+      align: "center",
+    });
+
     let backButton = this.add.text(-500, this.scale.height - 50, "Back", {
       fontFamily: '"JetBrains Mono", monospace',
       fontSize: "32px",
@@ -89,6 +100,7 @@ export class LevelSelect extends Phaser.Scene {
     level3.setOrigin(0.5);
     loadMapBtn.setOrigin(0.5);
     viewMapsBtn.setOrigin(0.5);
+    resumeBtn.setOrigin(0.5);
     backButton.setOrigin(0.5);
 
     this.menu.add(tutorialBtn);
@@ -98,6 +110,7 @@ export class LevelSelect extends Phaser.Scene {
     this.menu.add(backButton);
     this.menu.add(loadMapBtn);
     this.menu.add(viewMapsBtn);
+    this.menu.add(resumeBtn);
 
     this.tweens.add({
       targets: tutorialBtn,
@@ -155,6 +168,14 @@ export class LevelSelect extends Phaser.Scene {
       delay: 1000,
     });
 
+    this.tweens.add({
+      targets: resumeBtn,
+      x: centerX,
+      ease: "Sine.easeOut",
+      duration: 1000,
+      delay: 1200,
+    });
+
     tutorialBtn.setInteractive({ useHandCursor: true });
     level1.setInteractive({ useHandCursor: true });
     level2.setInteractive({ useHandCursor: true });
@@ -320,6 +341,88 @@ export class LevelSelect extends Phaser.Scene {
         this.mapButtons.push(btn, delBtn);
       });
     });
+
+    resumeBtn.setInteractive({ useHandCursor: true });
+    resumeBtn.on("pointerdown", () => this.showSavedGames());
+  }
+
+  // lists the games saved on the server on the right side of the screen
+  async showSavedGames() {
+    if (this.gameButtons) {
+      this.gameButtons.forEach(btn => btn.destroy());
+    }
+    this.gameButtons = [];
+
+    let games = [];
+    try {
+      games = await api.listGames();
+    } catch (error) {
+      console.error("Error listing games:", error);
+    }
+
+    if (games.length === 0) {
+      alert("No saved games found.");
+      return;
+    }
+
+    const x = this.cameras.main.centerX + 420;
+    const top = this.cameras.main.centerY - 225;
+
+    games.forEach((game, i) => {
+      const updated = new Date(game.updated_at).toLocaleString();
+      const btn = this.add.text(x, top + i * 50, `#${game.id} ${game.level} (${updated})`, {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "16px",
+        color: "#ffffff",
+        backgroundColor: "#444",
+        padding: { x: 10, y: 6 },
+      })
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true });
+
+      btn.on("pointerdown", () => {
+        this.scene.start("game", { level: game.level, gameId: game.id });
+      });
+
+      const replayBtn = this.add.text(x + btn.width / 2 + 30, top + i * 50, "▶", {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "16px",
+        color: "#55ff55",
+        backgroundColor: "#222",
+        padding: { x: 8, y: 6 },
+      })
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true });
+
+      // watch the game back from its first action
+      replayBtn.on("pointerdown", () => {
+        this.scene.start("replay", { gameId: game.id, level: game.level });
+      });
+
+      const delBtn = this.add.text(x + btn.width / 2 + 75, top + i * 50, "🗑️", {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "16px",
+        color: "#ff5555",
+        backgroundColor: "#222",
+        padding: { x: 8, y: 6 },
+      })
+      .setOrigin(0.5)
+      .setInteractive({ useHandCursor: true });
+
+      delBtn.on("pointerdown", async () => {
+        const confirmDelete = confirm(`Delete game #${game.id}?`);
+        if (!confirmDelete) return;
+
+        try {
+          await api.deleteGame(game.id);
+        } catch (error) {
+          console.error("Error deleting game:", error);
+        }
+        this.showSavedGames();
+      });
+
+      this.gameButtons.push(btn, replayBtn, delBtn);
+    });
   }
 
   showNameInput(callback) {
@@ -0,0 +1,450 @@
+// Everything the client asks the game server goes through here, so the
+// server's address, retries and error reporting live in one place.
+//
+// Each function resolves with the server's data (typed below) or rejects
+// with an ApiError. Failed requests are also passed to the onError
+// listeners, game.js shows them as a toast.
+
+import config from "../config.js";
+
+/**
+ * @typedef {{ id:number, level:string, level_data:object|null, created_at:string, updated_at:string }} Game
+ * @typedef {{ name:string, health:number, damage:number, move_range:number, attack_range:number, cost:number, upgradeable:string|null, tier:number, vision:number, role:string }} UnitData
+ * @typedef {{ id:number, game_id:number, unit_type:string, current_health:number, owned_by:string, q_pos:number, r_pos:number, can_move:boolean, moves_left:number, xp:number, promotions:string, status:string|null, acted:boolean }} UnitState
+ * @typedef {{ q:number, r:number, owner:string }} Capture
+ * @typedef {{ id:number, q_pos:number, r_pos:number, moves_left:number, path:{ q:number, r:number }[], captured:Capture|null, claimed:Capture[] }} MoveResult
+ * @typedef {{ attacker:{ id:number, q_pos:number, r_pos:number, moves_left:number, current_health:number, defeated:boolean, xp:number }, victim:{ id:number, current_health:number, defeated:boolean, xp:number }, damage:number, retaliation:number, captured:Capture|null, rolls:number[] }} CombatResult
+ * @typedef {{ name:string, health:number, cost:number }} StructureData
+ * @typedef {{ id:number, game_id:number, structure_type:string, current_health:number, owned_by:string|null, q_pos:number, r_pos:number }} StructureState
+ * @typedef {{ attacker:{ id:number, q_pos:number, r_pos:number, moves_left:number }, structure:{ structure_type:string, owned_by:string|null, q_pos:number, r_pos:number, current_health:number }, damage:number, captured:Capture|null, rolls:number[] }} StructureAttackResult
+ * @typedef {{ id:number, name:string, gold:number }} Player
+ * @typedef {{ q:number, r:number, color:number|null, owner:string|null }} TileState
+ * @typedef {{ round:number, turn:number }} TurnState
+ * @typedef {{ outcome:"win"|"lose"|"draw", condition:string, player:string }} Victory
+ * @typedef {{ round:number, turn:number, player:string, income:number, gold:number, healed:{ id:number, health:number }[], victory:Victory|null }} EndTurnResult
+ * @typedef {{ action:object, unit?:{ id:number, q:number, r:number, movesLeft:number }, tile?:Capture, tiles?:Capture[], unitId?:number, gold?:number }} UndoResult
+ * @typedef {{ game_id:number, level:string, level_data:object, seed:number|null, players:string[], unit_types:UnitData[], structure_types:StructureData[], actions:object[] }} GameLog
+ * @typedef {{ slot:string, saved_at:string, version:number, round:number, turn:number, gold:number, units:number, tiles:TileState[] }} SaveSummary
+ */
+
+export class ApiError extends Error {
+  // status: the HTTP status, 0 when the server couldn't be reached
+  // code: the server's error code when it sends one, ex: "TILE_OCCUPIED"
+  constructor(status, message, code = null) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+let baseUrl = String(config.apiOrigin || "").replace(/\/+$/, "");
+
+// points the client at another server, ex: setBaseUrl("http://localhost:3000")
+export function setBaseUrl(url) {
+  baseUrl = String(url || "").replace(/\/+$/, "");
+}
+
+export function getBaseUrl() {
+  return baseUrl;
+}
+
+// full url of a server path, for links the browser opens itself
+export function url(path) {
+  return `${baseUrl}${path}`;
+}
+
+const errorListeners = new Set();
+
+// listener(error) is called for every failed request that isn't quiet
+// Returns a function that removes the listener
+export function onError(listener) {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+}
+
+const transientStatus = [502, 503, 504];
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// fetches a server path and returns its json
+// body: sent as json
+// retry: try again on network errors and 502/503/504, on by default for
+//   GET and PUT only so a create isn't done twice
+// quiet: don't tell the error listeners, for errors the caller expects
+async function request(path, { method = "GET", body, retry, quiet = false } = {}) {
+  const options = { method };
+  if (body !== undefined) {
+    options.headers = { "Content-Type": "application/json" };
+    options.body = JSON.stringify(body);
+  }
+  const attempts = 1 + ((retry ?? (method === "GET" || method === "PUT")) ? config.retries : 0);
+
+  let error;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    if (attempt > 0) await wait(config.retryDelayMs * 2 ** (attempt - 1));
+
+    let res;
+    try {
+      res = await fetch(url(path), options);
+    } catch {
+      error = new ApiError(0, "Can't reach the game server");
+      continue;
+    }
+
+    const text = await res.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = text;
+    }
+
+    if (res.ok) return data;
+
+    const message =
+      (typeof data === "object" && (data?.error || data?.errors?.map((e) => `${e.column} ${e.error}`).join(", "))) ||
+      text ||
+      `${method} ${path} failed (${res.status})`;
+    error = new ApiError(res.status, message, data?.code ?? null);
+    if (!transientStatus.includes(res.status)) break;
+  }
+
+  if (!quiet) errorListeners.forEach((listener) => listener(error));
+  throw error;
+}
+
+// ===== Games =====
+
+// seed: optional, plays a reported game's seed again
+/** @returns {Promise<Game>} */
+export async function createGame(level, levelData, players, seed) {
+  const data = await request("/games", {
+    method: "POST",
+    body: { level, level_data: levelData, players, seed },
+  });
+  return data.game;
+}
+
+/** @returns {Promise<Game[]>} newest first */
+export async function listGames(level) {
+  const data = await request(level ? `/games?level=${encodeURIComponent(level)}` : "/games");
+  return data.games;
+}
+
+/** @returns {Promise<(Game & { players:Player[], units:UnitState[] })|null>} null if it's gone */
+export async function getGame(gameId) {
+  try {
+    const data = await request(`/games/${gameId}`, { quiet: true });
+    return data.game;
+  } catch (error) {
+    if (error.status === 404) return null;
+    errorListeners.forEach((listener) => listener(error));
+    throw error;
+  }
+}
+
+export function deleteGame(gameId) {
+  return request(`/games/${gameId}`, { method: "DELETE" });
+}
+
+// clears the game's units, tiles and turn state and resets gold
+export function resetGame(gameId) {
+  return request(`/games/${gameId}/reset`, { method: "POST" });
+}
+
+// every action taken in the game, see GameState.apply, and its seed once
+// the game is over
+/** @returns {Promise<GameLog>} */
+export function getLog(gameId) {
+  return request(`/games/${gameId}/log`);
+}
+
+// url the browser downloads the game's log from, for bug reports
+export function exportLogUrl(gameId) {
+  return url(`/games/${gameId}/log?download=1`);
+}
+
+// ===== Unit catalog =====
+
+// fetched once and shared, the catalog doesn't change during a game
+let catalog = null;
+
+/** @returns {Promise<UnitData[]>} ordered by tier then name */
+export function getUnitCatalog() {
+  if (!catalog) {
+    catalog = request("/units_data").catch((error) => {
+      catalog = null; // try again next time
+      throw error;
+    });
+  }
+  return catalog;
+}
+
+/** @returns {Promise<UnitData|undefined>} */
+export async function getUnitData(name) {
+  const units = await getUnitCatalog();
+  return units.find((u) => u.name === name);
+}
+
+/** @returns {Promise<number|undefined>} */
+export async function getUnitCost(name) {
+  return (await getUnitData(name))?.cost;
+}
+
+// ===== Units =====
+
+// the player's units and the enemies they see through the fog of war
+/** @returns {Promise<UnitState[]>} */
+export function getUnits(gameId) {
+  return request(`/get_all_units?game_id=${gameId}`);
+}
+
+// buys a unit for a player, the server checks the tile and charges them
+// rejects with the server's code when the purchase isn't allowed, ex: "NOT_ENOUGH_GOLD"
+/** @returns {Promise<{ unit:UnitState, gold:number }>} the new row and the player's gold left */
+export async function initiateUnit(gameId, unitName, q, r, player) {
+  const data = await request("/initiate_unit", {
+    method: "POST",
+    body: { game_id: gameId, unitName, q_pos: q, r_pos: r, player },
+  });
+  return { unit: data.unit, gold: data.gold };
+}
+
+// upgrades a unit into the next unit on its path for the difference in cost
+// rejects with the server's code when it can't, ex: "TIER_LOCKED"
+/** @returns {Promise<{ unit:UnitState, gold:number }>} the updated row and the owner's gold left */
+export async function upgradeUnit(gameId, id) {
+  const data = await request("/upgrade_unit", {
+    method: "POST",
+    body: { game_id: gameId, id },
+  });
+  return { unit: data.unit, gold: data.gold };
+}
+
+// gives a unit a promotion it has earned, ex: "drill"
+// rejects with the server's code when it can't, ex: "NO_PROMOTION"
+/** @returns {Promise<UnitState>} the updated row */
+export async function promoteUnit(gameId, id, promotion) {
+  const data = await request("/promote_unit", {
+    method: "POST",
+    body: { game_id: gameId, id, promotion },
+  });
+  return data.unit;
+}
+
+// gives a unit an order: "fortify", "sleep" or "wake"
+// rejects with the server's code when it can't, ex: "ALREADY_ORDERED"
+/** @returns {Promise<UnitState>} the updated row */
+export async function orderUnit(gameId, id, order) {
+  const data = await request("/order_unit", {
+    method: "POST",
+    body: { game_id: gameId, id, order },
+  });
+  return data.unit;
+}
+
+// rejects with the server's code when the move isn't allowed, ex: "OUT_OF_RANGE"
+/** @returns {Promise<MoveResult>} */
+export async function moveUnit(gameId, id, q, r) {
+  const data = await request(
+    `/update_unit_pos?game_id=${gameId}&id=${id}&q_pos=${q}&r_pos=${r}`,
+    { retry: false },
+  );
+  return {
+    id: data.id,
+    q_pos: data.q_pos,
+    r_pos: data.r_pos,
+    moves_left: data.moves_left,
+    path: data.path ?? [],
+    captured: data.captured,
+    claimed: data.claimed ?? [],
+  };
+}
+
+/** @returns {Promise<boolean>} true if the enemy is in the attacker's range */
+export function detectUnits(gameId, attackId, enemyId) {
+  return request(`/detect_units?game_id=${gameId}&attackId=${attackId}&enemyId=${enemyId}`);
+}
+
+// resolves an attack on the server, rejects with its code when the attack
+// isn't allowed, ex: "OUT_OF_RANGE"
+/** @returns {Promise<CombatResult>} */
+export async function combat(gameId, attackerId, victimId) {
+  const data = await request("/combat", {
+    method: "POST",
+    body: { game_id: gameId, attackerId, victimId },
+  });
+  return { attacker: data.attacker, victim: data.victim, damage: data.damage, captured: data.captured, rolls: data.rolls };
+}
+
+// ===== Structures =====
+
+// fetched once and shared like the unit catalog
+let structureCatalog = null;
+
+/** @returns {Promise<StructureData[]>} ordered by cost then name */
+export function getStructureCatalog() {
+  if (!structureCatalog) {
+    structureCatalog = request("/structures_data").catch((error) => {
+      structureCatalog = null; // try again next time
+      throw error;
+    });
+  }
+  return structureCatalog;
+}
+
+/** @returns {Promise<StructureState[]>} */
+export function getStructures(gameId) {
+  return request(`/structures?game_id=${gameId}`);
+}
+
+// builds a structure on one of the player's tiles, the server charges them
+// rejects with the server's code when it can't be built, ex: "NOT_YOUR_TILE"
+/** @returns {Promise<{ structure:StructureState, gold:number }>} the new row and the player's gold left */
+export async function buildStructure(gameId, structureType, q, r, player) {
+  const data = await request("/build_structure", {
+    method: "POST",
+    body: { game_id: gameId, structureType, q_pos: q, r_pos: r, player },
+  });
+  return { structure: data.structure, gold: data.gold };
+}
+
+// a unit attacks the structure at q, r, rejects with the server's code when
+// the attack isn't allowed, ex: "STRUCTURE_DEFENDED"
+/** @returns {Promise<StructureAttackResult>} */
+export async function attackStructure(gameId, attackerId, q, r) {
+  const data = await request("/attack_structure", {
+    method: "POST",
+    body: { game_id: gameId, attackerId, q, r },
+  });
+  return { attacker: data.attacker, structure: data.structure, damage: data.damage, captured: data.captured, rolls: data.rolls };
+}
+
+// ===== Players, tiles and turns =====
+
+/** @returns {Promise<Player[]>} */
+export function getPlayers(gameId) {
+  return request(`/players?game_id=${gameId}`);
+}
+
+/** @returns {Promise<TileState[]>} */
+export function getTiles(gameId) {
+  return request(`/tiles_state?game_id=${gameId}`);
+}
+
+// ends the player's turn, the next player collects their income, their units
+// get their moves back and heal near their amphitheaters
+// rejects with "NOT_YOUR_TURN" if it isn't the player's turn
+/** @returns {Promise<EndTurnResult>} */
+export async function endTurn(gameId, player) {
+  const data = await request("/end_turn", { method: "POST", body: { game_id: gameId, player } });
+  return endTurnResult(data);
+}
+
+// plays the turn of the computer player whose turn it is on the server and
+// ends it
+// rejects with "NOT_YOUR_TURN" on the player's turn
+/** @returns {Promise<EndTurnResult>} */
+export async function computerTurn(gameId) {
+  const data = await request("/computer_turn", { method: "POST", body: { game_id: gameId } });
+  return endTurnResult(data);
+}
+
+function endTurnResult(data) {
+  return {
+    round: data.round,
+    turn: data.turn,
+    player: data.player,
+    income: data.income,
+    gold: data.gold,
+    healed: data.healed,
+    victory: data.victory,
+  };
+}
+
+// the actions the player has taken this turn, for undo
+/** @returns {Promise<object[]>} see GameState.apply */
+export function getTurnActions(gameId) {
+  return request(`/turn_actions?game_id=${gameId}`);
+}
+
+// every tile the player has seen this game, for the fog of war
+/** @returns {Promise<string[]>} tile keys, ex: "0,1" */
+export function getExplored(gameId) {
+  return request(`/explored?game_id=${gameId}`);
+}
+
+// takes back the current player's last move, purchase, upgrade, build or unit
+// order this turn
+// rejects with "NOTHING_TO_UNDO" once an attack or the end of the turn is reached
+/** @returns {Promise<UndoResult>} the move's unit and tile put back, or the refund of a purchase */
+export async function undo(gameId) {
+  const data = await request("/undo", { method: "POST", body: { game_id: gameId } });
+  return { action: data.action, unit: data.unit, tile: data.tile, tiles: data.tiles, unitId: data.unitId, gold: data.gold };
+}
+
+/** @returns {Promise<TurnState>} */
+export function getTurnState(gameId) {
+  return request(`/turn_state?game_id=${gameId}`);
+}
+
+// ===== Save slots =====
+
+// saves a table of a slot, or every table when table is "snapshot"
+// slot: defaults to the autosave
+export async function save(gameId, level, table, data, slot) {
+  const result = await request("/save", {
+    method: "POST",
+    body: { game_id: gameId, level, table, data, slot },
+    retry: true, // writing the same save twice is harmless
+  });
+  return result.data;
+}
+
+// loads a save slot over the game, the server puts back its round, tiles,
+// gold, units and structures
+export function loadSlot(gameId, level, slot) {
+  return request("/load_slot", { method: "POST", body: { game_id: gameId, level, slot } });
+}
+
+// loads a table of a slot, or the whole save when table is "snapshot"
+// Returns undefined if nothing was saved for it
+export async function load(gameId, level, table, slot) {
+  let path = `/load?game_id=${gameId}&level=${encodeURIComponent(level)}&table=${table}`;
+  if (slot) path += `&slot=${encodeURIComponent(slot)}`;
+  try {
+    const result = await request(path, { quiet: true });
+    return result.data;
+  } catch (error) {
+    if (error.status === 404) return undefined;
+    errorListeners.forEach((listener) => listener(error));
+    throw error;
+  }
+}
+
+/** @returns {Promise<SaveSummary[]>} newest first */
+export async function listSaves(gameId, level) {
+  const result = await request(`/saves?game_id=${gameId}&level=${encodeURIComponent(level)}`);
+  return result.data;
+}
+
+export function deleteSave(gameId, level, slot) {
+  return request(
+    `/saves/${encodeURIComponent(slot)}?game_id=${gameId}&level=${encodeURIComponent(level)}`,
+    { method: "DELETE" },
+  );
+}
+
+// url the browser downloads a slot's save file from
+export function exportSaveUrl(gameId, level, slot) {
+  return url(
+    `/export_save?game_id=${gameId}&level=${encodeURIComponent(level)}&slot=${encodeURIComponent(slot)}`,
+  );
+}
+
+// starts a new game from a save file
+/** @returns {Promise<{ game:Game, slot:string }>} */
+export async function importSave(bundle) {
+  const result = await request("/import_save", { method: "POST", body: { bundle } });
+  return { game: result.game, slot: result.slot };
+}
@@ -0,0 +1,71 @@
+import { STRUCTURE_ICONS, PLAYER_COLORS } from "../rules/index.js";
+
+// a structure drawn on its tile: its icon, a ring in its owner's color and
+// its health, what it does is in rules/structures.js
+export default class Structure {
+  // stateStructure: { type, owner, q, r, health }, see GameState.structures
+  // maxHealth: the structure type's full health
+  constructor(scene, tile, stateStructure, maxHealth) {
+    this.scene = scene;
+    this.tile = tile;
+    this.type = stateStructure.type;
+    this.q = stateStructure.q;
+    this.r = stateStructure.r;
+    this.maxHealth = maxHealth;
+    tile.structure = this;
+
+    // under units (depth 10), over the tile
+    this.ring = scene.add.graphics({ x: tile.x, y: tile.y }).setDepth(4);
+    this.icon = scene.add
+      .text(tile.x, tile.y - 4, STRUCTURE_ICONS[this.type] ?? "🏠", { fontSize: "26px" })
+      .setOrigin(0.5)
+      .setDepth(5)
+      .setInteractive({ useHandCursor: true });
+    this.icon.structureObj = this;
+    this.healthText = scene.add
+      .text(tile.x, tile.y + 18, "", {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "10px",
+        color: "#ffffff",
+        backgroundColor: "#000000aa",
+        padding: { x: 2, y: 0 },
+      })
+      .setOrigin(0.5)
+      .setDepth(5);
+
+    this.update(stateStructure);
+  }
+
+  // redraws the owner ring and health from the structure's state
+  update({ owner, health }) {
+    this.owner = owner;
+    this.health = health;
+
+    const color = PLAYER_COLORS[owner] ?? 0xdddddd;
+    this.ring.clear();
+    this.ring.lineStyle(3, color, 1);
+    this.ring.strokeCircle(0, -2, 17);
+
+    this.healthText.setText(`${health}/${this.maxHealth}`);
+    this.healthText.setVisible(health < this.maxHealth);
+  }
+
+  // hidden under the fog of war on tiles its viewer hasn't explored
+  setVisible(visible) {
+    this.ring.setVisible(visible);
+    this.icon.setVisible(visible);
+    this.healthText.setVisible(visible && this.health < this.maxHealth);
+  }
+
+  // shakes the icon, for when it's attacked
+  flash() {
+    this.scene.tweens.add({ targets: this.icon, alpha: 0.4, duration: 80, yoyo: true, repeat: 1 });
+  }
+
+  destroy() {
+    if (this.tile.structure === this) this.tile.structure = null;
+    this.ring.destroy();
+    this.icon.destroy();
+    this.healthText.destroy();
+  }
+}
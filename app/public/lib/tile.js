@@ -1,8 +1,10 @@
 export default class Tile {
-  constructor(scene, q, r, offsetX = 0, offsetY = 0, color = 0x808080) {
+  // terrain: the level tile's terrain, see rules/terrain.js
+  constructor(scene, q, r, offsetX = 0, offsetY = 0, color = 0x808080, terrain = "plains") {
     this.scene = scene;
     this.q = q;
     this.r = r;
+    this.terrain = terrain;
     this.radius = 30;
     this.baseColor = color;
     this.color = color;
@@ -51,6 +53,51 @@ export default class Tile {
     g.closePath();
     g.fillPath();
     g.strokePath();
+    this.drawTerrain();
+  }
+
+  // marks the terrain over the tile's color, so owned and highlighted tiles
+  // still show what they're made of
+  drawTerrain() {
+    const g = this.graphics;
+    switch (this.terrain) {
+      case "forest":
+        g.fillStyle(0x2e5e2a, 0.9);
+        for (const [x, y] of [[-10, 4], [0, -8], [10, 4]]) {
+          g.fillTriangle(x, y - 9, x - 6, y + 5, x + 6, y + 5);
+        }
+        break;
+      case "hills":
+        g.lineStyle(3, 0x6b5a33, 0.9);
+        for (const [x, y] of [[-8, 6], [8, 6], [0, -6]]) {
+          g.beginPath();
+          g.arc(x, y, 8, Math.PI, 0);
+          g.strokePath();
+        }
+        break;
+      case "mountains":
+        g.fillStyle(0x4a4550, 0.85);
+        g.fillTriangle(-20, 12, -4, -16, 12, 12);
+        g.fillTriangle(0, 12, 11, -8, 22, 12);
+        g.fillStyle(0xf2f2f2, 0.9);
+        g.fillTriangle(-4, -16, -8.5, -8, 0.5, -8);
+        break;
+      case "water":
+        g.fillStyle(0x1f4f8a, 0.75);
+        g.fillPoints(this.points, true);
+        g.lineStyle(2, 0xbfdcff, 0.8);
+        for (const y of [-6, 6]) {
+          g.beginPath();
+          g.arc(-6, y, 6, Math.PI, 0);
+          g.arc(6, y, 6, 0, Math.PI, true);
+          g.strokePath();
+        }
+        break;
+      case "road":
+        g.lineStyle(6, 0xc8b48a, 0.9);
+        g.lineBetween(-this.radius * 0.85, 0, this.radius * 0.85, 0);
+        break;
+    }
   }
 
   setInteractive() {
@@ -68,6 +115,27 @@ export default class Tile {
     this.drawHex(color);
   }
 
+  // covers the tile for the fog of war: null when it's in sight, "explored"
+  // greys out a tile seen before, "hidden" blacks out one never seen
+  setFog(fog) {
+    if (this.fog === fog) return;
+    this.fog = fog;
+    if (!fog && !this.fogCover) return;
+    if (!this.fogCover) {
+      // over structures (depth 4-5), under units (depth 10)
+      this.fogCover = this.scene.add.graphics({ x: this.x, y: this.y }).setDepth(6);
+    }
+    this.fogCover.clear();
+    if (!fog) return;
+    this.fogCover.fillStyle(0x000000, fog === "hidden" ? 0.85 : 0.45);
+    this.fogCover.fillPoints(this.points, true);
+  }
+
+  setTerrain(terrain) {
+    this.terrain = terrain;
+    this.drawHex(this.color);
+  }
+
   setOwner(playerName) {
     this.owner = playerName;
 
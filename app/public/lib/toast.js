@@ -0,0 +1,43 @@
+// Short messages at the top of the screen, ex: a request the server refused
+
+const colors = {
+  error: "#aa2222",
+  info: "#2370aa",
+};
+
+// scene: the scene to draw in
+// kind: "error" or "info"
+export function showToast(scene, message, { kind = "error", duration = 3000 } = {}) {
+  // stack under the toasts that are still up
+  scene.toasts = (scene.toasts || []).filter((t) => t.active);
+  const y = 20 + scene.toasts.length * 40;
+
+  const toast = scene.add
+    .text(scene.scale.width / 2, y, message, {
+      fontFamily: '"JetBrains Mono", monospace',
+      fontSize: "16px",
+      color: "#ffffff",
+      backgroundColor: colors[kind] || colors.error,
+      padding: { x: 12, y: 6 },
+      wordWrap: { width: Math.min(600, scene.scale.width - 40) },
+    })
+    .setOrigin(0.5, 0)
+    .setScrollFactor(0)
+    .setDepth(10000);
+  scene.toasts.push(toast);
+
+  scene.tweens.add({
+    targets: toast,
+    alpha: 0,
+    delay: duration,
+    duration: 400,
+    onComplete: () => toast.destroy(),
+  });
+  return toast;
+}
+
+// the scene on top of the others, where a toast is seen
+export function topScene(game) {
+  const running = game.scene.getScenes(true);
+  return running[running.length - 1] || null;
+}
@@ -1,9 +1,19 @@
+import * as api from "./api.js";
+import { key, distance, walk, cheapestRoutes } from "../rules/hex.js";
+import { terrainOf } from "../rules/terrain.js";
+
+const STATUS_ICONS = { fortified: "🛡", asleep: "💤" };
+
 export default class Unit {
-  constructor(scene, q, r, textureKey, owner, id) {
+  // id: the unit type, ex: "warrior"
+  // idNum: the units_state id, left out for units that only live in the
+  //   scene (the tutorial), units in a game are bought with GameScene.buyUnit
+  constructor(scene, q, r, textureKey, owner, id, idNum = null) {
     this.scene = scene;
     this.q = q;
     this.r = r;
     this.id = id;
+    this.id_num = idNum;
     this.owner = owner;
     this.boundTile = null;
     this.moved = false;
@@ -37,31 +47,49 @@ export default class Unit {
     this.movementRange = 1;
     this.movesLeft = this.movementRange;
 
+    // chevrons for its promotions and an icon for its order, they follow
+    // the sprite around
+    this.chevrons = scene.add.graphics().setDepth(11);
+    this.statusIcon = scene.add.text(0, 0, "", { fontSize: "14px" }).setOrigin(0.5).setDepth(11);
+    this.followSprite = () => {
+      this.chevrons.setPosition(this.sprite.x, this.sprite.y);
+      this.chevrons.setVisible(this.sprite.visible);
+      this.statusIcon.setPosition(this.sprite.x - 18, this.sprite.y - 18);
+      this.statusIcon.setVisible(this.sprite.visible);
+    };
+    scene.events.on("update", this.followSprite);
+
     this.registerDragEvents();
     //8000;
   }
 
   async init(name) {
-    const res = await fetch(`http://localhost:3000/get_unit?unitName=${name}`);
-    const unit = await res.json();
+    const unit = await api.getUnitData(name);
+    if (!unit) throw new Error(`Unknown unit ${name}`);
     this.movementRange = unit.move_range;
     this.maxHealth = unit.health;
-    //this.health = unit.health;
     this.damage = unit.damage;
-    this.currentHealth = unit.health;
     this.attackRange = unit.attack_range;
-    this.movesLeft = this.movementRange;
-    await fetch(
-      `http://localhost:3000/initiate_unit?unitName=${name}&q_pos=${this.q}&r_pos=${this.r}&player=${this.owner}`,
-    );
-    const data = await fetch(`http://localhost:3000/get_unit_id?q_pos=${this.q}&r_pos=${this.r}`);
-    const { id } = await data.json();
-    this.id_num = id;
+
+    // units in a game keep the health the server gave them
+    this.currentHealth ??= unit.health;
   }
 
   async initUnit() {
-    await this.init(this.id);
-    this.updateTint();
+    try {
+      await this.init(this.id);
+      this.updateTint();
+    } catch (error) {
+      console.error(`Couldn't load ${this.id} stats for ${this.owner}:`, error);
+    }
+  }
+
+  // turns the unit into another unit type, for upgrades
+  async setType(type, health) {
+    this.id = type;
+    this.sprite.setTexture(type);
+    this.currentHealth = health;
+    await this.initUnit();
   }
 
   axialToPixel(q, r, radius) {
@@ -76,6 +104,29 @@ export default class Unit {
     this.sprite.setAlpha(alpha);
   }
 
+  // draws a gold chevron per promotion the unit has and a white one per
+  // promotion it has earned but not picked yet (see GameState.promotionChoices)
+  setRank(promotions = 0, pending = 0) {
+    const g = this.chevrons;
+    g.clear();
+    for (let i = 0; i < promotions + pending; i++) {
+      const y = -22 + i * 6;
+      g.lineStyle(3, i < promotions ? 0xffd700 : 0xffffff, 1);
+      g.beginPath();
+      g.moveTo(12, y);
+      g.lineTo(17, y + 4);
+      g.lineTo(22, y);
+      g.strokePath();
+    }
+  }
+
+  // shows the unit's order, see GameState.order
+  // status: null, "fortified" or "asleep"
+  setStatus(status) {
+    this.status = status ?? null;
+    this.statusIcon.setText(STATUS_ICONS[this.status] ?? "");
+  }
+
   registerDragEvents() {
     const scene = this.scene;
 
@@ -95,19 +146,17 @@ export default class Unit {
       const reachable = this.getReachableTiles(this.scene.tiles);
       const attackable = this.getAttackableTiles(this.scene.tiles);
 
-      if (
-        nearestTile &&
-        ((reachable.includes(nearestTile) && !nearestTile.unit) ||
-          (attackable.includes(nearestTile) &&
-            nearestTile.unit &&
-            nearestTile.unit.owner !== this.owner))
-      ) {
+      const movingThere = nearestTile && reachable.includes(nearestTile) && !nearestTile.unit;
+      const attacking = nearestTile && attackable.includes(nearestTile) && this.isEnemyInSight(nearestTile.unit);
+      if (nearestTile && (movingThere || attacking || this.canAttackStructure(nearestTile.structure))) {
         this.sprite.x = nearestTile.x;
         this.sprite.y = nearestTile.y;
       } else {
         this.sprite.x = dragX;
         this.sprite.y = dragY;
       }
+      this.showPath(movingThere ? this.getPath(nearestTile) : []);
+      this.showForecast(attacking ? nearestTile.unit : null);
     });
 
     this.sprite.on("drop", async (_pointer, dropZone) => {
@@ -123,17 +172,17 @@ export default class Unit {
       const reachable = this.getReachableTiles(this.scene.tiles);
       const attackable = this.getAttackableTiles(this.scene.tiles);
 
-      if (
-        attackable.includes(tile) &&
-        tile.unit &&
-        tile.unit.owner !== this.owner
-      ) {
+      if (attackable.includes(tile) && this.isEnemyInSight(tile.unit)) {
         const enemy = tile.unit;
-        this.attack(enemy);
+        this.resetPosition();
+        const result = await this.attack(enemy);
+        if (result && !result.attacker.defeated && this.movesLeft <= 0) this.sprite.setTint(0x888888);
+        return;
+      }
 
-        this.movesLeft = 0;
-        this.updateMovesLeft();
-        this.sprite.setTint(0x888888);
+      if (this.canAttackStructure(tile.structure)) {
+        this.resetPosition();
+        await this.attackStructure(tile.structure);
         return;
       }
 
@@ -143,16 +192,8 @@ export default class Unit {
       }
 
       if (reachable.includes(tile) && !tile.unit) {
-        if (this.boundTile) this.boundTile.unit = null;
         this.resetPosition();
-        this.moveToTile(tile);
-        await fetch(`http://localhost:3000/update_unit_pos?id=${this.id_num}&r_pos=${this.r}&q_pos=${this.q}`); // Update unit position in units_state
-        this.movesLeft--;
-        //this.moved = true;
-        this.updateMovesLeft();
-        if (this.movesLeft <= 0) {
-          this.sprite.setTint(0x888888);
-        }
+        await this.moveTo(tile);
         return;
       }
 
@@ -175,9 +216,75 @@ export default class Unit {
 
       this.sprite.setDepth(10);
       this.clearHighlights();
+      this.showPath([]);
+      this.showForecast(null);
     });
   }
 
+  // the tiles a move to the tile would step through, ending on it, the rules
+  // engine picks the route in a game, the tutorial only steps next door
+  getPath(tile) {
+    const stateUnit = this.stateUnit();
+    if (!stateUnit) return [tile];
+    const state = this.scene.state;
+    const route = state.routeTo(stateUnit, tile, state.moveBudget(stateUnit), { seenBy: stateUnit.owner });
+    return (route?.path ?? []).map((t) => this.scene.tiles.get(key(t.q, t.r))).filter(Boolean);
+  }
+
+  // draws the route the unit would take while it's dragged, [] hides it
+  showPath(path) {
+    if (!this.pathPreview) this.pathPreview = this.scene.add.graphics().setDepth(1500);
+    const g = this.pathPreview;
+    g.clear();
+    if (path.length === 0) return;
+
+    g.lineStyle(4, 0xffffff, 0.8);
+    g.beginPath();
+    g.moveTo(this.startX, this.startY);
+    for (const tile of path) g.lineTo(tile.x, tile.y);
+    g.strokePath();
+    g.fillStyle(0xffffff, 0.9);
+    for (const tile of path) g.fillCircle(tile.x, tile.y, 5);
+  }
+
+  // what attacking the enemy would likely do, dealt and taken back and the
+  // odds of a kill (see GameState.forecast), shown over it while the unit is
+  // dragged onto it, null hides it
+  showForecast(target) {
+    const stateUnit = this.stateUnit();
+    let forecast = null;
+    if (target && stateUnit) {
+      try {
+        forecast = this.scene.state.forecast(stateUnit.id, target.id_num);
+      } catch (error) {
+        forecast = null; // not an attack the rules allow
+      }
+    }
+    if (!forecast) {
+      this.forecastText?.setVisible(false);
+      return;
+    }
+
+    const percent = (chance) => `${Math.round(chance * 100)}%`;
+    const { damage, retaliation, killChance, deathChance, flanking } = forecast;
+    const lines = [
+      `Deal ${damage.min}–${damage.max} (~${damage.expected})${flanking > 0 ? `, flanked +${percent(flanking)}` : ""}`,
+      retaliation.max > 0 ? `Take ${retaliation.min}–${retaliation.max} (~${retaliation.expected})` : "No retaliation",
+      `Kill ${percent(killChance)}${deathChance > 0 ? `, die ${percent(deathChance)}` : ""}`,
+    ];
+    this.forecastText ??= this.scene.add
+      .text(0, 0, "", {
+        fontFamily: '"JetBrains Mono", monospace',
+        fontSize: "13px",
+        color: "#ffffff",
+        backgroundColor: "#262c44",
+        padding: { x: 8, y: 4 },
+      })
+      .setOrigin(0.5, 1)
+      .setDepth(3000);
+    this.forecastText.setText(lines.join("\n")).setPosition(target.sprite.x, target.sprite.y - 30).setVisible(true);
+  }
+
   getNearestTile(x, y) {
     let closestTile = null;
     let minDist = Infinity;
@@ -208,20 +315,25 @@ export default class Unit {
 
     const attackable = this.getAttackableTiles(this.scene.tiles);
     attackable.forEach((tile) => {
-      if (tile.unit && tile.unit.owner !== this.owner) {
+      if (this.isEnemyInSight(tile.unit) || this.canAttackStructure(tile.structure)) {
         tile.setColor(0xff6666);
         this.scene.highlightedTiles.push(tile);
       }
     });
+
+    // targets in range it can't shoot at from here
+    const blocked = this.getBlockedTiles(this.scene.tiles);
+    blocked.forEach((tile) => {
+      const enemyStructure = tile.structure && tile.structure.owner !== this.owner;
+      if (this.isEnemyInSight(tile.unit) || enemyStructure) {
+        tile.setColor(0x9966aa);
+        this.scene.highlightedTiles.push(tile);
+      }
+    });
   }
 
   getDistance(a, b) {
-    return (
-      (Math.abs(a.q - b.q) +
-        Math.abs(a.q + a.r - b.q - b.r) +
-        Math.abs(a.r - b.r)) /
-      2
-    );
+    return distance(a, b);
   }
 
   clearHighlights() {
@@ -231,88 +343,79 @@ export default class Unit {
     this.scene.highlightedTiles = [];
   }
 
-  incrementTurn() {
-    this.movesLeft = this.movementRange;
-    this.updateMovesLeft();
-    //  this.moved = false;
-    this.sprite.clearTint();
-    //  this.updateTint();
+  // this unit's entry in the scene's GameState, if the scene has one
+  stateUnit() {
+    return this.scene.state?.unit(this.id_num);
   }
 
+  // empty tiles the unit's moves can pay the terrain to reach, the rules
+  // engine decides in a game, only seen enemies stopping the unit (the server
+  // still stops it next to unseen ones), scenes without one (the tutorial)
+  // just look one step out
   getReachableTiles(allTilesMap) {
-    let visited = new Set();
-    let frontier = [{ q: this.q, r: this.r, dist: 0 }];
-    let reachable = [];
-    const key = (q, r) => `${q},${r}`;
-    visited.add(key(this.q, this.r));
-
-    const directions = [
-      { dq: 1, dr: 0 },
-      { dq: 1, dr: -1 },
-      { dq: 0, dr: -1 },
-      { dq: -1, dr: 0 },
-      { dq: -1, dr: 1 },
-      { dq: 0, dr: 1 },
-    ];
-
-    while (frontier.length) {
-      const current = frontier.shift();
-      if (current.dist < 1) {
-        for (let dir of directions) {
-          const nq = current.q + dir.dq;
-          const nr = current.r + dir.dr;
-          const k = key(nq, nr);
-          if (!visited.has(k) && allTilesMap.has(k)) {
-            visited.add(k);
-            frontier.push({ q: nq, r: nr, dist: current.dist + 1 });
-            reachable.push(allTilesMap.get(k));
-          }
-        }
-      }
-    }
-    return reachable;
+    const stateUnit = this.stateUnit();
+    const enterCost = (q, r) => {
+      const tile = allTilesMap.get(key(q, r));
+      return tile ? terrainOf(tile.terrain).cost : null;
+    };
+    const reached = stateUnit
+      ? this.scene.state.reachableTiles(stateUnit, { seenBy: stateUnit.owner })
+      : cheapestRoutes(enterCost, this, Infinity, 1).filter((t) => t.dist > 0);
+    return reached.map((t) => allTilesMap.get(key(t.q, t.r)));
   }
 
+  // tiles within the unit's attack range that it has a line of sight to,
+  // its own tile included, the tutorial doesn't check sight
   getAttackableTiles(allTilesMap) {
-    const directions = [
-      { dq: 1, dr: 0 },
-      { dq: 1, dr: -1 },
-      { dq: 0, dr: -1 },
-      { dq: -1, dr: 0 },
-      { dq: -1, dr: 1 },
-      { dq: 0, dr: 1 },
-    ];
-
-    const attackable = new Set();
-    const key = (q, r) => `${q},${r}`;
-
-    const frontier = [{ q: this.q, r: this.r, dist: 0 }];
-    const visited = new Set([key(this.q, this.r)]);
-
-    while (frontier.length) {
-      const current = frontier.shift();
-      if (current.dist > this.attackRange) continue;
-
-      const tile = allTilesMap.get(key(current.q, current.r));
-      if (tile) attackable.add(tile);
+    const stateUnit = this.stateUnit();
+    const reached = stateUnit
+      ? this.scene.state.attackableTiles(stateUnit).filter((t) => t.lineOfSight)
+      : walk((k) => allTilesMap.has(k), this, this.attackRange ?? 0);
+    return reached.map((t) => allTilesMap.get(key(t.q, t.r)));
+  }
 
-      if (current.dist === this.attackRange) continue;
+  // tiles within the unit's attack range that a forest, mountain, structure
+  // or unit stands in front of (see GameState.hasLineOfSight)
+  getBlockedTiles(allTilesMap) {
+    const stateUnit = this.stateUnit();
+    if (!stateUnit) return [];
+    return this.scene.state
+      .attackableTiles(stateUnit)
+      .filter((t) => !t.lineOfSight)
+      .map((t) => allTilesMap.get(key(t.q, t.r)));
+  }
 
-      for (const dir of directions) {
-        const nq = current.q + dir.dq;
-        const nr = current.r + dir.dr;
-        const k = key(nq, nr);
-        if (!visited.has(k) && allTilesMap.has(k)) {
-          visited.add(k);
-          frontier.push({ q: nq, r: nr, dist: current.dist + 1 });
-        }
-      }
+  // moves through the server and animates the move once it accepts it
+  // Returns the server's move result, or null if the move was rejected
+  async moveTo(tile) {
+    // the server owns the board, only move once it accepts the move
+    let result;
+    try {
+      result = await api.moveUnit(this.scene.gameId, this.id_num, tile.q, tile.r);
+    } catch (error) {
+      console.warn(`Move rejected (${error.code}): ${error.message}`);
+      return null;
     }
 
-    return Array.from(attackable);
+    const local = await this.scene.applyAction?.({ type: "move", unitId: this.id_num, q: tile.q, r: tile.r });
+    // units in the fog of war can make the server's way there dearer than the
+    // one the scene's GameState found, the reload redraws this unit there
+    if (local && local.unit.movesLeft !== result.moves_left) {
+      await this.scene.loadState();
+      return result;
+    }
+    this.moveToTile(tile, result.path);
+    this.movesLeft = result.moves_left;
+    //this.moved = true;
+    if (this.movesLeft <= 0) {
+      this.sprite.setTint(0x888888);
+    }
+    return result;
   }
 
-  moveToTile(tile) {
+  // path: [{ q, r }] the tiles the move stepped through, the sprite walks
+  // along them, straight to the tile without one
+  moveToTile(tile, path = []) {
     this.q = tile.q;
     this.r = tile.r;
 
@@ -324,18 +427,18 @@ export default class Unit {
     this.boundTile = tile;
     tile.setOwner(this.owner);
 
-    this.scene.tweens.add({
+    const steps = path.map((t) => this.scene.tiles.get(key(t.q, t.r))).filter(Boolean);
+    if (steps.at(-1) !== tile) steps.push(tile);
+    this.startX = tile.x;
+    this.startY = tile.y;
+    this.scene.tweens.chain({
       targets: this.sprite,
-      x: tile.x,
-      y: tile.y,
-      duration: 300,
-      ease: "Power2",
-      onComplete: () => {
-        this.sprite.x = tile.x;
-        this.sprite.y = tile.y;
-        this.startX = tile.x;
-        this.startY = tile.y;
-      },
+      tweens: steps.map((step, i) => ({
+        x: step.x,
+        y: step.y,
+        duration: steps.length > 1 ? 150 : 300,
+        ease: i === steps.length - 1 ? "Power2" : "Linear",
+      })),
     });
   }
 
@@ -344,77 +447,156 @@ export default class Unit {
     this.sprite.y = this.startY;
   }
 
-  attack(targetUnit) {
-    if (!targetUnit || typeof targetUnit.currentHealth !== "number") return;
+  // attacks through the server and animates what it decided, the victim's
+  // retaliation included
+  // Returns the server's combat result, or null if the attack was refused
+  async attack(targetUnit) {
+    if (!targetUnit || targetUnit.id_num === null) return null;
+
+    let result;
+    try {
+      result = await api.combat(this.scene.gameId, this.id_num, targetUnit.id_num);
+    } catch (error) {
+      console.warn(`Attack rejected (${error.code}): ${error.message}`);
+      return null;
+    }
 
-    const scene = this.scene;
-    const targetX = targetUnit.sprite.x;
-    const targetY = targetUnit.sprite.y;
+    await this.scene.applyAction?.({ type: "attack", attackerId: this.id_num, victimId: targetUnit.id_num, rolls: result.rolls });
+    this.movesLeft = result.attacker.moves_left;
+    this.currentHealth = result.attacker.current_health;
+    targetUnit.currentHealth = result.victim.current_health;
+    await this.playAttack(targetUnit, result);
+    return result;
+  }
 
-    const homeX = this.boundTile ? this.boundTile.x : this.sprite.x;
-    const homeY = this.boundTile ? this.boundTile.y : this.sprite.y;
+  // true for another side's structure in range with nobody standing on it
+  // another side's unit that isn't hidden by the fog of war (see
+  // GameScene.renderFog)
+  isEnemyInSight(other) {
+    return Boolean(other) && other.owner !== this.owner && !other.hidden;
+  }
 
-    const oldDepth = this.sprite.depth;
-    this.sprite.setDepth(999);
+  canAttackStructure(structure) {
+    const stateUnit = this.stateUnit();
+    if (!structure || !stateUnit) return false;
+    return this.scene.state
+      .attackableStructures(stateUnit)
+      .some((s) => s.q === structure.q && s.r === structure.r);
+  }
 
-    scene.tweens.add({
-      targets: this.sprite,
-      x: targetX,
-      y: targetY,
-      duration: 200,
-      ease: "Power2",
-      onComplete: () => {
-        targetUnit.currentHealth -= this.damage;
-        targetUnit.updateTint();
-
-        const targetDestroyed = targetUnit.currentHealth <= 0;
-
-        if (targetDestroyed) {
-          targetUnit.destroy();
-        } else {
-          scene.tweens.add({
-            targets: targetUnit.sprite,
-            alpha: 0.5,
-            duration: 80,
-            yoyo: true,
-            repeat: 1,
-          });
-        }
+  // attacks a structure through the server, the scene redraws the structure
+  // (and its new owner if it was captured) from its GameState
+  // Returns the server's result, or null if the attack was refused
+  async attackStructure(structure) {
+    if (!structure) return null;
+
+    let result;
+    try {
+      result = await api.attackStructure(this.scene.gameId, this.id_num, structure.q, structure.r);
+    } catch (error) {
+      console.warn(`Attack rejected (${error.code}): ${error.message}`);
+      return null;
+    }
 
-        const isAdjacent =
-          Math.abs(this.q - targetUnit.q) <= 1 &&
-          Math.abs(this.r - targetUnit.r) <= 1;
+    await this.playLunge(structure.tile);
+    structure.flash();
+    await this.scene.applyAction?.({ type: "attack_structure", attackerId: this.id_num, q: structure.q, r: structure.r, rolls: result.rolls });
+    this.movesLeft = result.attacker.moves_left;
+    return result;
+  }
+
+  // lunges at a tile and back
+  playLunge(tile) {
+    const oldDepth = this.sprite.depth;
+    this.sprite.setDepth(999);
+    return new Promise((resolve) => {
+      this.scene.tweens.add({
+        targets: this.sprite,
+        x: tile.x,
+        y: tile.y,
+        duration: 200,
+        ease: "Power2",
+        yoyo: true,
+        onComplete: () => {
+          this.resetPosition();
+          this.sprite.setDepth(oldDepth);
+          resolve();
+        },
+      });
+    });
+  }
 
-        let finalX = homeX;
-        let finalY = homeY;
+  // lunges at the target and back, or onto its tile when the server moved
+  // the attacker there, an attacker that died to the retaliation is removed
+  playAttack(targetUnit, result) {
+    const scene = this.scene;
+    const targetX = targetUnit.sprite.x;
+    const targetY = targetUnit.sprite.y;
 
-        if (targetDestroyed && isAdjacent) {
-          if (this.boundTile) this.boundTile.unit = null;
+    const oldDepth = this.sprite.depth;
+    this.sprite.setDepth(999);
 
-          this.q = targetUnit.q;
-          this.r = targetUnit.r;
-          this.boundTile = targetUnit.boundTile;
+    return new Promise((resolve) => {
+      scene.tweens.add({
+        targets: this.sprite,
+        x: targetX,
+        y: targetY,
+        duration: 200,
+        ease: "Power2",
+        onComplete: () => {
+          if (result.victim.defeated) {
+            targetUnit.remove();
+          } else {
+            targetUnit.updateTint();
+            scene.tweens.add({
+              targets: targetUnit.sprite,
+              alpha: 0.5,
+              duration: 80,
+              yoyo: true,
+              repeat: 1,
+              onComplete: () => targetUnit.updateTint(),
+            });
+          }
 
-          if (this.boundTile) {
-            this.boundTile.unit = this;
-            this.boundTile.setOwner(this.owner);
-            finalX = this.boundTile.x;
-            finalY = this.boundTile.y;
+          const { q_pos, r_pos } = result.attacker;
+          if (q_pos !== this.q || r_pos !== this.r) {
+            const tile = scene.tiles.get(`${q_pos},${r_pos}`);
+            if (tile) {
+              if (this.boundTile) this.boundTile.unit = null;
+              this.q = q_pos;
+              this.r = r_pos;
+              this.boundTile = tile;
+              tile.unit = this;
+              this.startX = tile.x;
+              this.startY = tile.y;
+            }
+          }
+          if (result.captured) {
+            scene.tiles.get(`${result.captured.q},${result.captured.r}`)?.setOwner(result.captured.owner);
           }
-        }
-
-        scene.tweens.add({
-          targets: this.sprite,
-          x: finalX,
-          y: finalY,
-          duration: 200,
-          ease: "Power2",
-          onComplete: () => {
-            this.sprite.setDepth(oldDepth);
+
+          if (result.attacker.defeated) {
             scene.selectedUnit = null;
-          },
-        });
-      },
+            this.remove();
+            resolve();
+            return;
+          }
+          if (result.retaliation > 0) this.updateTint();
+
+          scene.tweens.add({
+            targets: this.sprite,
+            x: this.startX,
+            y: this.startY,
+            duration: 200,
+            ease: "Power2",
+            onComplete: () => {
+              this.sprite.setDepth(oldDepth);
+              scene.selectedUnit = null;
+              resolve();
+            },
+          });
+        },
+      });
     });
   }
 
@@ -422,14 +604,17 @@ export default class Unit {
     if (this.boundTile) {
       this.boundTile.unit = null;
     }
+    this.scene.events.off("update", this.followSprite);
+    this.chevrons.destroy();
+    this.statusIcon.destroy();
     this.sprite.destroy();
+    this.pathPreview?.destroy();
+    this.forecastText?.destroy();
   }
 
-  async updateMovesLeft() {
-    await fetch("http://localhost:3000/set_moves_left", {
-          method: "PUT",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ id: this.id_num, moves_left: this.movesLeft }),
-        });
+  // destroys the unit and drops it from the scene's list
+  remove() {
+    this.destroy();
+    this.scene.units = this.scene.units.filter((u) => u !== this);
   }
 }
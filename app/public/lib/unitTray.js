@@ -1,4 +1,4 @@
-import { supabase } from "../supabaseClient.js";
+import { getUnitCost } from "./api.js";
 
 export default class unitTray {
   /**
@@ -19,7 +19,7 @@ export default class unitTray {
     this.currentTier = 1;
     this.gold = 0;
 
-    // supabase cache: { [unitId]: number }
+    // units_data cache: { [unitId]: number }
     this.costCache = Object.create(null);
 
     // UI roots
@@ -153,7 +153,7 @@ export default class unitTray {
     costText.setOrigin(1, 0);
     root.add(costText);
 
-    // fetch + paint cost (from cache or Supabase)
+    // fetch + paint cost (from cache or the server)
     this._ensureCost(unit.id).then((c) => {
       costText.setText(String(c ?? "?"));
       this._tintByAffordability(costText, c);
@@ -189,24 +189,18 @@ export default class unitTray {
   }
 
   // ---------------------------------------------------------------------------
-  // Supabase helpers
+  // Server helpers
   // ---------------------------------------------------------------------------
 
   async _ensureCost(unitId) {
     if (!unitId) return undefined;
     if (unitId in this.costCache) return this.costCache[unitId];
 
-    const { data, error } = await supabase
-      .from("units_data")
-      .select("cost")
-      .eq("name", unitId)
-      .single();
-
-    if (error) {
+    try {
+      this.costCache[unitId] = await getUnitCost(unitId);
+    } catch (error) {
       console.error("UnitTray: failed to fetch cost for", unitId, error);
       this.costCache[unitId] = undefined;
-    } else {
-      this.costCache[unitId] = data?.cost ?? undefined;
     }
     return this.costCache[unitId];
   }
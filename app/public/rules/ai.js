@@ -0,0 +1,182 @@
+// What a computer player does on its turn, decided from a GameState alone.
+// Each function returns the next action to take (see GameState.apply) or
+// null when there's nothing left to do. The server plays them through its
+// own actions (app/computerTurns.js), playTurn applies them straight to a
+// state for simulations.
+//
+// pick(list): chooses one item of a list, by default from the game's seed
+//   (state.random()) so the same game always makes the same choices
+
+import { key, distance } from "./hex.js";
+import { isPassable } from "./terrain.js";
+
+// unit types the player can buy this round, newest tier first
+export function buyableTypes(state, playerName) {
+  const tier = state.tierFor(playerName);
+  return Array.from(state.unitTypes.values())
+    .filter((t) => (t.tier ?? 1) <= tier)
+    .sort((a, b) => (b.tier ?? 1) - (a.tier ?? 1));
+}
+
+// buys the first affordable unit onto a random empty tile the player owns
+// that units can stand on
+export function nextBuy(state, playerName, pick = state.random().pick) {
+  const player = state.player(playerName);
+  if (!player) return null;
+
+  const spawnTiles = state.ownedTiles(playerName).filter((t) => isPassable(t.terrain) && !state.unitAt(t.q, t.r));
+  if (spawnTiles.length === 0) return null;
+
+  const tile = pick(spawnTiles);
+  const type = buyableTypes(state, playerName).find((t) => state.unitCost(playerName, t.name, tile.q, tile.r) <= player.gold);
+  if (!type) return null;
+
+  return { type: "buy", player: playerName, unitType: type.name, q: tile.q, r: tile.r };
+}
+
+// upgrades the unit with the most expensive upgrade the player can afford,
+// an upgrade is cheaper than buying the stronger unit outright
+export function nextUpgrade(state, playerName) {
+  const player = state.player(playerName);
+  if (!player) return null;
+
+  const tier = state.tierFor(playerName);
+  let best = null;
+  for (const unit of state.unitsOf(playerName)) {
+    const target = state.upgradeTarget(unit);
+    if (!target || (target.tier ?? 1) > tier || state.upgradeCost(unit) > player.gold) continue;
+    if (!best || target.cost > best.target.cost) best = { unit, target };
+  }
+  return best && { type: "upgrade", unitId: best.unit.id };
+}
+
+// share of its full health below which a unit with nothing to attack
+// fortifies where it is to heal (see GameState.restHealing)
+const REST_BELOW = 0.5;
+
+// the promotions a computer player picks first, the ones a unit can't take
+// are skipped
+const PROMOTION_ORDER = ["marksman", "drill", "bloodlust", "mobility"];
+
+// promotes the first of the player's units with a promotion to pick
+export function nextPromotion(state, playerName) {
+  for (const unit of state.unitsOf(playerName)) {
+    const choices = state.promotionChoices(unit);
+    const promotion = PROMOTION_ORDER.find((p) => choices.includes(p)) ?? choices[0];
+    if (promotion) return { type: "promote", unitId: unit.id, promotion };
+  }
+  return null;
+}
+
+// builds a town on an empty tile of the player's once they have gold to
+// spare for it, about one town for every 8 tiles they hold
+export function nextBuild(state, playerName, pick = state.random().pick) {
+  const player = state.player(playerName);
+  const town = state.structureType("town");
+  if (!player || !town || player.gold < town.cost * 2) return null;
+
+  const towns = state.structuresOf(playerName).filter((s) => s.type === "town").length;
+  if (towns >= Math.floor(state.ownedTiles(playerName).length / 8)) return null;
+
+  const sites = state.ownedTiles(playerName).filter((t) => !state.structure(t.q, t.r) && !state.unitAt(t.q, t.r));
+  if (sites.length === 0) return null;
+
+  const tile = pick(sites);
+  return { type: "build", player: playerName, structureType: "town", q: tile.q, r: tile.r };
+}
+
+// the unit attacks the enemy in range it fares best against (see
+// GameState.forecast), then an enemy structure in range, otherwise fortifies
+// to heal when it's badly hurt, heads for the nearest enemy or enemy
+// structure, then the nearest unclaimed tile, then the fog to scout it,
+// otherwise wanders
+// only what its side sees through the fog of war counts
+export function nextUnitAction(state, unit, pick = state.random().pick) {
+  if (!unit || unit.health <= 0 || !(unit.movesLeft > 0)) return null;
+
+  const seen = state.visibleTiles(unit.owner);
+  const inSight = (place) => seen.has(key(place.q, place.r));
+  const enemies = Array.from(state.units.values()).filter((u) => u.owner !== unit.owner && inSight(u));
+  const inRange = enemies.filter((e) => state.canTarget(unit, e));
+  if (inRange.length > 0) {
+    // the likeliest kill, otherwise the best trade of damage dealt for taken
+    const worth = (e) => {
+      const { damage, retaliation, killChance } = state.forecast(unit.id, e.id);
+      return killChance * 1000 + damage.expected - retaliation.expected;
+    };
+    const target = inRange.map((e) => ({ e, worth: worth(e) })).reduce((best, t) => (t.worth > best.worth ? t : best)).e;
+    return { type: "attack", attackerId: unit.id, victimId: target.id };
+  }
+
+  const damage = state.unitType(unit.type)?.damage ?? 0;
+  const structures = state.attackableStructures(unit).filter((s) => s.owner && inSight(s));
+  if (structures.length > 0 && damage > 0) {
+    const target = structures.reduce((weakest, s) => (s.health < weakest.health ? s : weakest));
+    return { type: "attack_structure", attackerId: unit.id, q: target.q, r: target.r };
+  }
+
+  const maxHealth = state.unitType(unit.type)?.health ?? unit.health;
+  if (unit.health < maxHealth * REST_BELOW) {
+    return unit.status === "fortified" ? null : { type: "fortify", unitId: unit.id };
+  }
+
+  const reachable = state.reachableTiles(unit);
+  if (reachable.length === 0) return null;
+
+  const enemyStructures = Array.from(state.structures.values()).filter((s) => s.owner && s.owner !== unit.owner && inSight(s));
+  const passable = Array.from(state.tiles.values()).filter((t) => isPassable(t.terrain));
+  const goal =
+    nearest(unit, [...enemies, ...enemyStructures]) ??
+    nearest(unit, passable.filter((t) => inSight(t) && !t.owner && !state.unitAt(t.q, t.r))) ??
+    nearest(unit, passable.filter((t) => !inSight(t)));
+  const tile = goal ? nearest(goal, reachable) : pick(reachable);
+  return { type: "move", unitId: unit.id, q: tile.q, r: tile.r };
+}
+
+// plays a whole turn for a computer player on the state, ending the turn
+// Returns the actions it applied, in order
+export function playTurn(state, playerName, pick) {
+  const actions = [];
+  const play = (action) => {
+    state.apply(action);
+    actions.push(action);
+  };
+
+  for (let upgrade = nextUpgrade(state, playerName); upgrade; upgrade = nextUpgrade(state, playerName)) {
+    play(upgrade);
+  }
+  for (let promotion = nextPromotion(state, playerName); promotion; promotion = nextPromotion(state, playerName)) {
+    play(promotion);
+  }
+  const build = nextBuild(state, playerName, pick);
+  if (build) play(build);
+  for (let buy = nextBuy(state, playerName, pick); buy; buy = nextBuy(state, playerName, pick)) {
+    play(buy);
+  }
+
+  for (const unit of state.unitsOf(playerName)) {
+    // a unit can be removed mid turn, and a capped number of steps keeps a
+    // unit from pacing back and forth forever
+    for (let steps = 8; steps > 0 && state.unit(unit.id); steps--) {
+      const action = nextUnitAction(state, state.unit(unit.id), pick);
+      if (!action) break;
+      play(action);
+    }
+  }
+
+  play({ type: "end_turn" });
+  return actions;
+}
+
+function nearest(from, places) {
+  let best = null;
+  let bestDist = Infinity;
+  for (const place of places) {
+    const dist = distance(from, place);
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = place;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,52 @@
+// Numbers the rules are built on, change them here to rebalance the game
+
+export const HUMAN_PLAYER = "Player 1";
+
+// tile colors that mean a player owns the tile in level json
+export const PLAYER_COLORS = {
+  "Player 1": 0x3377cc,
+  "AI 1": 0xd2042d,
+  "AI 2": 0xcc3333,
+};
+
+// computer players are named "AI 1", "AI 2", ...
+export function isComputer(playerName) {
+  return String(playerName).startsWith("AI");
+}
+
+export const STARTING_GOLD = { human: 100, computer: 125 };
+
+// gold per owned tile at the start of the player's turn
+export const INCOME_PER_TILE = { human: 5, computer: 7 };
+
+// a new unit tier unlocks every this many rounds
+export const ROUNDS_PER_TIER = 5;
+
+export function startingGold(playerName) {
+  return isComputer(playerName) ? STARTING_GOLD.computer : STARTING_GOLD.human;
+}
+
+export function incomePerTile(playerName) {
+  return isComputer(playerName) ? INCOME_PER_TILE.computer : INCOME_PER_TILE.human;
+}
+
+// highest unit tier that can be bought in a round
+export function unlockedTier(round) {
+  return Math.floor((Math.max(1, round) - 1) / ROUNDS_PER_TIER) + 1;
+}
+
+// hexes around them units and structures see through the fog of war when
+// their type doesn't say (units_data.vision, structures.js)
+export const DEFAULT_VISION = { unit: 2, structure: 1 };
+
+// a blow deals the unit type's damage times its strength, which falls from 1
+// at full health to minStrength near 0, and times a roll that's at most
+// variance either side of 1
+export const COMBAT = { minStrength: 0.5, variance: 0.15 };
+
+// share of its full health a unit heals at the start of its turn when it
+// neither moved nor attacked in its last one, by whose tile it stands on
+export const REST_HEALING = { own: 0.15, neutral: 0.1, enemy: 0.05 };
+
+// defense a fortified unit adds to its tile's, until it moves or attacks
+export const FORTIFY_DEFENSE = 0.25;
@@ -0,0 +1,1259 @@
+// The whole game as plain data plus the rules that change it.
+// No Phaser, DOM or database in here: the server checks and applies actions
+// with it, the scenes keep a copy in step with the server, and Node can run
+// whole games with it (see simulate.js).
+//
+// Every action applied is appended to state.log, so replaying the log on
+// GameState.initial() with the same seed gives the same board (see replay()).
+// Moves, purchases, upgrades and builds are logged with what they replaced
+// (action.before) so the current player can take them back with undo().
+
+import { key, distance, neighbors, walk, line, cheapestRoutes, routePath } from "./hex.js";
+import { PLAYER_COLORS, DEFAULT_VISION, COMBAT, REST_HEALING, FORTIFY_DEFENSE, incomePerTile, startingGold, unlockedTier } from "./constants.js";
+import { randomAt } from "./random.js";
+import { structureTypesFrom } from "./structures.js";
+import { victoryConditions, checkVictory } from "./victory.js";
+import { DEFAULT_TERRAIN, terrainOf, isPassable } from "./terrain.js";
+import { levelRules } from "./levelRules.js";
+import { PROMOTIONS, EXPERIENCE, parsePromotions } from "./promotions.js";
+
+// the status each unit order leaves a unit with, see GameState.order
+const ORDER_STATUS = { fortify: "fortified", sleep: "asleep", wake: null };
+
+// rolls a forecast tries across the variance, see GameState.forecast
+const FORECAST_SAMPLES = 21;
+
+// thrown when an action breaks the rules
+// code: what went wrong, ex: "TILE_OCCUPIED", the server turns it into a status
+export class RuleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "RuleError";
+    this.code = code;
+  }
+}
+
+export default class GameState {
+  // tiles: [{ q, r, color, owner, terrain }], see terrain.js
+  // units: [{ id, type, owner, q, r, health, movesLeft, xp, promotions, status, acted }], see
+  //   promotions.js, status is null, "fortified" or "asleep" (see order()),
+  //   acted is true once it's moved or attacked in its owner's turn (see restHealing())
+  // structures: [{ type, owner, q, r, health }], at most one per tile
+  // players: [{ name, gold }] in turn order
+  // unitTypes: units_data rows, [{ name, health, damage, move_range, attack_range, role, cost, tier }]
+  // structureTypes: structures_data rows, what they do is filled in from structures.js
+  // victory: how the game is won, see victory.js
+  // rules: what the level changes about the rules, see levelRules.js
+  // seed: the game's seed, every random choice is drawn from it (see random())
+  // log: the actions applied so far, oldest first
+  constructor({
+    tiles = [],
+    units = [],
+    structures = [],
+    players = [],
+    unitTypes = [],
+    structureTypes,
+    victory = victoryConditions(),
+    rules = levelRules(),
+    round = 1,
+    turn = 0,
+    seed = 0,
+    log = [],
+  } = {}) {
+    this.unitTypes = new Map(unitTypes.map((t) => [t.name, t]));
+    this.structureTypes = new Map(structureTypesFrom(structureTypes).map((t) => [t.name, t]));
+    this.victory = victory.map((c) => ({ ...c }));
+    this.rules = { ...rules };
+    this.seed = seed;
+    this.log = log.map((action) => structuredClone(action));
+    this.restore({ tiles, units, structures, players, round, turn });
+  }
+
+  // every tile the player has seen over a game, from its start to the end
+  // of its log: the tiles the fog of war shows as explored
+  // Returns a set of tile keys
+  static explored(playerName, { level, players, unitTypes, structureTypes, seed, log = [] }) {
+    const state = GameState.initial({ level, players, unitTypes, structureTypes, seed });
+    const seen = state.visibleTiles(playerName);
+    for (const action of log) {
+      state.apply(action);
+      for (const k of state.visibleTiles(playerName)) seen.add(k);
+    }
+    return seen;
+  }
+
+  // the board as it stood at the start of a game
+  // players: player names in turn order, they get their starting gold
+  static initial({ level, players = [], unitTypes = [], structureTypes, seed = 0 } = {}) {
+    return GameState.fromRows({
+      level,
+      players: players.map((name) => ({ name, gold: startingGold(name) })),
+      unitTypes,
+      structureTypes,
+      seed,
+    });
+  }
+
+  // replays a game's log from its start
+  // Returns the GameState the log ends on, throws a RuleError if an action
+  // in the log doesn't apply
+  static replay({ level, players, unitTypes, structureTypes, seed, log = [] }) {
+    const state = GameState.initial({ level, players, unitTypes, structureTypes, seed });
+    for (const action of log) state.apply(action);
+    return state;
+  }
+
+  // Builds a game from a level json and what the database or api returns
+  // level: the level json, tiles painted in a player's color start as theirs,
+  //   their terrain only comes from here
+  // tiles: tiles_state rows, replace the level's color/owner of their tile
+  // units: units_state rows
+  // structures: structures_state rows, the level's structures (level.structures,
+  //   [{ q, r, type }] owned by their tile's owner) when left out
+  // players: players rows, [{ name, gold }]
+  // unitTypes, structureTypes: units_data and structures_data rows
+  // turnState: { round, turn }
+  // seed, log: the game's seed and the actions logged so far
+  static fromRows({
+    level,
+    tiles = [],
+    units = [],
+    structures,
+    players = [],
+    unitTypes = [],
+    structureTypes,
+    turnState,
+    seed = 0,
+    log = [],
+  } = {}) {
+    const board = new Map();
+    for (const t of level.tiles) {
+      const color = parseInt(t.color);
+      const owner = Object.keys(PLAYER_COLORS).find((name) => PLAYER_COLORS[name] === color) ?? null;
+      board.set(key(t.q, t.r), { q: t.q, r: t.r, color, owner, terrain: t.terrain ?? DEFAULT_TERRAIN });
+    }
+    for (const t of tiles) {
+      const tile = board.get(key(t.q, t.r));
+      if (!tile) continue;
+      if (t.color !== null && t.color !== undefined) tile.color = Number(t.color);
+      tile.owner = t.owner ?? null;
+    }
+
+    const types = new Map(structureTypesFrom(structureTypes).map((t) => [t.name, t]));
+    const placed = structures
+      ? structures.map((row) => ({
+          type: row.structure_type,
+          owner: row.owned_by ?? null,
+          q: row.q_pos,
+          r: row.r_pos,
+          // saves from before structures were saved leave it out, see saveFormat.js
+          health: row.current_health ?? types.get(row.structure_type)?.health,
+          heldSince: row.held_since ?? 1,
+        }))
+      : GameState.levelStructures(level, board, types);
+
+    return new GameState({
+      tiles: Array.from(board.values()),
+      units: units.map((row) => ({
+        id: row.id,
+        type: row.unit_type,
+        owner: row.owned_by,
+        q: row.q_pos,
+        r: row.r_pos,
+        health: row.current_health,
+        movesLeft: row.moves_left,
+        xp: row.xp ?? 0,
+        promotions: parsePromotions(row.promotions),
+        status: row.status ?? null,
+        acted: row.acted ?? false,
+      })),
+      structures: placed,
+      players,
+      unitTypes,
+      structureTypes,
+      victory: victoryConditions(level),
+      rules: levelRules(level),
+      round: turnState?.round ?? 1,
+      turn: turnState?.turn ?? 0,
+      seed,
+      log,
+    });
+  }
+
+  // the structures a level starts with, at full health and owned by whoever
+  // owns their tile
+  // board: the level's tiles by key
+  static levelStructures(level, board, types) {
+    return (level.structures ?? [])
+      .filter((s) => board.has(key(s.q, s.r)) && types.has(s.type))
+      .map((s) => ({
+        type: s.type,
+        owner: board.get(key(s.q, s.r)).owner,
+        q: s.q,
+        r: s.r,
+        health: types.get(s.type).health,
+        heldSince: 1,
+      }));
+  }
+
+  // plain data copy, new GameState(state.toJSON()) gives the same game back
+  toJSON() {
+    return {
+      ...this.board(),
+      unitTypes: Array.from(this.unitTypes.values()),
+      structureTypes: Array.from(this.structureTypes.values()),
+      victory: this.victory.map((c) => ({ ...c })),
+      rules: { ...this.rules },
+      seed: this.seed,
+      log: this.log.map((action) => structuredClone(action)),
+    };
+  }
+
+  // what's on the board, the part of toJSON() a "restore" action carries
+  board() {
+    return {
+      tiles: Array.from(this.tiles.values()).map((t) => ({ ...t })),
+      units: Array.from(this.units.values()).map((u) => ({ ...u })),
+      structures: Array.from(this.structures.values()).map((s) => ({ ...s })),
+      players: this.players.map((p) => ({ ...p })),
+      round: this.round,
+      turn: this.turn,
+    };
+  }
+
+  // replaces what's on the board, the log and seed are kept
+  // structures are kept too when the board doesn't have any, and terrain
+  // when its tiles don't, boards logged before there were either
+  restore({ tiles = [], units = [], structures, players = [], round = 1, turn = 0 }) {
+    const terrain = (t) => t.terrain ?? this.tiles?.get(key(t.q, t.r))?.terrain ?? DEFAULT_TERRAIN;
+    this.tiles = new Map(
+      tiles.map((t) => [key(t.q, t.r), { q: t.q, r: t.r, color: t.color ?? null, owner: t.owner ?? null, terrain: terrain(t) }]),
+    );
+    this.units = new Map(units.map((u) => [u.id, { ...u }]));
+    if (structures) this.structures = new Map(structures.map((s) => [key(s.q, s.r), { ...s, owner: s.owner ?? null }]));
+    this.players = players.map((p) => ({ name: p.name, gold: p.gold ?? 0 }));
+    this.round = round;
+    this.turn = turn;
+  }
+
+  // random numbers for the next decision, the same for everyone who asks
+  // until another action is logged
+  // Returns { next, int, pick }, see random.js
+  random() {
+    return randomAt(this.seed, this.log.length);
+  }
+
+  // the random numbers an attack rolls, the ones it rolled the first time
+  // when it's replayed from the log so replays don't need the seed
+  // given: the logged action's rolls, drawn from random() past its end
+  // Returns { next, drawn } where drawn is everything next() gave so far
+  rollSource(given = []) {
+    const random = this.random();
+    const drawn = [];
+    const next = () => {
+      const n = given[drawn.length] ?? random.next();
+      drawn.push(n);
+      return n;
+    };
+    return { next, drawn };
+  }
+
+  clone() {
+    return new GameState(this.toJSON());
+  }
+
+  // ===== Lookups =====
+
+  tile(q, r) {
+    return this.tiles.get(key(q, r));
+  }
+
+  unit(id) {
+    return this.units.get(id);
+  }
+
+  unitAt(q, r) {
+    for (const unit of this.units.values()) {
+      if (unit.q === q && unit.r === r) return unit;
+    }
+    return undefined;
+  }
+
+  unitsOf(playerName) {
+    return Array.from(this.units.values()).filter((u) => u.owner === playerName);
+  }
+
+  unitType(name) {
+    return this.unitTypes.get(name);
+  }
+
+  structure(q, r) {
+    return this.structures.get(key(q, r));
+  }
+
+  structuresOf(playerName) {
+    return Array.from(this.structures.values()).filter((s) => s.owner === playerName);
+  }
+
+  structureType(name) {
+    return this.structureTypes.get(name);
+  }
+
+  // what the player's structures add up to for one effect, ex: "income"
+  // near: only count structures within their range of this tile
+  structureEffect(playerName, effect, near) {
+    return this.structuresOf(playerName)
+      .map((s) => ({ s, type: this.structureType(s.type) }))
+      .filter(({ s, type }) => type?.[effect] && (!near || distance(s, near) <= (type.range ?? 0)))
+      .map(({ type }) => type[effect]);
+  }
+
+  player(name) {
+    return this.players.find((p) => p.name === name);
+  }
+
+  currentPlayer() {
+    return this.players[this.turn]?.name;
+  }
+
+  ownedTiles(playerName) {
+    return Array.from(this.tiles.values()).filter((t) => t.owner === playerName);
+  }
+
+  // ===== Rules =====
+
+  // the unit's move_range with its promotions
+  moveRangeOf(unit) {
+    return (this.unitType(unit.type)?.move_range ?? 0) + this.promotionBonus(unit, "moves");
+  }
+
+  // the unit's attack_range with its promotions
+  attackRangeOf(unit) {
+    return (this.unitType(unit.type)?.attack_range ?? 0) + this.promotionBonus(unit, "range");
+  }
+
+  // how many moves the unit can still spend this turn
+  moveBudget(unit) {
+    const range = this.moveRangeOf(unit);
+    return Math.min(range, unit.movesLeft ?? range);
+  }
+
+  // moves it takes to step onto the tile, null off the map or on terrain
+  // units can't enter
+  enterCost(q, r) {
+    const tile = this.tile(q, r);
+    return tile ? terrainOf(tile.terrain).cost : null;
+  }
+
+  // share of the damage a unit standing on the tile doesn't take
+  defenseAt(q, r) {
+    return terrainOf(this.tile(q, r)?.terrain).defense;
+  }
+
+  // share of the damage the unit doesn't take: its tile's and its own when
+  // it's fortified
+  defenseOf(unit) {
+    return this.defenseAt(unit.q, unit.r) + (unit.status === "fortified" ? FORTIFY_DEFENSE : 0);
+  }
+
+  // what stepping onto a tile costs the unit on its way somewhere, other
+  // players' units and structures stand in the way, its own side's units
+  // can be passed, and with the zoneOfControl rule a tile next to another
+  // player's unit costs all the moves the unit has left, so the move ends there
+  // zoneOfControl: false to route as if the level had no such rule
+  // seenBy: only the enemy units this player sees through the fog of war have
+  //   a zone of control, for routes shown to a player, the server checks them all
+  // Returns (q, r) => moves, null where it can't go
+  stepCostFor(unit, { zoneOfControl = this.rules.zoneOfControl, seenBy } = {}) {
+    const visible = seenBy ? this.visibleTiles(seenBy) : null;
+    return (q, r) => {
+      const occupant = this.unitAt(q, r);
+      if (occupant && occupant.owner !== unit.owner) return null;
+      if (this.blocksMove(unit, q, r)) return null;
+      const cost = this.enterCost(q, r);
+      return cost !== null && zoneOfControl && this.inZoneOfControl(unit, q, r, visible) ? Infinity : cost;
+    };
+  }
+
+  // true when another player's unit stands next to the tile
+  // visible: keys of the tiles to look on, every tile when left out
+  inZoneOfControl(unit, q, r, visible) {
+    return neighbors(q, r).some((n) => {
+      const other = this.unitAt(n.q, n.r);
+      return other && other.owner !== unit.owner && (!visible || visible.has(key(n.q, n.r)));
+    });
+  }
+
+  // the unit's cheapest route to a tile over the map's terrain
+  // Returns { q, r, cost, dist, path } or undefined if budget can't pay for
+  // it, path being the tiles it steps onto (see routePath)
+  // options: see stepCostFor()
+  routeTo(unit, to, budget, options) {
+    const routes = cheapestRoutes(this.stepCostFor(unit, options), unit, budget);
+    const route = routes.find((t) => t.q === to.q && t.r === to.r);
+    return route && { ...route, path: routePath(routes, to) };
+  }
+
+  // true when another player's structure stands on the tile, units have to
+  // capture it by attacking it before they can move there
+  blocksMove(unit, q, r) {
+    const structure = this.structure(q, r);
+    return Boolean(structure?.owner) && structure.owner !== unit.owner;
+  }
+
+  // empty tiles the unit can move to this turn, its moves paying for the
+  // terrain it crosses, its last moves can always buy one more step
+  // maxSteps: stop after this many steps even with moves left
+  // seenBy: see stepCostFor()
+  // Returns [{ q, r, cost, dist }]
+  reachableTiles(unit, { maxSteps = Infinity, seenBy } = {}) {
+    return cheapestRoutes(this.stepCostFor(unit, { seenBy }), unit, this.moveBudget(unit), maxSteps).filter(
+      (t) => t.dist > 0 && !this.unitAt(t.q, t.r) && !this.blocksMove(unit, t.q, t.r),
+    );
+  }
+
+  // tiles within the unit's attack range, its own tile included, and
+  // whether it has a line of sight to them
+  // Returns [{ q, r, dist, lineOfSight }]
+  attackableTiles(unit) {
+    const range = this.attackRangeOf(unit);
+    return walk((k) => this.tiles.has(k), unit, range).map((t) => ({ ...t, lineOfSight: this.hasLineOfSight(unit, t) }));
+  }
+
+  inAttackRange(attacker, victim) {
+    return distance(attacker, victim) <= this.attackRangeOf(attacker);
+  }
+
+  // true when nothing between two tiles stops a ranged attack: forests,
+  // mountains (terrain.js blocksSight) and structures do, units only on
+  // levels with the unitsBlockSight rule, gaps in the map don't
+  hasLineOfSight(from, to) {
+    return line(from, to)
+      .slice(1, -1)
+      .every(({ q, r }) => {
+        const tile = this.tile(q, r);
+        if (!tile) return true;
+        if (terrainOf(tile.terrain).blocksSight || this.structure(q, r)) return false;
+        return !(this.rules.unitsBlockSight && this.unitAt(q, r));
+      });
+  }
+
+  // in range and in sight, what an attack needs
+  canTarget(attacker, target) {
+    return this.inAttackRange(attacker, target) && this.hasLineOfSight(attacker, target);
+  }
+
+  // other players' structures the unit can attack from where it stands,
+  // ones with a unit on them have to be cleared first
+  attackableStructures(unit) {
+    return Array.from(this.structures.values()).filter(
+      (s) => s.owner !== unit.owner && !this.unitAt(s.q, s.r) && this.canTarget(unit, s),
+    );
+  }
+
+  // how the unit fights, see units.js, unit types without a role are ranged
+  // when they reach past the next hex
+  roleOf(unit) {
+    const type = this.unitType(unit.type);
+    return type?.role ?? ((type?.attack_range ?? 0) > 1 ? "ranged" : "melee");
+  }
+
+  // share of its damage the unit deals at that health, see COMBAT
+  strengthOf(unit, health = unit.health) {
+    const maxHealth = this.unitType(unit.type)?.health || health || 1;
+    const share = Math.min(Math.max(health / maxHealth, 0), 1);
+    return COMBAT.minStrength + (1 - COMBAT.minStrength) * share;
+  }
+
+  // the damage one blow of the unit's deals, with its promotions
+  // roll: 1 for an average blow, see rollFrom()
+  // health: the unit's health as it strikes
+  // defense: share the target's tile takes off it, see defenseAt()
+  // flanking: share of its damage it gains from flanking, see flankingBonus()
+  blow(unit, roll, { health = unit.health, defense = 0, flanking = 0 } = {}) {
+    const damage = (this.unitType(unit.type)?.damage ?? 0) * (1 + this.promotionBonus(unit, "damage") + flanking);
+    return Math.max(Math.round(damage * this.strengthOf(unit, health) * roll * (1 - defense)), 0);
+  }
+
+  // a number in [0, 1), from random().next(), as a roll within the variance
+  rollFrom(n) {
+    return 1 + COMBAT.variance * (2 * n - 1);
+  }
+
+  // share of its damage an attack on the victim gains from the attacker's
+  // side's other units next to the victim, the level's flanking rule for each
+  flankingBonus(attacker, victim) {
+    const flankers = neighbors(victim.q, victim.r).filter((n) => {
+      const other = this.unitAt(n.q, n.r);
+      return other && other.id !== attacker.id && other.owner === attacker.owner;
+    });
+    return flankers.length * (this.rules.flanking ?? 0);
+  }
+
+  // true when the victim strikes back at its attacker: melee and mounted
+  // victims do when the attack came from within their own reach, nobody
+  // strikes back at a ranged unit
+  retaliates(attacker, victim) {
+    if (this.roleOf(attacker) === "ranged") return false;
+    const role = this.roleOf(victim);
+    return (role === "melee" || role === "mounted") && this.inAttackRange(victim, attacker);
+  }
+
+  // what an attack would likely do, for the forecast shown before it's made,
+  // the roll is even across the variance so it's sampled across it
+  // Returns {
+  //   damage: { min, max, expected }, what the victim takes
+  //   retaliation: { min, max, expected }, what the attacker takes back
+  //   killChance, deathChance: of the victim dying and of the attacker
+  //   flanking: share of its damage the attacker gains, see flankingBonus()
+  // }
+  forecast(attackerId, victimId) {
+    const { attacker, victim } = this.checkAttack(attackerId, victimId);
+    const retaliates = this.retaliates(attacker, victim);
+    const flanking = this.flankingBonus(attacker, victim);
+    const rolls = Array.from({ length: FORECAST_SAMPLES }, (_, i) => this.rollFrom(i / (FORECAST_SAMPLES - 1)));
+
+    // every attack roll with every counter roll
+    const dealt = [];
+    const taken = [];
+    for (const roll of rolls) {
+      const damage = this.blow(attacker, roll, { defense: this.defenseOf(victim), flanking });
+      dealt.push(damage);
+      const health = victim.health - damage;
+      for (const counterRoll of rolls) {
+        const survived = retaliates && health > 0;
+        taken.push(survived ? this.blow(victim, counterRoll, { health, defense: this.defenseOf(attacker) }) : 0);
+      }
+    }
+
+    const spread = (list) => ({
+      min: Math.min(...list),
+      max: Math.max(...list),
+      expected: Math.round(list.reduce((sum, n) => sum + n, 0) / list.length),
+    });
+    const chance = (list, test) => list.filter(test).length / list.length;
+    return {
+      damage: spread(dealt),
+      retaliation: spread(taken),
+      killChance: chance(dealt, (n) => n >= victim.health),
+      deathChance: chance(taken, (n) => n >= attacker.health),
+      flanking,
+    };
+  }
+
+  // hexes around the unit its owner sees
+  visionOf(unit) {
+    return this.unitType(unit.type)?.vision ?? DEFAULT_VISION.unit;
+  }
+
+  // keys of the tiles the player sees through the fog of war: their own
+  // tiles and the ones within vision of their units and structures, every
+  // tile on levels without fog
+  visibleTiles(playerName) {
+    const tiles = Array.from(this.tiles.values());
+    if (!this.rules.fog) return new Set(tiles.map((t) => key(t.q, t.r)));
+
+    const eyes = [
+      ...this.unitsOf(playerName).map((u) => ({ q: u.q, r: u.r, vision: this.visionOf(u) })),
+      ...this.structuresOf(playerName).map((s) => ({
+        q: s.q,
+        r: s.r,
+        vision: this.structureType(s.type)?.vision ?? DEFAULT_VISION.structure,
+      })),
+    ];
+    return new Set(
+      tiles
+        .filter((t) => t.owner === playerName || eyes.some((eye) => distance(eye, t) <= eye.vision))
+        .map((t) => key(t.q, t.r)),
+    );
+  }
+
+  // highest unit tier the player can buy or upgrade to, academies unlock
+  // tiers sooner
+  tierFor(playerName) {
+    const sooner = this.structureEffect(playerName, "tierRounds").reduce((a, b) => a + b, 0);
+    return unlockedTier(this.round + sooner);
+  }
+
+  // gold a unit costs the player on a tile, less next to their barracks
+  unitCost(playerName, unitType, q, r) {
+    const cost = this.unitType(unitType)?.cost ?? 0;
+    const discount = Math.max(0, ...this.structureEffect(playerName, "discount", { q, r }));
+    return Math.round(cost * (1 - discount));
+  }
+
+  // gold the player gets at the start of their turn, from their tiles (more
+  // with the wonder) and their structures
+  income(playerName) {
+    const tileIncome = this.ownedTiles(playerName).length * incomePerTile(playerName);
+    const multiplier = Math.max(1, ...this.structureEffect(playerName, "tileIncome"));
+    const structureIncome = this.structureEffect(playerName, "income").reduce((a, b) => a + b, 0);
+    return tileIncome * multiplier + structureIncome;
+  }
+
+  // how the game ended for the human player, once one of the level's
+  // victory conditions is met
+  // Returns { outcome: "win" | "lose" | "draw", condition, player } or null,
+  // see victory.js
+  victoryState() {
+    return checkVictory(this, this.victory);
+  }
+
+  // "win", "lose" or "draw" once the game is over, otherwise null
+  outcome() {
+    return this.victoryState()?.outcome ?? null;
+  }
+
+  // ===== Actions =====
+  // each check* throws a RuleError if the action isn't allowed, the action
+  // itself checks first and then changes the state
+
+  checkPosition(q, r) {
+    if (!Number.isInteger(q) || !Number.isInteger(r)) {
+      throw new RuleError("INVALID_POSITION", "q_pos and r_pos must be integers");
+    }
+    if (!this.tile(q, r)) {
+      throw new RuleError("NO_SUCH_TILE", `No tile at (${q},${r})`);
+    }
+  }
+
+  checkUnit(id) {
+    const unit = this.unit(id);
+    if (!unit) throw new RuleError("UNKNOWN_UNIT", `Unit ${id} not found`);
+    return unit;
+  }
+
+  // only the player whose turn it is can act
+  checkTurn(playerName) {
+    if (playerName !== this.currentPlayer()) {
+      throw new RuleError("NOT_YOUR_TURN", `It's ${this.currentPlayer()}'s turn, not ${playerName}'s`);
+    }
+  }
+
+  // the unit, if it belongs to the player whose turn it is
+  checkOwnUnit(id) {
+    const unit = this.checkUnit(id);
+    this.checkTurn(unit.owner);
+    return unit;
+  }
+
+  checkMove(unitId, q, r) {
+    const unit = this.checkOwnUnit(unitId);
+    this.checkPosition(q, r);
+    if (unit.q === q && unit.r === r) {
+      throw new RuleError("ALREADY_THERE", `${unit.type} is already at (${q},${r})`);
+    }
+
+    const occupant = this.unitAt(q, r);
+    if (occupant) {
+      throw new RuleError("TILE_OCCUPIED", `Tile (${q},${r}) is occupied`);
+    }
+    if (this.blocksMove(unit, q, r)) {
+      throw new RuleError("STRUCTURE_IN_THE_WAY", `${this.structure(q, r).owner}'s ${this.structure(q, r).type} has to be captured first`);
+    }
+
+    if (!isPassable(this.tile(q, r).terrain)) {
+      throw new RuleError("IMPASSABLE", `Units can't enter ${this.tile(q, r).terrain}`);
+    }
+
+    const range = this.moveRangeOf(unit);
+    if (!this.routeTo(unit, { q, r }, range, { zoneOfControl: false })) {
+      throw new RuleError("OUT_OF_RANGE", `No way there within ${range} moves`);
+    }
+    const budget = this.moveBudget(unit);
+    if (!this.routeTo(unit, { q, r }, budget, { zoneOfControl: false })) {
+      throw new RuleError("NOT_ENOUGH_MOVES", `Unit has ${unit.movesLeft ?? 0} moves left, not enough to get there`);
+    }
+    const route = this.routeTo(unit, { q, r }, budget);
+    if (!route) {
+      throw new RuleError("ZONE_OF_CONTROL", "Enemy units next to the way there stop the move short of it");
+    }
+    return { unit, steps: route.dist, cost: route.cost, path: route.path };
+  }
+
+  // the tiles a move claims, the level's claim rule picks the whole path or
+  // only the destination
+  claimsOf(path, q, r) {
+    return this.rules.claim === "path" ? path : [{ q, r }];
+  }
+
+  // moves the unit along its cheapest route, the terrain on the way costs it
+  // moves and stepping next to an enemy costs the rest (see stepCostFor()),
+  // and claims the tile it ends on or every tile on the way
+  // Returns {
+  //   unit, steps, cost,
+  //   path: [{ q, r }] the tiles it stepped onto,
+  //   captured: { q, r, owner } for the destination or null,
+  //   claimed: [{ q, r, owner }] every tile that changed hands
+  // }
+  move(unitId, q, r) {
+    const { unit, steps, cost, path } = this.checkMove(unitId, q, r);
+    unit.q = q;
+    unit.r = r;
+    unit.movesLeft = (unit.movesLeft ?? 0) - cost;
+    unit.status = null;
+    unit.acted = true;
+    const claimed = this.claimsOf(path, q, r)
+      .map((t) => this.claimTile(t.q, t.r, unit.owner))
+      .filter(Boolean);
+    const captured = claimed.find((t) => t.q === q && t.r === r) ?? null;
+    return { unit: { ...unit }, steps, cost, path, captured, claimed };
+  }
+
+  checkBuy(playerName, unitType, q, r) {
+    this.checkTurn(playerName);
+    this.checkPosition(q, r);
+    const player = this.player(playerName);
+    if (!player) throw new RuleError("UNKNOWN_PLAYER", `Player ${playerName} not found`);
+
+    const type = this.unitType(unitType);
+    if (!type) throw new RuleError("UNKNOWN_UNIT_TYPE", `Unknown unit ${unitType}`);
+    if ((type.tier ?? 1) > this.tierFor(playerName)) {
+      throw new RuleError("TIER_LOCKED", `${unitType} is tier ${type.tier}, not unlocked yet`);
+    }
+    if (this.tile(q, r).owner !== playerName) {
+      throw new RuleError("NOT_YOUR_TILE", `Units can only be placed on your own tiles`);
+    }
+    if (!isPassable(this.tile(q, r).terrain)) {
+      throw new RuleError("IMPASSABLE", `Units can't be placed on ${this.tile(q, r).terrain}`);
+    }
+    if (this.unitAt(q, r)) {
+      throw new RuleError("TILE_OCCUPIED", `Tile (${q},${r}) is occupied`);
+    }
+    const cost = this.unitCost(playerName, unitType, q, r);
+    if (player.gold < cost) {
+      throw new RuleError("NOT_ENOUGH_GOLD", `${unitType} costs ${cost} but ${playerName} has ${player.gold} gold`);
+    }
+    return { player, type, cost };
+  }
+
+  // buys a unit onto one of the player's empty tiles, it can't move until
+  // the player's next turn
+  // id: the new unit's id, the server passes the units_state id
+  // Returns { unit, gold } with the player's gold left
+  buy(playerName, unitType, q, r, id = this.nextUnitId()) {
+    const { player, type, cost } = this.checkBuy(playerName, unitType, q, r);
+    player.gold -= cost;
+    const unit = { id, type: unitType, owner: playerName, q, r, health: type.health, movesLeft: 0, xp: 0, promotions: [], status: null, acted: false };
+    this.units.set(id, unit);
+    return { unit: { ...unit }, gold: player.gold };
+  }
+
+  nextUnitId() {
+    let max = 0;
+    for (const id of this.units.keys()) max = Math.max(max, id);
+    return max + 1;
+  }
+
+  // the unit type the unit upgrades into, undefined at the end of its path
+  upgradeTarget(unit) {
+    const next = this.unitType(unit.type)?.upgradeable;
+    return typeof next === "string" ? this.unitType(next) : undefined;
+  }
+
+  // an upgrade costs the difference between the two types' costs
+  upgradeCost(unit) {
+    const target = this.upgradeTarget(unit);
+    if (!target) return undefined;
+    return Math.max(target.cost - (this.unitType(unit.type)?.cost ?? 0), 0);
+  }
+
+  checkUpgrade(unitId) {
+    const unit = this.checkOwnUnit(unitId);
+    const target = this.upgradeTarget(unit);
+    if (!target) throw new RuleError("NOT_UPGRADEABLE", `${unit.type} doesn't upgrade into anything`);
+    if ((target.tier ?? 1) > this.tierFor(unit.owner)) {
+      throw new RuleError("TIER_LOCKED", `${target.name} is tier ${target.tier}, not unlocked yet`);
+    }
+    const player = this.player(unit.owner);
+    if (!player) throw new RuleError("UNKNOWN_PLAYER", `Player ${unit.owner} not found`);
+    const cost = this.upgradeCost(unit);
+    if (player.gold < cost) {
+      throw new RuleError("NOT_ENOUGH_GOLD", `Upgrading to ${target.name} costs ${cost} but ${player.name} has ${player.gold} gold`);
+    }
+    return { unit, target, player, cost };
+  }
+
+  // turns the unit into the next type on its upgrade path, it keeps the
+  // same share of its health and its moves left
+  // Returns { unit, gold, cost } with the player's gold left
+  upgrade(unitId) {
+    const { unit, target, player, cost } = this.checkUpgrade(unitId);
+    const maxHealth = this.unitType(unit.type)?.health || target.health;
+    player.gold -= cost;
+    unit.health = Math.round((unit.health * target.health) / maxHealth);
+    unit.type = target.name;
+    return { unit: { ...unit }, gold: player.gold, cost };
+  }
+
+  // sum of a stat over the unit's promotions, see promotions.js
+  promotionBonus(unit, stat) {
+    return (unit.promotions ?? []).reduce((sum, name) => sum + (PROMOTIONS[name]?.[stat] ?? 0), 0);
+  }
+
+  // promotions the unit has earned with its experience but not picked yet
+  pendingPromotions(unit) {
+    const earned = EXPERIENCE.thresholds.filter((xp) => (unit.xp ?? 0) >= xp).length;
+    return Math.max(earned - (unit.promotions ?? []).length, 0);
+  }
+
+  // the promotions the unit could pick now, [] when it has none pending
+  promotionChoices(unit) {
+    if (this.pendingPromotions(unit) === 0) return [];
+    return Object.keys(PROMOTIONS).filter((name) => {
+      const { roles } = PROMOTIONS[name];
+      return !(unit.promotions ?? []).includes(name) && (!roles || roles.includes(this.roleOf(unit)));
+    });
+  }
+
+  checkPromote(unitId, promotion) {
+    const unit = this.checkOwnUnit(unitId);
+    if (!PROMOTIONS[promotion]) throw new RuleError("UNKNOWN_PROMOTION", `Unknown promotion ${promotion}`);
+    if (this.pendingPromotions(unit) === 0) {
+      throw new RuleError("NO_PROMOTION", `${unit.type} hasn't earned a promotion`);
+    }
+    if (!this.promotionChoices(unit).includes(promotion)) {
+      throw new RuleError("PROMOTION_NOT_ALLOWED", `${unit.type} can't take ${promotion}`);
+    }
+    return { unit };
+  }
+
+  // gives the unit one of the promotions it has earned, a move promotion
+  // counts this turn too
+  // Returns { unit }
+  promote(unitId, promotion) {
+    const { unit } = this.checkPromote(unitId, promotion);
+    unit.promotions = [...(unit.promotions ?? []), promotion];
+    const moves = PROMOTIONS[promotion].moves ?? 0;
+    if (moves && unit.movesLeft > 0) unit.movesLeft += moves;
+    return { unit: { ...unit } };
+  }
+
+  // experience for living through a fight, and for a kill
+  gainExperience(unit, kills) {
+    unit.xp = (unit.xp ?? 0) + EXPERIENCE.fight + (kills ? EXPERIENCE.kill : 0);
+  }
+
+  checkAttack(attackerId, victimId) {
+    const attacker = this.checkOwnUnit(attackerId);
+    const victim = this.checkUnit(victimId);
+    if (attacker.owner === victim.owner) {
+      throw new RuleError("SAME_OWNER", "Units can't attack their own side");
+    }
+    if (attacker.movesLeft !== null && attacker.movesLeft !== undefined && attacker.movesLeft <= 0) {
+      throw new RuleError("NO_MOVES_LEFT", `${attacker.type} has already acted this turn`);
+    }
+    if (!this.inAttackRange(attacker, victim)) {
+      throw new RuleError("OUT_OF_RANGE", `${victim.type} is out of ${attacker.type}'s range`);
+    }
+    if (!this.hasLineOfSight(attacker, victim)) {
+      throw new RuleError("NO_LINE_OF_SIGHT", `Something stands between ${attacker.type} and ${victim.type}`);
+    }
+    return { attacker, victim };
+  }
+
+  // the attacker strikes the victim for its blow (see blow()), more with its
+  // side's units flanking the victim (see flankingBonus()) and less the
+  // victim's defense (see defenseOf()), and a victim that survives may strike back
+  // (see retaliates()), both rolls are drawn from the game's seed unless
+  // they're given (see rollSource())
+  // a unit that drops to 0 is removed and, when the victim died and the
+  // attacker was next to it, the attacker moves onto its tile and claims it
+  // whoever lives gains experience (see gainExperience()) and a bloodlust
+  // attacker heals on a kill
+  // attacking uses up the rest of the attacker's turn
+  // Returns {
+  //   attacker: { id, q, r, movesLeft, health, defeated, xp },
+  //   victim: { id, health, defeated, xp },
+  //   damage, retaliation: what each side took
+  //   captured: { q, r, owner } or null
+  //   rolls: the random numbers drawn, the log keeps them
+  // }
+  attack(attackerId, victimId, rolls) {
+    const { attacker, victim } = this.checkAttack(attackerId, victimId);
+    const random = this.rollSource(rolls);
+
+    const damage = this.blow(attacker, this.rollFrom(random.next()), {
+      defense: this.defenseOf(victim),
+      flanking: this.flankingBonus(attacker, victim),
+    });
+    victim.health = Math.max((victim.health ?? 0) - damage, 0);
+    const defeated = victim.health <= 0;
+
+    let retaliation = 0;
+    if (!defeated && this.retaliates(attacker, victim)) {
+      retaliation = this.blow(victim, this.rollFrom(random.next()), { defense: this.defenseOf(attacker) });
+      attacker.health = Math.max((attacker.health ?? 0) - retaliation, 0);
+    }
+    const attackerDefeated = attacker.health <= 0;
+    if (!attackerDefeated) this.gainExperience(attacker, defeated);
+    if (!defeated) this.gainExperience(victim, attackerDefeated);
+    const heal = defeated ? this.promotionBonus(attacker, "healOnKill") : 0;
+    if (heal > 0) {
+      const maxHealth = this.unitType(attacker.type)?.health ?? attacker.health;
+      attacker.health = Math.min(attacker.health + Math.round(maxHealth * heal), maxHealth);
+    }
+    const advances = defeated && distance(attacker, victim) === 1 && !this.blocksMove(attacker, victim.q, victim.r);
+
+    if (defeated) this.units.delete(victim.id);
+    if (attackerDefeated) this.units.delete(attacker.id);
+    if (advances) {
+      attacker.q = victim.q;
+      attacker.r = victim.r;
+    }
+    attacker.movesLeft = 0;
+    attacker.status = null;
+    attacker.acted = true;
+    const captured = advances ? this.claimTile(attacker.q, attacker.r, attacker.owner) : null;
+
+    return {
+      attacker: {
+        id: attacker.id,
+        q: attacker.q,
+        r: attacker.r,
+        movesLeft: 0,
+        health: attacker.health,
+        defeated: attackerDefeated,
+        xp: attacker.xp,
+      },
+      victim: { id: victim.id, health: victim.health, defeated, xp: victim.xp },
+      damage,
+      retaliation,
+      captured,
+      rolls: random.drawn,
+    };
+  }
+
+  // hands the turn to the next player, who collects income, gets their
+  // units' moves back and heals the units that rested (see restHealing()) or
+  // are near their amphitheaters, the round goes up when the turn comes back
+  // around
+  // Returns { round, turn, player, income, gold, healed: [{ id, health }] }
+  endTurn() {
+    this.turn = (this.turn + 1) % this.players.length;
+    if (this.turn === 0) this.round += 1;
+
+    const player = this.players[this.turn];
+    const income = this.income(player.name);
+    player.gold += income;
+    const healed = [];
+    for (const unit of this.unitsOf(player.name)) {
+      const maxHealth = this.unitType(unit.type)?.health ?? unit.health;
+      const heal = this.restHealing(unit) + Math.max(0, ...this.structureEffect(player.name, "heal", unit));
+      unit.movesLeft = this.moveRangeOf(unit);
+      unit.acted = false;
+
+      if (heal > 0 && unit.health < maxHealth) {
+        unit.health = Math.min(unit.health + heal, maxHealth);
+        healed.push({ id: unit.id, health: unit.health });
+      }
+    }
+
+    return { round: this.round, turn: this.turn, player: player.name, income, gold: player.gold, healed };
+  }
+
+  // health the unit gets back at the start of its owner's turn for having
+  // neither moved nor attacked in their last one, more on its own side's
+  // tiles (REST_HEALING), 0 if it did
+  restHealing(unit) {
+    if (unit.acted) return 0;
+    const owner = this.tile(unit.q, unit.r)?.owner ?? null;
+    const share = owner === unit.owner ? REST_HEALING.own : owner ? REST_HEALING.enemy : REST_HEALING.neutral;
+    return Math.round((this.unitType(unit.type)?.health ?? 0) * share);
+  }
+
+  // units of the player still waiting for orders this turn: ones with moves
+  // left that aren't fortified or asleep
+  pendingUnits(playerName) {
+    return this.unitsOf(playerName).filter((u) => u.movesLeft > 0 && !u.status);
+  }
+
+  checkOrder(unitId, order) {
+    const unit = this.checkOwnUnit(unitId);
+    const status = ORDER_STATUS[order];
+    if (status === undefined) throw new RuleError("UNKNOWN_ACTION", `Unknown order ${order}`);
+    if ((unit.status ?? null) === status) {
+      throw new RuleError("ALREADY_ORDERED", status ? `${unit.type} is already ${status}` : `${unit.type} is already awake`);
+    }
+    return { unit, status };
+  }
+
+  // fortify: the unit digs in for FORTIFY_DEFENSE, sleep: it stops waiting
+  // for orders, wake: it waits for orders again. Both last until it's woken,
+  // moves or attacks, neither spends its moves so it still heals if it rests
+  // Returns { unit }
+  order(unitId, order) {
+    const { unit, status } = this.checkOrder(unitId, order);
+    unit.status = status;
+    return { unit: { ...unit } };
+  }
+
+  checkBuild(playerName, structureType, q, r) {
+    this.checkTurn(playerName);
+    this.checkPosition(q, r);
+    const player = this.player(playerName);
+    if (!player) throw new RuleError("UNKNOWN_PLAYER", `Player ${playerName} not found`);
+
+    const type = this.structureType(structureType);
+    if (!type) throw new RuleError("UNKNOWN_STRUCTURE_TYPE", `Unknown structure ${structureType}`);
+    if (type.buildable === false) {
+      throw new RuleError("NOT_BUILDABLE", `A ${structureType} can't be built, only found`);
+    }
+    if (this.tile(q, r).owner !== playerName) {
+      throw new RuleError("NOT_YOUR_TILE", `Structures can only be built on your own tiles`);
+    }
+    if (this.structure(q, r)) {
+      throw new RuleError("TILE_HAS_STRUCTURE", `Tile (${q},${r}) already has a ${this.structure(q, r).type}`);
+    }
+    if (type.unique && Array.from(this.structures.values()).some((s) => s.type === structureType)) {
+      throw new RuleError("ALREADY_BUILT", `There can only be one ${structureType}`);
+    }
+    if (player.gold < type.cost) {
+      throw new RuleError("NOT_ENOUGH_GOLD", `${structureType} costs ${type.cost} but ${playerName} has ${player.gold} gold`);
+    }
+    return { player, type };
+  }
+
+  // builds a structure on one of the player's tiles, a unit can stand on it
+  // Returns { structure, gold } with the player's gold left
+  build(playerName, structureType, q, r) {
+    const { player, type } = this.checkBuild(playerName, structureType, q, r);
+    player.gold -= type.cost;
+    const structure = { type: structureType, owner: playerName, q, r, health: type.health, heldSince: this.round };
+    this.structures.set(key(q, r), structure);
+    return { structure: { ...structure }, gold: player.gold };
+  }
+
+  checkAttackStructure(attackerId, q, r) {
+    const attacker = this.checkOwnUnit(attackerId);
+    const structure = this.structure(q, r);
+    if (!structure) throw new RuleError("NO_STRUCTURE", `No structure at (${q},${r})`);
+    if (structure.owner === attacker.owner) {
+      throw new RuleError("SAME_OWNER", "Units can't attack their own side");
+    }
+    if (this.unitAt(q, r)) {
+      throw new RuleError("STRUCTURE_DEFENDED", `The ${structure.type} can't be attacked while a unit stands on it`);
+    }
+    if (attacker.movesLeft !== null && attacker.movesLeft !== undefined && attacker.movesLeft <= 0) {
+      throw new RuleError("NO_MOVES_LEFT", `${attacker.type} has already acted this turn`);
+    }
+    if (!this.inAttackRange(attacker, structure)) {
+      throw new RuleError("OUT_OF_RANGE", `The ${structure.type} is out of ${attacker.type}'s range`);
+    }
+    if (!this.hasLineOfSight(attacker, structure)) {
+      throw new RuleError("NO_LINE_OF_SIGHT", `Something stands between ${attacker.type} and the ${structure.type}`);
+    }
+    return { attacker, structure };
+  }
+
+  // the attacker strikes a structure for its blow (see blow()), structures
+  // don't strike back, at 0 health the attacker's side captures it with its
+  // tile and it's repaired to half health
+  // attacking uses up the rest of the attacker's turn and ends its fortify or
+  // sleep order
+  // Returns {
+  //   attacker: { id, q, r, movesLeft },
+  //   structure: { type, owner, q, r, health },
+  //   damage,
+  //   captured: { q, r, owner } or null
+  //   rolls: the random numbers drawn, the log keeps them
+  // }
+  attackStructure(attackerId, q, r, rolls) {
+    const { attacker, structure } = this.checkAttackStructure(attackerId, q, r);
+    const random = this.rollSource(rolls);
+
+    const damage = this.blow(attacker, this.rollFrom(random.next()));
+    structure.health = Math.max((structure.health ?? 0) - damage, 0);
+    attacker.movesLeft = 0;
+    attacker.status = null;
+    attacker.acted = true;
+
+    let captured = null;
+    if (structure.health <= 0) {
+      structure.health = Math.ceil((this.structureType(structure.type)?.health ?? 0) / 2);
+      this.setTileOwner(q, r, attacker.owner);
+      captured = { q, r, owner: attacker.owner };
+    }
+
+    return {
+      attacker: { id: attacker.id, q: attacker.q, r: attacker.r, movesLeft: 0 },
+      structure: { ...structure },
+      damage,
+      captured,
+      rolls: random.drawn,
+    };
+  }
+
+  // applies an action object, the shape the client, server and log use,
+  // and appends it to the log
+  // { type: "buy", player, unitType, q, r, id }
+  // { type: "move", unitId, q, r }
+  // { type: "upgrade", unitId }
+  // { type: "build", player, structureType, q, r }
+  // { type: "promote", unitId, promotion }
+  // { type: "fortify" | "sleep" | "wake", unitId }
+  // { type: "attack", attackerId, victimId, rolls }
+  // { type: "attack_structure", attackerId, q, r, rolls }
+  // rolls is optional, the numbers the attack drew are logged with it
+  // { type: "end_turn" }
+  // { type: "restore", board }, a save was loaded over the game, see board()
+  // buy, move, upgrade, build and the unit orders are logged with before,
+  // see undo()
+  apply(action) {
+    let result;
+    switch (action.type) {
+      case "buy": {
+        const gold = this.player(action.player)?.gold;
+        action = { ...action, id: action.id ?? this.nextUnitId() };
+        result = this.buy(action.player, action.unitType, action.q, action.r, action.id);
+        action.before = { gold };
+        break;
+      }
+      case "move": {
+        const { unit, path } = this.checkMove(action.unitId, action.q, action.r);
+        const before = {
+          q: unit.q,
+          r: unit.r,
+          movesLeft: unit.movesLeft,
+          status: unit.status ?? null,
+          acted: unit.acted ?? false,
+          tileOwner: this.tile(action.q, action.r)?.owner ?? null,
+          tileOwners: this.claimsOf(path, action.q, action.r).map((t) => ({ q: t.q, r: t.r, owner: this.tile(t.q, t.r).owner })),
+        };
+        result = this.move(action.unitId, action.q, action.r);
+        action = { ...action, before };
+        break;
+      }
+      case "upgrade": {
+        const unit = this.unit(action.unitId);
+        const before = unit && { type: unit.type, health: unit.health, gold: this.player(unit.owner)?.gold };
+        result = this.upgrade(action.unitId);
+        action = { ...action, before };
+        break;
+      }
+      case "build": {
+        const gold = this.player(action.player)?.gold;
+        result = this.build(action.player, action.structureType, action.q, action.r);
+        action = { ...action, before: { gold } };
+        break;
+      }
+      case "promote":
+        result = this.promote(action.unitId, action.promotion);
+        break;
+      case "fortify":
+      case "sleep":
+      case "wake": {
+        const before = { status: this.unit(action.unitId)?.status ?? null };
+        result = this.order(action.unitId, action.type);
+        action = { ...action, before };
+        break;
+      }
+      case "attack":
+        result = this.attack(action.attackerId, action.victimId, action.rolls);
+        action = { ...action, rolls: result.rolls };
+        break;
+      case "attack_structure":
+        result = this.attackStructure(action.attackerId, action.q, action.r, action.rolls);
+        action = { ...action, rolls: result.rolls };
+        break;
+      case "end_turn":
+        result = this.endTurn();
+        break;
+      case "restore":
+        result = this.restore(action.board);
+        break;
+      default:
+        throw new RuleError("UNKNOWN_ACTION", `Unknown action ${action.type}`);
+    }
+    this.log.push(structuredClone(action));
+    return result;
+  }
+
+  // the last action if undo() can take it back: a move, purchase, upgrade,
+  // build or unit order of the player whose turn it is, attacks, promotions
+  // and ends of turn can't be taken back so nothing before them can either
+  undoable() {
+    const last = this.log.at(-1);
+    if (!last?.before) return null;
+    if (last.unitId !== undefined && this.unit(last.unitId)?.owner === this.currentPlayer()) {
+      return last;
+    }
+    if ((last.type === "buy" || last.type === "build") && last.player === this.currentPlayer()) return last;
+    return null;
+  }
+
+  // takes back the last action and drops it from the log, see undoable()
+  // a move puts the unit, its moves and the owners of the tiles it claimed
+  // back, a purchase or build removes the unit or structure and an upgrade
+  // turns the unit back, all three refund the player, an order puts the
+  // unit's status back
+  // Returns { action, unit, tile, tiles } for a move (tiles: every tile it
+  // gave back), { action, unitId, gold } for a buy, { action, unit, gold } for
+  // an upgrade, { action, gold } for a build and { action, unit } for an order
+  undo() {
+    const action = this.undoable();
+    if (!action) throw new RuleError("NOTHING_TO_UNDO", "There's nothing this turn to undo");
+    this.log.pop();
+
+    if (action.type === "buy") {
+      this.units.delete(action.id);
+      const player = this.player(action.player);
+      player.gold = action.before.gold;
+      return { action, unitId: action.id, gold: player.gold };
+    }
+
+    if (action.type === "build") {
+      this.structures.delete(key(action.q, action.r));
+      const player = this.player(action.player);
+      player.gold = action.before.gold;
+      return { action, gold: player.gold };
+    }
+
+    if (action.type === "upgrade") {
+      const unit = this.unit(action.unitId);
+      const player = this.player(unit.owner);
+      unit.type = action.before.type;
+      unit.health = action.before.health;
+      player.gold = action.before.gold;
+      return { action, unit: { ...unit }, gold: player.gold };
+    }
+
+    if (action.type !== "move") {
+      const unit = this.unit(action.unitId);
+      unit.status = action.before.status;
+      return { action, unit: { ...unit } };
+    }
+
+    const { q, r, movesLeft, tileOwner } = action.before;
+    // moves logged before the claim rule only have the destination's owner
+    const tiles = action.before.tileOwners ?? [{ q: action.q, r: action.r, owner: tileOwner }];
+    const unit = this.unit(action.unitId);
+    unit.q = q;
+    unit.r = r;
+    unit.movesLeft = movesLeft;
+    unit.status = action.before.status ?? null;
+    unit.acted = action.before.acted ?? false;
+    for (const t of tiles) this.setTileOwner(t.q, t.r, t.owner);
+    return { action, unit: { ...unit }, tile: { q: action.q, r: action.r, owner: tileOwner }, tiles };
+  }
+
+  // sets the tile's owner, returns { q, r, owner } if it changed hands
+  claimTile(q, r, owner) {
+    const tile = this.tile(q, r);
+    if (!tile || tile.owner === owner) return null;
+    this.setTileOwner(q, r, owner);
+    return { q, r, owner };
+  }
+
+  // a structure belongs to whoever owns its tile, heldSince is the round it
+  // changed hands (see the wonder victory)
+  setTileOwner(q, r, owner) {
+    const tile = this.tile(q, r);
+    if (tile) tile.owner = owner;
+    const structure = this.structure(q, r);
+    if (structure && structure.owner !== owner) {
+      structure.owner = owner;
+      structure.heldSince = this.round;
+    }
+  }
+}
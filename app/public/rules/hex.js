@@ -0,0 +1,133 @@
+// Axial hex coordinates, shared by the rules and the scenes
+
+export const DIRECTIONS = [
+  { dq: 1, dr: 0 },
+  { dq: 1, dr: -1 },
+  { dq: 0, dr: -1 },
+  { dq: -1, dr: 0 },
+  { dq: -1, dr: 1 },
+  { dq: 0, dr: 1 },
+];
+
+// map key of a tile, ex: "3,-1"
+export function key(q, r) {
+  return `${q},${r}`;
+}
+
+export function neighbors(q, r) {
+  return DIRECTIONS.map(({ dq, dr }) => ({ q: q + dq, r: r + dr }));
+}
+
+// number of hex steps between two tiles, ignoring what's on the map
+export function distance(a, b) {
+  return (Math.abs(a.q - b.q) + Math.abs(a.q + a.r - b.q - b.r) + Math.abs(a.r - b.r)) / 2;
+}
+
+// walks the map out from a tile
+// isOnMap(key): whether there's a tile there
+// maxSteps: how far to walk
+// Returns [{ q, r, dist }] for every tile reached, the start tile included
+export function walk(isOnMap, from, maxSteps) {
+  const visited = new Set([key(from.q, from.r)]);
+  const reached = [{ q: from.q, r: from.r, dist: 0 }];
+  let frontier = [reached[0]];
+
+  while (frontier.length) {
+    const next = [];
+    for (const current of frontier) {
+      if (current.dist >= maxSteps) continue;
+      for (const n of neighbors(current.q, current.r)) {
+        const k = key(n.q, n.r);
+        if (visited.has(k) || !isOnMap(k)) continue;
+        visited.add(k);
+        const step = { q: n.q, r: n.r, dist: current.dist + 1 };
+        reached.push(step);
+        next.push(step);
+      }
+    }
+    frontier = next;
+  }
+  return reached;
+}
+
+// cheapest routes out from a tile when tiles cost different amounts to enter
+// stepCost(q, r): what entering a tile costs, null or undefined when it can't
+//   be entered or isn't on the map
+// budget: most the route can cost, with any of it left a route can still take
+//   one step that costs more, spending the rest
+// maxSteps: most tiles the route can step through
+// Returns [{ q, r, cost, dist, from }] for every tile reached, the start tile
+// included, dist being the steps the cheapest route takes and from the tile
+// it steps in from ({ q, r }, null for the start), see routePath()
+export function cheapestRoutes(stepCost, from, budget, maxSteps = Infinity) {
+  const best = new Map([[key(from.q, from.r), { q: from.q, r: from.r, cost: 0, dist: 0, from: null }]]);
+  const open = [best.get(key(from.q, from.r))];
+
+  while (open.length) {
+    // few tiles on a map, so picking the cheapest each time is fast enough
+    let i = 0;
+    for (let j = 1; j < open.length; j++) {
+      if (open[j].cost < open[i].cost || (open[j].cost === open[i].cost && open[j].dist < open[i].dist)) i = j;
+    }
+    const current = open.splice(i, 1)[0];
+    if (current !== best.get(key(current.q, current.r))) continue;
+    if (current.dist >= maxSteps || current.cost >= budget) continue;
+
+    for (const n of neighbors(current.q, current.r)) {
+      const enter = stepCost(n.q, n.r);
+      if (enter === null || enter === undefined) continue;
+      const step = {
+        q: n.q,
+        r: n.r,
+        cost: Math.min(current.cost + enter, budget),
+        dist: current.dist + 1,
+        from: { q: current.q, r: current.r },
+      };
+      const known = best.get(key(n.q, n.r));
+      if (known && (known.cost < step.cost || (known.cost === step.cost && known.dist <= step.dist))) continue;
+      best.set(key(n.q, n.r), step);
+      open.push(step);
+    }
+  }
+  return Array.from(best.values());
+}
+
+// the tiles the cheapest route to a tile steps onto, in order and ending on
+// it, [] when cheapestRoutes() didn't reach it
+// routes: what cheapestRoutes() returned
+export function routePath(routes, to) {
+  const byKey = new Map(routes.map((t) => [key(t.q, t.r), t]));
+  const path = [];
+  for (let t = byKey.get(key(to.q, to.r)); t?.from; t = byKey.get(key(t.from.q, t.from.r))) {
+    path.unshift({ q: t.q, r: t.r });
+  }
+  return path;
+}
+
+// the tiles a straight line between two tiles' centers crosses, both ends
+// included, a line along the edge between two tiles goes through the same
+// one of them every time
+export function line(a, b) {
+  const steps = distance(a, b);
+  const tiles = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = steps === 0 ? 0 : i / steps;
+    // nudged off the edges so rounding doesn't tie
+    tiles.push(roundHex(a.q + 1e-6 + (b.q - a.q) * t, a.r + 2e-6 + (b.r - a.r) * t));
+  }
+  return tiles;
+}
+
+// the tile a fractional axial position is in
+function roundHex(q, r) {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return { q: rq, r: rr };
+}
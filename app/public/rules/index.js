@@ -0,0 +1,15 @@
+// The rules engine: import from here rather than the files behind it
+// Server: const { GameState } = await loadRules() (see app/rules.js)
+// Scenes: import { GameState } from "./rules/index.js"
+
+export { default as GameState, RuleError } from "./gameState.js";
+export * from "./hex.js";
+export * from "./constants.js";
+export * as ai from "./ai.js";
+export { UNIT_TYPES } from "./units.js";
+export { STRUCTURE_TYPES, STRUCTURE_ICONS } from "./structures.js";
+export { describeVictory, score } from "./victory.js";
+export { TERRAIN, terrainOf, isPassable } from "./terrain.js";
+export { LEVEL_RULE_DEFAULTS, levelRules } from "./levelRules.js";
+export { PROMOTIONS, EXPERIENCE, formatPromotions } from "./promotions.js";
+export * from "./random.js";
@@ -0,0 +1,24 @@
+// Rules a level can change with "rules" in the level json:
+//   "rules": { "claim": "path" }
+// anything left out keeps its default
+//
+// claim: "destination" claims only the tile a unit ends its move on, "path"
+//   every tile it moves through on the way
+// fog: false lets every player see the whole map, see GameState.visibleTiles
+// unitsBlockSight: true stops ranged attacks at any unit in the way, not only
+//   at forests, mountains and structures, see GameState.hasLineOfSight
+// zoneOfControl: false lets units walk past enemies, otherwise stepping next
+//   to one ends the move, see GameState.stepCostFor
+// flanking: share of its damage an attack on a unit gains for every other unit
+//   of the attacker's side next to the victim, see GameState.flankingBonus
+export const LEVEL_RULE_DEFAULTS = {
+  claim: "destination",
+  fog: true,
+  unitsBlockSight: false,
+  zoneOfControl: true,
+  flanking: 0.1,
+};
+
+export function levelRules(level) {
+  return { ...LEVEL_RULE_DEFAULTS, ...level?.rules };
+}
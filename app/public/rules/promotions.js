@@ -0,0 +1,31 @@
+// What a unit can be promoted with once it's fought enough. Units earn
+// experience from fights they live through and more from kills, and each time
+// their experience passes one of EXPERIENCE.thresholds their owner picks a
+// promotion for them (see GameState.promote). Each one can be taken once.
+//
+// damage: share of its type's damage added to its blows
+// moves: added to its move_range
+// range: added to its attack_range
+// healOnKill: share of its full health it gets back when it kills a unit
+// roles: the unit roles that can take it (units.js), any role when left out
+
+export const EXPERIENCE = { fight: 2, kill: 5, thresholds: [5, 12, 21, 32] };
+
+export const PROMOTIONS = {
+  drill: { label: "+25% attack", damage: 0.25 },
+  mobility: { label: "+1 move", moves: 1, roles: ["melee", "mounted", "ranged"] },
+  bloodlust: { label: "Heal on kill", healOnKill: 0.25 },
+  marksman: { label: "+1 range", range: 1, roles: ["ranged"] },
+};
+
+// units_state.promotions holds the names comma separated, "drill,marksman"
+export function parsePromotions(text) {
+  return String(text ?? "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter((p) => PROMOTIONS[p]);
+}
+
+export function formatPromotions(promotions = []) {
+  return promotions.join(",");
+}
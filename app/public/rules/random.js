@@ -0,0 +1,40 @@
+// Seeded random numbers, so the same seed always plays out the same game
+// Every random choice is drawn from randomAt(seed, step) where step is how
+// many actions the game has logged, so a decision doesn't depend on what
+// was drawn before it or on the page being reloaded in between.
+
+// largest seed, seeds are stored as positive 32 bit numbers
+export const MAX_SEED = 2 ** 31 - 1;
+
+// a random seed for a new game
+export function newSeed() {
+  return 1 + Math.floor(Math.random() * MAX_SEED);
+}
+
+// mulberry32, small and plenty for game decisions
+// Returns { next, int, pick }
+//   next(): number in [0, 1)
+//   int(n): whole number in [0, n)
+//   pick(list): one item of the list, undefined if it's empty
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (n) => Math.floor(next() * n);
+  const pick = (list) => list[int(list.length)];
+  return { next, int, pick };
+}
+
+// the random numbers for the decision made after `step` logged actions
+export function randomAt(seed, step) {
+  // mix the step into the seed so neighbouring steps don't start alike
+  let h = (seed ^ Math.imul(step + 1, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
+  return createRandom((h ^ (h >>> 16)) >>> 0);
+}
@@ -0,0 +1,65 @@
+// Replays a game's action log in Node, for bug reports
+// node app/public/rules/replay.js <log.json> [steps]
+// log.json: what GET /games/:id/log gives (the log QA asks for)
+// steps: stop after that many actions, to look at the board mid game
+
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import GameState from "./gameState.js";
+import { describeVictory } from "./victory.js";
+
+// replays the first `steps` actions of an exported log
+// Returns the GameState, throws the RuleError of an action that doesn't
+// apply with its index as error.step
+export function replayLog(log, steps = Infinity) {
+  const state = GameState.initial({
+    level: log.level_data,
+    players: log.players,
+    unitTypes: log.unit_types,
+    structureTypes: log.structure_types,
+    seed: log.seed,
+  });
+  log.actions.slice(0, steps).forEach((action, i) => {
+    try {
+      state.apply(action);
+    } catch (error) {
+      error.step = i;
+      throw error;
+    }
+  });
+  return state;
+}
+
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMain) {
+  const [file, steps] = process.argv.slice(2);
+  if (!file) {
+    console.error("usage: node app/public/rules/replay.js <log.json> [steps]");
+    process.exit(1);
+  }
+
+  const log = JSON.parse(await readFile(file, "utf8"));
+  let state;
+  try {
+    state = replayLog(log, steps === undefined ? Infinity : Number(steps));
+  } catch (error) {
+    console.error(`Action ${error.step} doesn't apply (${error.code}): ${error.message}`);
+    console.error(JSON.stringify(log.actions[error.step]));
+    process.exit(1);
+  }
+
+  console.log(`game ${log.game_id} on ${log.level}${log.seed ? `, seed ${log.seed}` : ""}, ${state.log.length} of ${log.actions.length} actions`);
+  console.log(`round ${state.round}, ${state.currentPlayer()} to play`);
+  for (const { name, gold } of state.players) {
+    console.log(`  ${name}: ${gold} gold, ${state.unitsOf(name).length} units, ${state.ownedTiles(name).length} tiles`);
+  }
+  for (const unit of state.units.values()) {
+    console.log(`  #${unit.id} ${unit.owner} ${unit.type} at (${unit.q},${unit.r}) ${unit.health} hp, ${unit.movesLeft} moves`);
+  }
+  for (const s of state.structures.values()) {
+    console.log(`  ${s.owner ?? "nobody"}'s ${s.type} at (${s.q},${s.r}) ${s.health} hp`);
+  }
+  const victory = state.victoryState();
+  if (victory) console.log(`outcome: ${victory.outcome}, ${describeVictory(victory)}`);
+}
@@ -0,0 +1,51 @@
+// Plays computer players against each other in Node, for balance testing
+// node app/public/rules/simulate.js [level] [games] [maxRounds] [firstSeed]
+// ex: node app/public/rules/simulate.js level1 50
+// game n is played with seed firstSeed + n, so a run can be repeated exactly
+
+import { readFile } from "node:fs/promises";
+import { pathToFileURL } from "node:url";
+import GameState from "./gameState.js";
+import { HUMAN_PLAYER } from "./constants.js";
+import { playTurn } from "./ai.js";
+import { UNIT_TYPES } from "./units.js";
+
+// plays one game, the human player is played by the AI too
+// Returns { winner, rounds, state } with winner null if nobody won in maxRounds
+export function simulate(level, { maxRounds = 200, seed = 1 } = {}) {
+  const players = [HUMAN_PLAYER];
+  for (let i = 1; i <= (level.num_enemies ?? 1); i++) players.push(`AI ${i}`);
+
+  const state = GameState.initial({ level, players, unitTypes: UNIT_TYPES, seed });
+
+  while (state.round <= maxRounds) {
+    const outcome = state.outcome();
+    if (outcome === "draw") return { winner: null, rounds: state.round, state };
+    if (outcome) return { winner: outcome === "win" ? HUMAN_PLAYER : "AI", rounds: state.round, state };
+    playTurn(state, state.currentPlayer());
+  }
+  return { winner: null, rounds: maxRounds, state };
+}
+
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isMain) {
+  const [levelName = "level1", games = "20", maxRounds = "200", firstSeed = "1"] = process.argv.slice(2);
+  const level = JSON.parse(
+    await readFile(new URL(`../assets/levels/${levelName}.json`, import.meta.url), "utf8"),
+  );
+
+  const wins = {};
+  let totalRounds = 0;
+  for (let i = 0; i < Number(games); i++) {
+    const { winner, rounds } = simulate(level, { maxRounds: Number(maxRounds), seed: Number(firstSeed) + i });
+    const name = winner ?? "draw";
+    wins[name] = (wins[name] ?? 0) + 1;
+    totalRounds += rounds;
+  }
+
+  console.log(`${levelName}: ${games} games, ${(totalRounds / Number(games)).toFixed(1)} rounds on average`);
+  for (const [name, count] of Object.entries(wins)) {
+    console.log(`  ${name}: ${count}`);
+  }
+}
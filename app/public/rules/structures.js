@@ -0,0 +1,37 @@
+// Default structure stats, npm run seed writes name, health and cost into
+// structures_data, the rest is what each structure does and only lives here
+//
+// buildable: false for structures only a level places (level.structures)
+// unique: only one can stand in a game, the wonder
+// income: gold its owner collects at the start of their turn
+// tileIncome: multiplies the owner's income from tiles
+// discount: share off the cost of units bought within range of it
+// tierRounds: rounds sooner every unit tier unlocks for its owner
+// heal: health its owner's units within range get back at the start of the owner's turn
+// range: hexes the discount or healing reaches
+// vision: hexes around it its owner sees through the fog of war, 1 when left out
+
+export const STRUCTURE_TYPES = [
+  { name: "village", health: 35, cost: 0, buildable: false, income: 10 },
+  { name: "town", health: 100, cost: 100, income: 25, vision: 2 },
+  { name: "academy", health: 100, cost: 200, tierRounds: 2 },
+  { name: "amphitheater", health: 100, cost: 200, heal: 20, range: 2 },
+  { name: "barracks", health: 100, cost: 200, discount: 0.25, range: 1 },
+  { name: "tower of babel", health: 300, cost: 400, unique: true, tileIncome: 2, vision: 3 },
+];
+
+// icons the scenes draw structures with
+export const STRUCTURE_ICONS = {
+  village: "🛖",
+  town: "🏘️",
+  academy: "🎓",
+  amphitheater: "🏛️",
+  barracks: "⚔️",
+  "tower of babel": "🗼",
+};
+
+// structures_data rows with what each structure does filled in, the
+// database's health and cost win over the defaults
+export function structureTypesFrom(rows = STRUCTURE_TYPES) {
+  return rows.map((row) => ({ ...STRUCTURE_TYPES.find((t) => t.name === row.name), ...row }));
+}
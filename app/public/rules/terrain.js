@@ -0,0 +1,27 @@
+// What a tile's ground does, picked per tile with "terrain" in the level json:
+//   { "q": 3, "r": 4, "color": "0x808080", "terrain": "forest" }
+// tiles without one are plains
+//
+// cost: moves it takes to step onto the tile, null for tiles units can't enter
+// defense: share of the damage a unit standing on it doesn't take
+// blocksSight: ranged attacks can't be made across it, see GameState.hasLineOfSight
+
+export const TERRAIN = {
+  plains: { cost: 1, defense: 0 },
+  road: { cost: 0.5, defense: 0 },
+  forest: { cost: 2, defense: 0.25, blocksSight: true },
+  hills: { cost: 2, defense: 0.5 },
+  mountains: { cost: null, defense: 0, blocksSight: true },
+  water: { cost: null, defense: 0 },
+};
+
+export const DEFAULT_TERRAIN = "plains";
+
+// the terrain's stats, unknown names are plains
+export function terrainOf(name) {
+  return TERRAIN[name] ?? TERRAIN[DEFAULT_TERRAIN];
+}
+
+export function isPassable(name) {
+  return terrainOf(name).cost !== null;
+}
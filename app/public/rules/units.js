@@ -0,0 +1,20 @@
+// Default unit stats, npm run seed writes them into units_data and
+// simulate.js plays with them when there's no database
+// upgradeable: the unit type this one upgrades into, null at the end of its path
+// vision: hexes around the unit its owner sees through the fog of war
+// role: how it fights, melee and mounted units strike back when they're
+//   attacked up close, ranged units shoot without being struck back and
+//   scouts don't fight (see GameState.retaliates)
+
+export const UNIT_TYPES = [
+  { name: "scout", health: 50, damage: 0, move_range: 3, attack_range: 0, vision: 4, role: "scout", cost: 50, upgradeable: null, tier: 1 },
+  { name: "warrior", health: 100, damage: 35, move_range: 1, attack_range: 1, vision: 2, role: "melee", cost: 75, upgradeable: "swordsman", tier: 1 },
+  { name: "swordsman", health: 150, damage: 75, move_range: 1, attack_range: 1, vision: 2, role: "melee", cost: 125, upgradeable: "knight", tier: 2 },
+  { name: "knight", health: 200, damage: 125, move_range: 1, attack_range: 1, vision: 2, role: "melee", cost: 175, upgradeable: null, tier: 3 },
+  { name: "slinger", health: 75, damage: 50, move_range: 1, attack_range: 3, vision: 2, role: "ranged", cost: 100, upgradeable: "archer", tier: 1 },
+  { name: "archer", health: 100, damage: 75, move_range: 1, attack_range: 5, vision: 3, role: "ranged", cost: 125, upgradeable: "musketeer", tier: 2 },
+  { name: "musketeer", health: 125, damage: 100, move_range: 1, attack_range: 6, vision: 3, role: "ranged", cost: 170, upgradeable: null, tier: 4 },
+  { name: "horseman", health: 175, damage: 75, move_range: 4, attack_range: 1, vision: 3, role: "mounted", cost: 175, upgradeable: "lancer", tier: 2 },
+  { name: "lancer", health: 250, damage: 100, move_range: 6, attack_range: 2, vision: 3, role: "mounted", cost: 225, upgradeable: "chariot", tier: 3 },
+  { name: "chariot", health: 350, damage: 50, move_range: 8, attack_range: 1, vision: 3, role: "mounted", cost: 275, upgradeable: null, tier: 3 },
+];
@@ -0,0 +1,143 @@
+// How a game is won, picked per level with "victory" in the level json:
+//   "victory": ["domination", { "type": "wonder", "rounds": 5 }]
+// a plain name uses that condition's defaults, levels without "victory" are
+// won by domination only. The conditions are checked in the level's order
+// and the first one met ends the game.
+//
+// The human player plays against the computer players as one side, so a
+// condition is met for "win" by the human and for "lose" by any computer.
+//
+// domination: the other side owns no tiles
+// territory: one side owns `percent` of the map's tiles
+// elimination: the other side has no units and can't afford one
+// score: after `rounds` rounds the side with the higher score wins (see
+//   score()), a tie is a draw
+// wonder: a player has held the tower of babel for `rounds` rounds
+
+import { HUMAN_PLAYER, isComputer } from "./constants.js";
+
+export const VICTORY_DEFAULTS = {
+  domination: {},
+  territory: { percent: 60 },
+  elimination: {},
+  score: { rounds: 40 },
+  wonder: { rounds: 5, structure: "tower of babel" },
+};
+
+// the level's conditions with their defaults filled in, unknown ones dropped
+export function victoryConditions(level) {
+  const listed = Array.isArray(level?.victory) && level.victory.length > 0 ? level.victory : ["domination"];
+  return listed
+    .map((c) => (typeof c === "string" ? { type: c } : c))
+    .filter((c) => c && VICTORY_DEFAULTS[c.type])
+    .map((c) => ({ ...VICTORY_DEFAULTS[c.type], ...c }));
+}
+
+// a player's standing for the score victory: a point per tile, 3 per
+// structure and 1 per unit
+export function score(state, playerName) {
+  return (
+    state.ownedTiles(playerName).length +
+    state.structuresOf(playerName).length * 3 +
+    state.unitsOf(playerName).length
+  );
+}
+
+// the players on the human's side and on the computers'
+function sides(state) {
+  const names = state.players.map((p) => p.name);
+  return {
+    human: names.filter((n) => n === HUMAN_PLAYER),
+    computers: names.filter((n) => isComputer(n)),
+  };
+}
+
+function sideOf(playerName) {
+  return playerName === HUMAN_PLAYER ? "win" : "lose";
+}
+
+// no units left and not enough gold for the cheapest one they could buy
+function eliminated(state, playerName) {
+  if (state.unitsOf(playerName).length > 0) return false;
+  const tier = state.tierFor(playerName);
+  const costs = Array.from(state.unitTypes.values())
+    .filter((t) => (t.tier ?? 1) <= tier)
+    .map((t) => t.cost);
+  return costs.length === 0 || (state.player(playerName)?.gold ?? 0) < Math.min(...costs);
+}
+
+// each check returns { outcome, player } once the condition is met, player
+// being who met it or null
+const checks = {
+  domination(state) {
+    const { human, computers } = sides(state);
+    const tiles = Array.from(state.tiles.values());
+    if (!tiles.some((t) => computers.includes(t.owner))) return { outcome: "win", player: HUMAN_PLAYER };
+    if (!tiles.some((t) => human.includes(t.owner))) return { outcome: "lose", player: null };
+    return null;
+  },
+
+  territory(state, { percent }) {
+    const needed = (state.tiles.size * percent) / 100;
+    for (const { name } of state.players) {
+      if (state.ownedTiles(name).length >= needed) return { outcome: sideOf(name), player: name };
+    }
+    return null;
+  },
+
+  elimination(state) {
+    const { human, computers } = sides(state);
+    if (computers.length > 0 && computers.every((n) => eliminated(state, n))) return { outcome: "win", player: HUMAN_PLAYER };
+    if (human.every((n) => eliminated(state, n))) return { outcome: "lose", player: null };
+    return null;
+  },
+
+  score(state, { rounds }) {
+    if (state.round <= rounds) return null;
+    const { human, computers } = sides(state);
+    const best = (names) => Math.max(0, ...names.map((n) => score(state, n)));
+    const ours = best(human);
+    const theirs = best(computers);
+    if (ours === theirs) return { outcome: "draw", player: null };
+    return ours > theirs ? { outcome: "win", player: HUMAN_PLAYER } : { outcome: "lose", player: null };
+  },
+
+  wonder(state, { rounds, structure }) {
+    for (const s of state.structures.values()) {
+      if (s.type !== structure || !s.owner) continue;
+      if (state.round - (s.heldSince ?? state.round) >= rounds) return { outcome: sideOf(s.owner), player: s.owner };
+    }
+    return null;
+  },
+};
+
+// Returns { outcome: "win" | "lose" | "draw", condition, player } for the
+// first of the conditions that's met, null while the game goes on
+export function checkVictory(state, conditions) {
+  for (const condition of conditions) {
+    const met = checks[condition.type](state, condition);
+    if (met) return { ...met, condition };
+  }
+  return null;
+}
+
+// what the end screen says about how the game ended
+export function describeVictory({ outcome, condition, player }) {
+  const who = player ?? (outcome === "win" ? HUMAN_PLAYER : "The enemy");
+  switch (condition.type) {
+    case "domination":
+      return outcome === "win" ? "Domination: the enemy holds no land" : "Domination: you hold no land";
+    case "territory":
+      return `Territory: ${who} holds ${condition.percent}% of the map`;
+    case "elimination":
+      return outcome === "win" ? "Elimination: the enemy army is gone" : "Elimination: your army is gone";
+    case "score":
+      return outcome === "draw"
+        ? `Score: tied after ${condition.rounds} rounds`
+        : `Score: ${outcome === "win" ? "you lead" : "the enemy leads"} after ${condition.rounds} rounds`;
+    case "wonder":
+      return `Wonder: ${who} held the ${condition.structure} for ${condition.rounds} rounds`;
+    default:
+      return condition.type;
+  }
+}
@@ -0,0 +1,37 @@
+// The rules engine in public/rules is an ES module shared with the client,
+// the server imports it once and every caller gets the same copy
+// ex: const { GameState } = await loadRules();
+
+let rules = null;
+
+function loadRules() {
+  if (!rules) rules = import("./public/rules/index.js");
+  return rules;
+}
+
+// true for the errors the engine throws when an action breaks the rules
+function isRuleError(error) {
+  return error?.name === "RuleError";
+}
+
+// HTTP status to answer a broken rule with, anything not listed here is a
+// request that clashes with the game's state
+const statusByCode = {
+  INVALID_POSITION: 400,
+  NO_SUCH_TILE: 400,
+  SAME_OWNER: 400,
+  UNKNOWN_ACTION: 400,
+  NOT_YOUR_TURN: 403,
+  UNKNOWN_UNIT: 404,
+  UNKNOWN_UNIT_TYPE: 404,
+  UNKNOWN_PLAYER: 404,
+  UNKNOWN_STRUCTURE_TYPE: 404,
+  UNKNOWN_PROMOTION: 404,
+  NO_STRUCTURE: 404,
+};
+
+function statusFor(code) {
+  return statusByCode[code] ?? 409;
+}
+
+module.exports = { loadRules, isRuleError, statusFor };
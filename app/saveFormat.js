@@ -0,0 +1,154 @@
+// The single-file save bundle, what every save slot is stored as and what
+// gets downloaded/uploaded. Older bundles are migrated forward on read.
+//
+// version 3:
+// {
+//   format: "civ0-save", version: 3, slot, saved_at,
+//   level: { name, data },        // data is the level json
+//   round, turn,
+//   tiles: [{ q, r, color, owner }],
+//   units: [units_state rows],
+//   structures: [structures_state rows],
+//   players: [{ name, gold }],
+//   ai: [{ name, gold }]
+// }
+//
+// version 2: version 3 without structures, they're taken to be the level's
+// own, at full health and owned by whoever held their tile
+//
+// version 1 (user saves before bundles): one object per slot keyed by
+// table, { slot, saved_at, turn_state: { turn, round }, tiles, players, units_state }
+
+const FORMAT = "civ0-save";
+const CURRENT_VERSION = 3;
+
+// migrations[n] turns a version n bundle into version n + 1
+const migrations = {
+  1: (old) => ({
+    format: FORMAT,
+    version: 2,
+    slot: old.slot,
+    saved_at: old.saved_at,
+    level: { name: null, data: null },
+    round: old.turn_state?.round ?? 1,
+    turn: old.turn_state?.turn ?? 0,
+    tiles: old.tiles || [],
+    units: old.units_state || [],
+    players: old.players || [],
+    ai: [],
+  }),
+  2: (old) => ({ ...old, version: 3, structures: levelStructures(old) }),
+};
+
+// the structures a version 2 bundle's level starts with as structures_state
+// rows, current_health null meaning full health, null when the bundle has
+// no level to take them from
+function levelStructures(bundle) {
+  const level = bundle.level?.data;
+  if (!level) return null;
+  const owners = new Map((bundle.tiles || []).map((t) => [`${t.q},${t.r}`, t.owner ?? null]));
+  return (level.structures || []).map((s) => ({
+    structure_type: s.type,
+    current_health: null,
+    owned_by: owners.get(`${s.q},${s.r}`) ?? null,
+    q_pos: s.q,
+    r_pos: s.r,
+    held_since: 1,
+  }));
+}
+
+class SaveFormatError extends Error {}
+
+function versionOf(bundle) {
+  // version 1 saves didn't say what they were
+  if (bundle.format === undefined && bundle.version === undefined) return 1;
+  if (bundle.format !== FORMAT || !Number.isInteger(bundle.version)) {
+    throw new SaveFormatError("Not a Civ 0 save file");
+  }
+  return bundle.version;
+}
+
+// Brings a bundle of any known version up to CURRENT_VERSION
+// Throws a SaveFormatError for files that aren't saves or are from a newer game
+function migrate(bundle) {
+  if (!bundle || typeof bundle !== "object") {
+    throw new SaveFormatError("Not a Civ 0 save file");
+  }
+
+  let version = versionOf(bundle);
+  if (version > CURRENT_VERSION) {
+    throw new SaveFormatError(`Save version ${version} is newer than this server (${CURRENT_VERSION})`);
+  }
+
+  let migrated = bundle;
+  while (version < CURRENT_VERSION) {
+    migrated = migrations[version](migrated);
+    version = migrated.version;
+  }
+
+  if (!Array.isArray(migrated.tiles) || !Array.isArray(migrated.units) || !Array.isArray(migrated.players)) {
+    throw new SaveFormatError("Save file is missing tiles, units or players");
+  }
+  return migrated;
+}
+
+// empty bundle for a game's level
+function newBundle(levelName, levelData) {
+  return {
+    format: FORMAT,
+    version: CURRENT_VERSION,
+    level: { name: levelName, data: levelData },
+    round: 1,
+    turn: 0,
+    tiles: [],
+    units: [],
+    structures: [],
+    players: [],
+    ai: [],
+  };
+}
+
+// The client and /save, /load still talk in tables, these map a table to
+// its part of the bundle
+const tableGetters = {
+  turn_state: (b) => ({ turn: b.turn, round: b.round }),
+  tiles: (b) => b.tiles,
+  players: (b) => b.players,
+  units_state: (b) => b.units,
+  // undefined for saves that don't know their structures, see levelStructures()
+  structures_state: (b) => b.structures ?? undefined,
+  ai_state: (b) => b.ai,
+};
+
+const tableSetters = {
+  turn_state: (b, data) => {
+    b.turn = data.turn;
+    b.round = data.round;
+  },
+  tiles: (b, data) => (b.tiles = data),
+  players: (b, data) => (b.players = data),
+  units_state: (b, data) => (b.units = data),
+  structures_state: (b, data) => (b.structures = data),
+  ai_state: (b, data) => (b.ai = data),
+};
+
+const tables = Object.keys(tableGetters);
+
+function getTable(bundle, table) {
+  return tableGetters[table](bundle);
+}
+
+function setTable(bundle, table, data) {
+  tableSetters[table](bundle, data);
+}
+
+module.exports = {
+  FORMAT,
+  CURRENT_VERSION,
+  SaveFormatError,
+  tables,
+  migrate,
+  newBundle,
+  getTable,
+  setTable,
+};
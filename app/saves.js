@@ -0,0 +1,256 @@
+const fs = require("fs");
+const path = require("path");
+const saveFormat = require("./saveFormat");
+const tableSchema = require("./tableSchema");
+
+// pieces of a save the client can save and load one at a time
+// turn_state: { turn, round }
+// tiles: [{ q, r, color, owner }]
+// players: [{ name, gold }]
+// units_state: units_state rows
+// structures_state: structures_state rows
+// ai_state: [{ name, gold }]
+const snapshotTables = saveFormat.tables;
+
+// tables only the database fills in, whatever the client sends for them is
+// ignored so a save can't hand a player tiles, gold or units they never had
+const dbTables = ["turn_state", "tiles", "players", "units_state", "structures_state"];
+
+const dbQueries = {
+  players: "SELECT name, gold FROM players WHERE game_id = $1 ORDER BY id",
+  units_state: "SELECT * FROM units_state WHERE game_id = $1 ORDER BY id",
+  structures_state: "SELECT * FROM structures_state WHERE game_id = $1 ORDER BY id",
+};
+
+// a saved units_state/structures_state row as the columns the table can be
+// written with, ids and game_id are left to the database
+// Throws a SaveFormatError if the row doesn't fit the table
+function savedRow(table, row) {
+  const columns = tableSchema.columns(table);
+  const known = Object.fromEntries(Object.entries(row).filter(([column]) => columns.includes(column)));
+  const { values, errors } = tableSchema.validateRow(table, known);
+  if (errors.length) {
+    const problems = errors.map((e) => `${e.column} ${e.error}`).join(", ");
+    throw new saveFormat.SaveFormatError(`Saved ${table} row doesn't fit the table: ${problems}`);
+  }
+  return values;
+}
+
+async function insertRows(client, table, gameId, rows) {
+  for (const row of rows) {
+    const values = { game_id: gameId, ...row };
+    const columns = Object.keys(values);
+    const params = columns.map((_c, i) => `$${i + 1}`).join(", ");
+    await client.query(`INSERT INTO ${table} (${columns.join(", ")}) VALUES (${params})`, Object.values(values));
+  }
+}
+
+// slot the turn autosave and unnamed saves go to
+const defaultSlot = "autosave";
+
+// class of functions for the game's save slots, one save bundle (see
+// saveFormat.js) per slot and level
+class Saves {
+  constructor(pool, games) {
+    this.pool = pool;
+    this.games = games;
+  }
+
+  // slot names end up as file names, so keep them simple
+  static isValidSlot(slot) {
+    return /^[\w -]{1,40}$/.test(slot);
+  }
+
+  slotsDir(game, level) {
+    return path.join(this.games.saveDir(game.id, level || game.level), "slots");
+  }
+
+  snapshotPath(game, level, slot = defaultSlot) {
+    if (!Saves.isValidSlot(slot)) throw new Error(`Invalid save slot ${slot}`);
+    return path.join(this.slotsDir(game, level), `${slot}.json`);
+  }
+
+  // reads a slot's bundle, migrated to the current format version
+  readSnapshot(game, level, slot) {
+    const filePath = this.snapshotPath(game, level, slot);
+    if (!fs.existsSync(filePath)) return null;
+    return saveFormat.migrate(JSON.parse(fs.readFileSync(filePath, "utf8")));
+  }
+
+  writeSnapshot(game, level, slot, snapshot) {
+    const filePath = this.snapshotPath(game, level, slot);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(snapshot));
+  }
+
+  // gets a table's rows from the database for the snapshot
+  async readTable(game, table) {
+    if (table === "turn_state") return this.games.getTurnState(game.id);
+    if (table === "tiles") {
+      // every tile of the board, the level's for the ones never written
+      const state = await this.games.loadState(game);
+      return Array.from(state?.tiles.values() ?? []).map(({ q, r, color, owner }) => ({ q, r, color, owner }));
+    }
+    const result = await this.pool.query(dbQueries[table], [game.id]);
+    return result.rows;
+  }
+
+  // Saves one table, or the whole snapshot when table is "snapshot"
+  // data: the table's data, only ai_state's is used, the rest always come
+  //   from the database
+  // slot: the save slot name, defaults to the autosave
+  // Returns what was saved
+  async save(game, level, table, data, slot = defaultSlot) {
+    const tables = table === "snapshot" ? snapshotTables : [table];
+    if (!tables.every((t) => snapshotTables.includes(t))) {
+      throw new Error(`Unknown save table ${table}`);
+    }
+
+    const updates = {};
+    for (const t of tables) {
+      const tableData = table === "snapshot" ? data?.[t] : data;
+      if (dbTables.includes(t)) {
+        updates[t] = await this.readTable(game, t);
+      } else if (tableData !== undefined) {
+        updates[t] = tableData;
+      }
+    }
+
+    // read after the database calls so saves racing each other don't drop tables
+    const snapshot =
+      this.readSnapshot(game, level, slot) ||
+      saveFormat.newBundle(level || game.level, this.games.getLevelData(game));
+    for (const [t, tableData] of Object.entries(updates)) {
+      saveFormat.setTable(snapshot, t, tableData);
+    }
+    snapshot.slot = slot;
+    snapshot.saved_at = new Date().toISOString();
+    this.writeSnapshot(game, level, slot, snapshot);
+
+    return table === "snapshot" ? snapshot : updates[table];
+  }
+
+  // Loads one table, or the whole snapshot when table is "snapshot"
+  // Returns undefined if nothing was saved for it
+  load(game, level, table, slot = defaultSlot) {
+    const snapshot = this.readSnapshot(game, level, slot);
+    if (!snapshot) return undefined;
+    return table === "snapshot" ? snapshot : saveFormat.getTable(snapshot, table);
+  }
+
+  // Loads a slot over the game: its round and turn, tiles, gold, units and
+  // structures replace the game's, all in one transaction and all from what
+  // the server saved, so a client can't pick its own
+  // saves from before structures were saved keep the game's
+  // Returns false if there's no such slot
+  async restore(game, level, slot = defaultSlot) {
+    const snapshot = this.readSnapshot(game, level, slot);
+    if (!snapshot) return false;
+    const units = snapshot.units.map((row) => savedRow("units_state", row));
+    const structures = snapshot.structures?.map((row) => savedRow("structures_state", row));
+
+    const client = await this.pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `INSERT INTO turn_state (game_id, round, turn) VALUES ($1, $2, $3)
+          ON CONFLICT (game_id) DO UPDATE SET round = $2, turn = $3, updated_at = NOW()`,
+        [game.id, snapshot.round, snapshot.turn],
+      );
+      await client.query("DELETE FROM tiles_state WHERE game_id = $1", [game.id]);
+      for (const { q, r, color, owner } of snapshot.tiles) {
+        await client.query(
+          "INSERT INTO tiles_state (game_id, q, r, color, owner) VALUES ($1, $2, $3, $4, $5)",
+          [game.id, q, r, color ?? null, owner ?? null],
+        );
+      }
+      for (const { name, gold } of snapshot.players) {
+        if (!Number.isInteger(gold)) continue;
+        await client.query("UPDATE players SET gold = $1 WHERE game_id = $2 AND name = $3", [gold, game.id, name]);
+      }
+      await client.query("DELETE FROM units_state WHERE game_id = $1", [game.id]);
+      await insertRows(client, "units_state", game.id, units);
+      if (structures) {
+        await client.query("DELETE FROM structures_state WHERE game_id = $1", [game.id]);
+        await insertRows(client, "structures_state", game.id, structures);
+      }
+      await client.query("UPDATE games SET updated_at = NOW() WHERE id = $1", [game.id]);
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+    return true;
+  }
+
+  // Gets a slot as a standalone bundle to download
+  // fills in the level for saves made before bundles carried it
+  exportSlot(game, level, slot) {
+    const bundle = this.readSnapshot(game, level, slot);
+    if (!bundle) return undefined;
+    if (!bundle.level?.data) {
+      bundle.level = { name: level || game.level, data: this.games.getLevelData(game) };
+    }
+    return bundle;
+  }
+
+  // Turns an uploaded bundle into a new game with the bundle in one of its slots
+  // Returns { game, slot }
+  async importBundle(upload, slot = "imported") {
+    const bundle = saveFormat.migrate(upload);
+    const levelName = bundle.level?.name;
+    if (!levelName || !bundle.level.data) {
+      throw new saveFormat.SaveFormatError("Save file has no level in it");
+    }
+
+    const playerNames = bundle.players.map((p) => p.name);
+    const game = await this.games.createGame(levelName, bundle.level.data, playerNames);
+
+    bundle.slot = slot;
+    this.writeSnapshot(game, levelName, slot, bundle);
+    return { game, slot };
+  }
+
+  // Lists the level's save slots, newest first
+  // Returns a summary of each slot, tiles are included for thumbnails
+  listSlots(game, level) {
+    const dir = this.slotsDir(game, level);
+    if (!fs.existsSync(dir)) return [];
+
+    return fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => {
+        const slot = path.basename(file, ".json");
+        const snapshot = this.readSnapshot(game, level, slot);
+        const player = snapshot.players.find((p) => p.name === "Player 1");
+        return {
+          slot,
+          saved_at: snapshot.saved_at,
+          version: snapshot.version,
+          round: snapshot.round,
+          turn: snapshot.turn,
+          gold: player?.gold,
+          units: snapshot.units.length,
+          tiles: snapshot.tiles.map(({ q, r, color, owner }) => ({ q, r, color, owner })),
+        };
+      })
+      .sort((a, b) => String(b.saved_at).localeCompare(String(a.saved_at)));
+  }
+
+  // Deletes a save slot
+  // Returns true if the slot existed
+  deleteSlot(game, level, slot) {
+    const filePath = this.snapshotPath(game, level, slot);
+    if (!fs.existsSync(filePath)) return false;
+    fs.rmSync(filePath);
+    return true;
+  }
+}
+
+Saves.snapshotTables = snapshotTables;
+Saves.defaultSlot = defaultSlot;
+
+module.exports = Saves;
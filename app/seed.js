@@ -0,0 +1,44 @@
+// Fills units_data and structures_data: npm run seed
+// Safe to run again, rows are updated in place instead of duplicated.
+// Run npm run migrate first.
+
+let { Pool } = require("pg");
+let env = require("../env.json");
+let pool = new Pool(env);
+
+// unit and structure stats live in public/rules so the rules engine can use them too
+let table_data = {}
+
+async function seed() {
+    try {
+        let { UNIT_TYPES } = await import("./public/rules/units.js");
+        // name, health, damage, move_range, attack_range, cost, upgradeable, tier, vision, role
+        table_data.units_data = UNIT_TYPES.map((u) => [u.name, u.health, u.damage, u.move_range, u.attack_range, u.cost, u.upgradeable, u.tier, u.vision, u.role]);
+        let { STRUCTURE_TYPES } = await import("./public/rules/structures.js");
+        // name, health, cost
+        table_data.structures_data = STRUCTURE_TYPES.map((s) => [s.name, s.health, s.cost]);
+
+        let unit_command = `INSERT INTO units_data(name, health, damage, move_range, attack_range, cost, upgradeable, tier, vision, role)
+            VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            ON CONFLICT (name) DO UPDATE SET health = $2, damage = $3, move_range = $4, attack_range = $5, cost = $6, upgradeable = $7, tier = $8, vision = $9, role = $10`;
+        let struct_command = `INSERT INTO structures_data(name, health, cost) VALUES($1, $2, $3)
+            ON CONFLICT (name) DO UPDATE SET health = $2, cost = $3`;
+
+        for (const data of table_data.units_data) {
+            await pool.query(unit_command, data);
+        }
+
+        for (const data of table_data.structures_data) {
+            await pool.query(struct_command, data);
+        }
+
+        console.log(`Seeded ${table_data.units_data.length} units and ${table_data.structures_data.length} structures.`);
+    } catch (error) {
+        console.error("Error seeding data:", error);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+seed();
@@ -8,12 +8,6 @@ class SelectEntity {
 
     }
 
-    async getAllUnits() {
-        let command = `SELECT * FROM units_state`;
-        const allUnits = await pool.query(command);
-        return allUnits.rows;
-    }
-    
     // Retrieves units from the units_data table
     // For situations when a player/AI buys a new unit
     // unitName: the name of the unit
@@ -25,13 +19,32 @@ class SelectEntity {
         return unit.rows[0];
     }
 
+    // Gets every unit that can be bought, for the unit tray
+    // Returns the units_data rows ordered by tier then name
+    async getUnitCatalog() {
+        let command = `SELECT * FROM units_data ORDER BY tier, name`;
+        let units = await this.pool.query(command);
+        return units.rows;
+    }
+
+    // Gets every structure that can be built or found, for the build buttons
+    // Returns the structures_data rows ordered by cost then name
+    async getStructureCatalog() {
+        let command = `SELECT * FROM structures_data ORDER BY cost, name`;
+        let structures = await this.pool.query(command);
+        return structures.rows;
+    }
+
     // Inserts the a new unit into the units_state table
     // Should be called when a new unit is bought
     // unit: A JSON containing: id, unit_type, current_health
     // pos: the position the unit will be on
-    async initiateUnit(unit, q_pos, r_pos, player) {
-        let command = `INSERT INTO units_state (unit_type, current_health, owned_by, q_pos, r_pos, can_move, moves_left) VALUES ($1, $2, $3, $4, $5, $6, $7)`;
-        await this.pool.query(command, [unit.name, unit.health, player, q_pos, r_pos, true, unit.move_range]);
+    // gameId: the game the unit is bought in
+    // Returns the new row
+    async initiateUnit(unit, q_pos, r_pos, player, gameId) {
+        let command = `INSERT INTO units_state (game_id, unit_type, current_health, owned_by, q_pos, r_pos, can_move, moves_left) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`;
+        let result = await this.pool.query(command, [gameId, unit.name, unit.health, player, q_pos, r_pos, true, unit.move_range]);
+        return result.rows[0];
     }
 
     // renamed putUnit and changed it since the below function was identical 
@@ -43,13 +56,6 @@ class SelectEntity {
     //     await pool.query(command, [unit.name, unit.health, pos, player]);
     // }
 
-    // gets the unit on the board using the id of that unit
-    async getUnitState(id) {
-        let command = `SELECT * FROM units_state WHERE id = $1`;
-        let unit = await this.pool.query(command, [id]);
-        return unit.rows[0];
-    }
-
     // gets the unit's name/type from the units_state table
     async getUnitType(id) {
         let command = `SELECT unit_type FROM units_state WHERE id = $1`;
@@ -102,7 +108,20 @@ class SelectEntity {
     // Should be called when unit moves
     async updateUnitPos(id, r_pos, q_pos) {
         let command = `UPDATE units_state SET r_pos = $1, q_pos = $2 WHERE id = $3`;
-        await pool.query(command, [r_pos, q_pos, id]);
+        await this.pool.query(command, [r_pos, q_pos, id]);
+    }
+
+    // gets whichever unit is standing on the given tile in the game, if any
+    async getUnitAt(gameId, q_pos, r_pos) {
+        let command = `SELECT * FROM units_state WHERE game_id = $1 AND q_pos = $2 AND r_pos = $3`;
+        let unit = await this.pool.query(command, [gameId, q_pos, r_pos]);
+        return unit.rows[0];
+    }
+
+    // Updates how many moves the unit has left this turn
+    async updateMovesLeft(id, movesLeft) {
+        let command = `UPDATE units_state SET moves_left = $1 WHERE id = $2`;
+        await this.pool.query(command, [movesLeft, id]);
     }
 
     // id: id of the unit
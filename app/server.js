@@ -6,25 +6,201 @@ const hostname = "localhost";
 const env = require("../env.json");
 const Pool = pg.Pool;
 const pool = new Pool(env);
-const fs = require("fs");
-const path = require("path");
-const { Parser } = require("json2csv");
-const { parse } = require("csv-parse/sync");
 pool.connect().then(function () {
   console.log(`Connected to database ${env.database}`);
 });
 const SelectEntity = require('./selectEntity');
 const selectEntity = new SelectEntity(pool);
+const Games = require('./games');
+const games = new Games(pool);
+const requireGame = games.requireGame();
 const Combat = require('./public/combat');
-const combat = new Combat(pool);
+const combat = new Combat(pool, games);
+const Movement = require('./movement');
+const movement = new Movement(pool, games);
+const { isRuleError, statusFor } = require('./rules');
+const Saves = require('./saves');
+const saves = new Saves(pool, games);
+const saveFormat = require('./saveFormat');
+const tableSchema = require('./tableSchema');
+const TableIO = require('./tableIO');
+const tableIO = new TableIO(pool, games);
+const ComputerTurns = require('./computerTurns');
+const computerTurns = new ComputerTurns(games, movement, combat);
 
 app.use(express.static("public"));
-app.use(express.json());
+app.use(express.json({ limit: "5mb" })); // save bundles carry the whole level
+
+// lets a client served from another host or port (see public/config.js) call the api
+app.use((req, res, next) => {
+  res.set("Access-Control-Allow-Origin", "*");
+  res.set("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE");
+  res.set("Access-Control-Allow-Headers", "Content-Type");
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  next();
+});
+
+// creates a new game and its players
+// body: { level, level_data, players: ["Player 1", "AI 1"], seed }
+// seed is optional, pass one to play a reported game's seed again
+app.post("/games", async (req, res) => {
+  try {
+    const { level, level_data, players, seed } = req.body;
+    if (!level) return res.status(400).json({ error: "level is required" });
+    const game = await games.createGame(level, level_data, players, seed);
+    res.json({ success: true, game: games.publicGame(game) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error creating game" });
+  }
+});
+
+// lists games, Ex: "/games?level=level1"
+app.get("/games", async (req, res) => {
+  try {
+    const result = await games.listGames(req.query.level);
+    res.json({ success: true, games: result });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error listing games" });
+  }
+});
+
+// resumes a game, returns the game with its players and units
+app.get("/games/:id", async (req, res) => {
+  try {
+    const game = await games.resumeGame(parseInt(req.params.id));
+    if (!game) return res.status(404).json({ error: "Game not found" });
+    res.json({ success: true, game: games.publicGame(game) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error resuming game" });
+  }
+});
+
+app.delete("/games/:id", async (req, res) => {
+  try {
+    const deleted = await games.deleteGame(parseInt(req.params.id));
+    if (!deleted) return res.status(404).json({ error: "Game not found" });
+    res.json({ success: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error deleting game" });
+  }
+});
+
+// puts the game back to round 1, clears its units, tiles and turn state
+// Ex: POST "/games/1/reset"
+app.post("/games/:id/reset", async (req, res) => {
+  try {
+    const game = await games.getGame(parseInt(req.params.id));
+    if (!game) return res.status(404).json({ error: "Game not found" });
+    await games.resetGame(game.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error resetting game" });
+  }
+});
+
+// every action taken in the game, replays it exactly with
+// public/rules/replay.js, the seed is only sent once the game is over
+// Ex: "/games/1/log", add "?download=1" to save it as a file
+app.get("/games/:id/log", async (req, res) => {
+  try {
+    const game = await games.getGame(parseInt(req.params.id));
+    if (!game) return res.status(404).json({ error: "Game not found" });
+    const log = await games.exportLog(game);
+    if (req.query.download) {
+      res.attachment(`game-${game.id}-log.json`);
+    }
+    res.json(log);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting game log" });
+  }
+});
+
+// every unit that can be bought, with its tier and cost
+app.get("/units_data", async (req, res) => {
+  try {
+    const units = await selectEntity.getUnitCatalog();
+    res.json(units);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting units data" });
+  }
+});
+
+// every structure, with its health and cost
+app.get("/structures_data", async (req, res) => {
+  try {
+    const structures = await selectEntity.getStructureCatalog();
+    res.json(structures);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting structures data" });
+  }
+});
 
-// Returns all units from units_state
-app.get("/get_all_units", async (req, res) => {
+// Ex: "/players?game_id=1"
+app.get("/players", requireGame, async (req, res) => {
   try {
-    const result = await selectEntity.getAllUnits(); 
+    res.json(await games.getPlayers(req.game.id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting players" });
+  }
+});
+
+// Ex: "/tiles_state?game_id=1"
+app.get("/tiles_state", requireGame, async (req, res) => {
+  try {
+    res.json(await games.getTiles(req.game.id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting tiles" });
+  }
+});
+
+// Ex: "/turn_state?game_id=1"
+app.get("/turn_state", requireGame, async (req, res) => {
+  try {
+    res.json(await games.getTurnState(req.game.id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting turn state" });
+  }
+});
+
+// every tile the player has seen this game, for the fog of war
+// Ex: "/explored?game_id=1" gives ["0,1", "1,1", ...]
+app.get("/explored", requireGame, async (req, res) => {
+  try {
+    res.json(await games.explored(req.game));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting explored tiles" });
+  }
+});
+
+// the actions the player has taken this turn, what the client needs to
+// take them back, see Games.turnActions
+// Ex: "/turn_actions?game_id=1"
+app.get("/turn_actions", requireGame, async (req, res) => {
+  try {
+    res.json(await games.turnActions(req.game));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting this turn's actions" });
+  }
+});
+
+// Returns the game's units the player sees through the fog of war, see
+// Games.visibleUnits
+app.get("/get_all_units", requireGame, async (req, res) => {
+  try {
+    const result = await games.visibleUnits(req.game);
     res.json(result);
   } catch (err) {
     console.error(err);
@@ -46,11 +222,13 @@ app.get("/get_unit", async (req, res) => {
 });
 
 // get the unit from the units_state table
-app.get("/get_unit_state", async (req, res) => {
-  // Ex: "/get_unit_state?id=2"
+app.get("/get_unit_state", requireGame, async (req, res) => {
+  // Ex: "/get_unit_state?game_id=1&id=2"
   try {
-    const id = req.query.id;
-    const unit = await selectEntity.getUnitState(id);
+    const id = parseInt(req.query.id);
+    // units in the fog of war aren't there as far as the player knows
+    const unit = (await games.visibleUnits(req.game)).find((u) => u.id === id);
+    if (!unit) return res.status(404).send("Unit not found.");
     res.json(unit);
   } catch (error) {
     console.error(error);
@@ -58,77 +236,239 @@ app.get("/get_unit_state", async (req, res) => {
   }
 });
 
-// for when a new unit is bought 
-app.get("/initiate_unit", async (req, res) => {
+// for when a new unit is bought, the server checks the tile and the
+// player's gold and charges them
+// body: { game_id, unitName, q_pos, r_pos, player }
+// returns the new units_state row and the player's gold left
+app.post("/initiate_unit", requireGame, async (req, res) => {
   try {
-    const unitName = req.query.unitName;
-    const q_pos = parseInt(req.query.q_pos);
-    const r_pos = parseInt(req.query.r_pos);
-    const player = decodeURIComponent(req.query.player);
-    const response = await fetch(`http://localhost:3000/get_unit?unitName=${unitName}`);
-    const unit = await response.json();
-    await selectEntity.initiateUnit(unit, q_pos, r_pos, player);
-    res.send();
+    const { unitName, player } = req.body;
+    const q_pos = parseInt(req.body.q_pos);
+    const r_pos = parseInt(req.body.r_pos);
+    const { unit, gold } = await games.buyUnit(req.game, player, unitName, q_pos, r_pos);
+    res.json({ success: true, unit, gold });
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(statusFor(error.code)).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Error initiating unit." });
+  }
+});
+
+// upgrades a unit into the next unit on its path (units_data.upgradeable),
+// its owner pays the difference in cost
+// body: { game_id, id }
+// returns the updated units_state row and the owner's gold left
+app.post("/upgrade_unit", requireGame, async (req, res) => {
+  try {
+    const { unit, gold } = await games.upgradeUnit(req.game, parseInt(req.body.id));
+    res.json({ success: true, unit, gold });
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(statusFor(error.code)).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Error upgrading unit." });
+  }
+});
+
+// gives a unit one of the promotions it has earned in combat, see
+// public/rules/promotions.js
+// body: { game_id, id, promotion }
+// returns the updated units_state row
+app.post("/promote_unit", requireGame, async (req, res) => {
+  try {
+    const unit = await games.promoteUnit(req.game, parseInt(req.body.id), String(req.body.promotion));
+    res.json({ success: true, unit });
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(statusFor(error.code)).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Error promoting unit." });
+  }
+});
+
+// gives a unit an order: "fortify" it for a defense bonus, put it to "sleep"
+// so it stops waiting for orders, or "wake" it, both last until it moves
+// body: { game_id, id, order }
+// returns the updated units_state row
+app.post("/order_unit", requireGame, async (req, res) => {
+  try {
+    const unit = await games.orderUnit(req.game, parseInt(req.body.id), String(req.body.order));
+    res.json({ success: true, unit });
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(statusFor(error.code)).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Error ordering unit." });
+  }
+});
+
+// Ex: "/structures?game_id=1"
+app.get("/structures", requireGame, async (req, res) => {
+  try {
+    res.json(await games.getStructures(req.game.id));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: "Error getting structures" });
+  }
+});
+
+// builds a structure on one of the player's tiles, the server checks the
+// tile and the player's gold and charges them
+// body: { game_id, structureType, q_pos, r_pos, player }
+// returns the new structures_state row and the player's gold left
+app.post("/build_structure", requireGame, async (req, res) => {
+  try {
+    const { structureType, player } = req.body;
+    const q_pos = parseInt(req.body.q_pos);
+    const r_pos = parseInt(req.body.r_pos);
+    const { structure, gold } = await games.buildStructure(req.game, player, structureType, q_pos, r_pos);
+    res.json({ success: true, structure, gold });
   } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(statusFor(error.code)).json({ success: false, code: error.code, error: error.message });
+    }
     console.error(error);
-    res.status(500).send("Error initiating unit.");
+    res.status(500).json({ error: "Error building structure." });
   }
 });
 
 // basically, gets the chosen unit's range, look around for enemy units
-// send true if in range and can attack -> send to "/get_combat_units"
-app.get("/detect_units", async (req, res) => {
-  try {
-    // requires positions for both player and enemy units
-
-    const attackId = req.query.attackId;
-    const enemyId = req.query.enemyId;
-    
-    const attackUnitType = await selectEntity.getUnitType(attackId);
-    const attackPos = await selectEntity.getUnitPosition(attackId);
-    const range = await selectEntity.getUnitRange(attackUnitType);
-    const enemyPos = await selectEntity.getUnitPosition(enemyId);
-    
+// send true if in range and can attack -> send to "/combat"
+// Ex: "/detect_units?game_id=1&attackId=2&enemyId=3"
+app.get("/detect_units", requireGame, async (req, res) => {
+  try {
     // bool value
-    const inRange = await combat.check_range(attackPos.q_pos, attackPos.r_pos, range, enemyPos.q_pos, enemyPos.r_pos); // change this
-   
+    const inRange = await combat.check_range(parseInt(req.query.attackId), parseInt(req.query.enemyId), req.game);
     res.json(inRange);
   } catch (error) {
-    res.status(500).send("Error getting unit.");
+    if (error instanceof Combat.CombatError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ error: "Error getting unit." });
   }
+});
 
+// called when units are attacking one another, the server checks the range,
+// applies the damage and the victim's retaliation, removes the dead and
+// captures the tile
+// body: { game_id, attackerId, victimId }
+// returns the result for the client to animate, see Combat.attack
+app.post("/combat", requireGame, async (req, res) => {
+  try {
+    const attackerId = parseInt(req.body.attackerId);
+    const victimId = parseInt(req.body.victimId);
+    const result = await combat.attack(attackerId, victimId, req.game);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof Combat.CombatError) {
+      return res.status(error.status).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", error: "Error in combat." });
+  }
 });
 
-// called when units are attacking one another
-// this function should get both the attacker and victim and update both units in the table 
-// only called when the above get function, "get_unit_id" is true
-app.get("/combat", async (req, res) => {
+// a unit attacks the structure on q, r, at 0 health the structure and its
+// tile go to the attacker's side
+// body: { game_id, attackerId, q, r }
+// returns the result for the client to animate, see Combat.attackStructure
+app.post("/attack_structure", requireGame, async (req, res) => {
   try {
-    const attackerId = parseInt(req.query.attackerId);
-    const victimId = parseInt(req.query.victimId);
+    const attackerId = parseInt(req.body.attackerId);
+    const q = parseInt(req.body.q);
+    const r = parseInt(req.body.r);
+    const result = await combat.attackStructure(attackerId, q, r, req.game);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof Combat.CombatError) {
+      return res.status(error.status).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, code: "SERVER_ERROR", error: "Error attacking structure." });
+  }
+});
 
-    const result = await combat.attack(attackerId, victimId);
-    res.json(result);
+// ends the player's turn, the next player collects their income, their
+// units get their moves back and heal near their amphitheaters
+// refused with NOT_YOUR_TURN unless it's the player's turn
+// body: { game_id, player }
+// returns { round, turn, player, income, gold, healed, victory }, victory is
+// null until the game is over, see GameState.victoryState
+app.post("/end_turn", requireGame, async (req, res) => {
+  try {
+    const result = await games.endTurn(req.game, req.body.player);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(statusFor(error.code)).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, error: "Error ending turn." });
+  }
+});
 
+// plays the turn of the computer player whose turn it is and ends it, the
+// computer players play on the server so the client only ever gets the
+// units the player sees
+// refused with NOT_YOUR_TURN on the player's turn
+// body: { game_id }
+// returns what "/end_turn" does
+app.post("/computer_turn", requireGame, async (req, res) => {
+  try {
+    const result = await computerTurns.playTurn(req.game);
+    res.json({ success: true, ...result });
   } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(statusFor(error.code)).json({ success: false, code: error.code, error: error.message });
+    }
     console.error(error);
-    res.status(500).send("Error in combat.");
+    res.status(500).json({ success: false, error: "Error playing the computer's turn." });
   }
+});
 
+// takes back the current player's last move, purchase, upgrade, build or unit
+// order this turn, attacks, promotions and ends of turn are final
+// body: { game_id }
+// returns { action, unit, tile, tiles } for a move, { action, unitId, gold }
+// for a buy, { action, unit, gold } for an upgrade, { action, gold } for a
+// build and { action, unit } for an order
+app.post("/undo", requireGame, async (req, res) => {
+  try {
+    const result = await games.undoAction(req.game);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (isRuleError(error)) {
+      return res.status(statusFor(error.code)).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, error: "Error undoing the last action." });
+  }
 });
 
 // adds player to players table
-app.post("/add_player", async (req, res) => {
+app.post("/add_player", requireGame, async (req, res) => {
   const { player } = req.body;
-  await pool.query("INSERT INTO players (name) VALUES ($1)", [player]);
+  await pool.query("INSERT INTO players (game_id, name) VALUES ($1, $2)", [req.game.id, player]);
   res.send();
 });
 
-// clear given table
-app.get("/clear_table", async (req, res) => {
+// clears one of the catalog tables, the game's own tables only change
+// through its actions and save slots
+// Ex: POST "/clear_table?game_id=1&name=units_data"
+app.post("/clear_table", requireGame, async (req, res) => {
+  const name = req.query.name;
+  if (!tableSchema.isWritable(name)) {
+    return res.status(400).send(`Can't clear ${name}.`);
+  }
+
   try {
-    const name = req.query.name;
-    await pool.query(`TRUNCATE TABLE ${name} RESTART IDENTITY`);
+    await tableIO.clearTable(name);
     return res.send();
   } catch (error) {
     console.error(error);
@@ -136,10 +476,10 @@ app.get("/clear_table", async (req, res) => {
   }
 });
 
-app.get("/get_gold", async (req, res) => {
+app.get("/get_gold", requireGame, async (req, res) => {
   try {
     const player = req.query.player;
-    const result = await pool.query("SELECT gold FROM players WHERE name = $1", [player]);
+    const result = await pool.query("SELECT gold FROM players WHERE game_id = $1 AND name = $2", [req.game.id, player]);
     return res.json(result.rows[0]);
   } catch (error) {
     console.log(error);
@@ -147,170 +487,212 @@ app.get("/get_gold", async (req, res) => {
   }
 });
 
-app.put("/set_gold", async (req, res) => {
-  try {
-    const { name, gold } = req.body;
-    await pool.query("UPDATE players SET gold = $1 WHERE name = $2", [gold, name]);
-    res.send();
-  } catch (error) {
-    console.log(error);
-    return res.status(500).send("Error setting gold.");
+// writes a table to CSV in the game's save folder
+// body: { game_id, table }
+app.post("/export_table", requireGame, async (req, res) => {
+  const { table } = req.body;
+  if (!tableSchema.isKnownTable(table)) {
+    return res.status(400).json({ error: `Unknown table ${table}` });
   }
-});
-
-app.post("/export_table", async (req, res) => {
-  const { table, level } = req.body;
 
   try {
-    // Query DB for all rows in the table
-    const result = await pool.query(`SELECT * FROM ${table}`);
-
-    // Create folder if it doesn't exist
-    const dir = path.join(__dirname, "public", "saves", level);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-
-    // CSV file path
-    const filePath = path.join(dir, `${table}.csv`);
-
-    // Convert DB rows to CSV
-    const parser = new Parser();
-    const csv = parser.parse(result.rows);
-
-    fs.writeFileSync(filePath, csv);
-
+    const url = await tableIO.exportTable(req.game, table);
     // Return URL for browser download
-    res.json({ success: true, url: `/saves/${level}/${table}.csv` });
+    res.json({ success: true, url });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Failed to save table" });
   }
 });
 
-app.post("/import_table", async (req, res) => {
-  const { table, level } = req.body;
+// replaces one of the catalog tables' rows with a CSV, the one in the
+// game's save folder unless the CSV text is sent as csv
+// body: { game_id, table, csv, dry_run }
+// every row is checked first, nothing is written if any row is bad
+app.post("/import_table", requireGame, async (req, res) => {
+  const { table, csv, dry_run } = req.body;
+  if (!tableSchema.isWritable(table)) {
+    return res.status(400).json({ error: `Can't import into ${table}` });
+  }
 
   try {
-    const filePath = path.join(__dirname, "public", "saves", level, `${table}.csv`);
+    const report = await tableIO.importTable(req.game, table, { csv, dryRun: !!dry_run });
+    const success = report.errors.length === 0;
+    const message = dry_run
+      ? `${report.rows} rows checked for ${table}`
+      : `Imported ${report.imported} rows into ${table}`;
+    res.status(success ? 200 : 400).json({ success, message: success ? message : undefined, ...report });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Failed to import CSV into DB" });
+  }
+});
 
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: "CSV file not found" });
-    }
+// saves part of a save slot for a level
+// body: { game_id, level, table, data, slot }
+// table is turn_state, tiles, players, units_state, structures_state or
+// snapshot for all of them
+// players, units_state and structures_state are always the database's, data
+// for them is ignored
+// slot is optional and defaults to the autosave
+app.post("/save", requireGame, async (req, res) => {
+  const { level, table, data, slot = Saves.defaultSlot } = req.body;
+  if (table !== "snapshot" && !Saves.snapshotTables.includes(table)) {
+    return res.status(400).json({ success: false, error: `Unknown table ${table}` });
+  }
+  if (!Saves.isValidSlot(slot)) {
+    return res.status(400).json({ success: false, error: "Slot names can only use letters, numbers, spaces, - and _" });
+  }
 
-    const csvContent = fs.readFileSync(filePath, "utf8");
-    const rows = parse(csvContent, { columns: true, skip_empty_lines: true });
+  try {
+    const saved = await saves.save(req.game, level, table, data, slot);
+    await games.touchGame(req.game.id);
+    res.json({ success: true, data: saved });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, error: "Failed to save" });
+  }
+});
 
-    // Clear existing table before importing
-    await pool.query(`TRUNCATE TABLE ${table} RESTART IDENTITY`);
+// loads part of a save slot for a level
+// Ex: "/load?game_id=1&level=level1&table=tiles&slot=before%20attack"
+app.get("/load", requireGame, (req, res) => {
+  const { level, table, slot = Saves.defaultSlot } = req.query;
+  if (table !== "snapshot" && !Saves.snapshotTables.includes(table)) {
+    return res.status(400).json({ success: false, error: `Unknown table ${table}` });
+  }
+  if (!Saves.isValidSlot(slot)) {
+    return res.status(400).json({ success: false, error: "Invalid slot name" });
+  }
 
-    // Insert rows
-    for (const row of rows) {
-      const columns = Object.keys(row).join(",");
-      const values = Object.values(row)
-        .map(v => `'${v}'`) // simple quoting; sanitize for production!
-        .join(",");
-      await pool.query(`INSERT INTO ${table} (${columns}) VALUES (${values})`);
+  try {
+    const data = saves.load(req.game, level, table, slot);
+    if (data === undefined) {
+      return res.status(404).json({ success: false, error: `No saved ${table}` });
     }
-
-    res.json({ success: true, message: `Imported ${rows.length} rows into ${table}` });
+    res.json({ success: true, data });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to import CSV into DB" });
+    res.status(500).json({ success: false, error: "Failed to load" });
   }
 });
 
-app.post("/save_turn", (req, res) => {
-  const { level, turn, round } = req.body;
-  const dir = path.join(__dirname, "public", "saves", level);
-  const filePath = path.join(dir, "turn.json");
+// loads a save slot over the game, its round, tiles, gold, units and
+// structures replace the game's and the log starts again from them so
+// replays pick up from the loaded board
+// body: { game_id, level, slot }
+app.post("/load_slot", requireGame, async (req, res) => {
+  const { level, slot = Saves.defaultSlot } = req.body;
+  if (!Saves.isValidSlot(slot)) {
+    return res.status(400).json({ success: false, error: "Invalid slot name" });
+  }
 
   try {
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(filePath, JSON.stringify({ turn, round }));
+    if (!(await saves.restore(req.game, level, slot))) {
+      return res.status(404).json({ success: false, error: `No save named ${slot}` });
+    }
+    await games.logRestore(req.game);
     res.json({ success: true });
   } catch (err) {
+    if (err instanceof saveFormat.SaveFormatError) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
     console.error(err);
-    res.status(500).json({ error: "Failed to save turn state" });
+    res.status(500).json({ success: false, error: "Failed to load save" });
   }
 });
 
-app.get("/load_turn", (req, res) => {
-  const level = req.query.level;
-  const filePath = path.join(__dirname, "public", "saves", level, "turn.json");
-
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: "Turn state file not found" });
-  }
-
+// lists the save slots of a level
+// Ex: "/saves?game_id=1&level=level1"
+app.get("/saves", requireGame, (req, res) => {
   try {
-    const content = fs.readFileSync(filePath, "utf8");
-    const { turn, round } = JSON.parse(content);
-    res.json({ success: true, turn, round });
+    res.json({ success: true, data: saves.listSlots(req.game, req.query.level) });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to load turn state" });
+    res.status(500).json({ success: false, error: "Failed to list saves" });
   }
 });
 
-app.post("/save_tiles", (req, res) => {
-  const { level, tiles } = req.body;
-  const dir = path.join(__dirname, "public", "saves", level);
-  const filePath = path.join(dir, "tiles.json");
+// Ex: DELETE "/saves/before%20attack?game_id=1&level=level1"
+app.delete("/saves/:slot", requireGame, (req, res) => {
+  const slot = req.params.slot;
+  if (!Saves.isValidSlot(slot)) {
+    return res.status(400).json({ success: false, error: "Invalid slot name" });
+  }
 
   try {
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(filePath, JSON.stringify({ tiles }));
+    if (!saves.deleteSlot(req.game, req.query.level, slot)) {
+      return res.status(404).json({ success: false, error: `No save named ${slot}` });
+    }
     res.json({ success: true });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to save tiles" });
+    res.status(500).json({ success: false, error: "Failed to delete save" });
   }
 });
 
-app.get("/load_tiles", (req, res) => {
-  const level = req.query.level;
-  const filePath = path.join(__dirname, "public", "saves", level, "tiles.json");
-
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: "Tiles file not found" });
+// downloads a save slot as a single versioned save file
+// Ex: "/export_save?game_id=1&level=level1&slot=autosave"
+app.get("/export_save", requireGame, (req, res) => {
+  const { level, slot = Saves.defaultSlot } = req.query;
+  if (!Saves.isValidSlot(slot)) {
+    return res.status(400).json({ success: false, error: "Invalid slot name" });
   }
 
   try {
-    const content = fs.readFileSync(filePath, "utf8");
-    const { tiles } = JSON.parse(content);
-    res.json({ success: true, tiles });
+    const bundle = saves.exportSlot(req.game, level, slot);
+    if (!bundle) {
+      return res.status(404).json({ success: false, error: `No save named ${slot}` });
+    }
+    res.attachment(`${bundle.level.name}-${slot}.civ0.json`);
+    res.json(bundle);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Failed to load tiles" });
+    res.status(500).json({ success: false, error: "Failed to export save" });
   }
 });
 
-app.get("/update_unit_pos", async (req, res) => {
-  const id = req.query.id;
-  const r_pos = req.query.r_pos;
-  const q_pos = req.query.q_pos;
-  await selectEntity.updateUnitPos(id, r_pos, q_pos);
-  return res.send();
-})
+// uploads a save file, older versions are migrated, and starts a new game from it
+// body: { bundle }
+app.post("/import_save", async (req, res) => {
+  try {
+    const { game, slot } = await saves.importBundle(req.body.bundle);
+    res.json({ success: true, game: games.publicGame(game), slot });
+  } catch (err) {
+    if (err instanceof saveFormat.SaveFormatError) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error(err);
+    res.status(500).json({ success: false, error: "Failed to import save" });
+  }
+});
 
-app.get("/get_moves_left", async (req, res) => {
+// moves a unit after checking the move against the level's board
+// Ex: "/update_unit_pos?game_id=1&id=2&q_pos=3&r_pos=4"
+app.get("/update_unit_pos", requireGame, async (req, res) => {
   try {
-    const id = req.query.id;
-    const result = await pool.query("SELECT moves_left FROM units_state WHERE id = $1", [id]);
-    return res.json(result.rows[0]);
+    const id = parseInt(req.query.id);
+    const q_pos = parseInt(req.query.q_pos);
+    const r_pos = parseInt(req.query.r_pos);
+    const unit = await movement.moveUnit(id, req.game, q_pos, r_pos);
+    return res.json({ success: true, ...unit });
   } catch (error) {
-    console.log(error);
-    return res.status(500).send("Error getting moves left.");
+    if (error instanceof Movement.MoveError) {
+      return res.status(error.status).json({ success: false, code: error.code, error: error.message });
+    }
+    console.error(error);
+    return res.status(500).json({ success: false, code: "SERVER_ERROR", error: "Error moving unit." });
   }
-});
+})
 
-app.put("/set_moves_left", async (req, res) => {
+app.get("/get_moves_left", requireGame, async (req, res) => {
   try {
-    const { id, moves_left } = req.body;
-    await pool.query("UPDATE units_state SET moves_left = $1 WHERE id = $2", [moves_left, id]);
-    res.send();
+    const id = parseInt(req.query.id);
+    const unit = (await games.visibleUnits(req.game)).find((u) => u.id === id);
+    return res.json(unit && { moves_left: unit.moves_left });
   } catch (error) {
     console.log(error);
-    return res.status(500).send("Error setting moves left.");
+    return res.status(500).send("Error getting moves left.");
   }
 });
 
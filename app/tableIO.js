@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const { Parser } = require("json2csv");
+const { parse } = require("csv-parse/sync");
+const tableSchema = require("./tableSchema");
+
+// class of functions for CSV round-trips of the tables in tableSchema.js
+// only known tables/columns are touched and every value is a query parameter
+class TableIO {
+  constructor(pool, games) {
+    this.pool = pool;
+    this.games = games;
+  }
+
+  csvPath(game, table) {
+    return path.join(this.games.saveDir(game.id, game.level), `${table}.csv`);
+  }
+
+  // Writes the table (the game's rows for per-game tables) to the game's save folder
+  // Returns the file's url
+  async exportTable(game, table) {
+    const columns = tableSchema.columns(table);
+    const select = `SELECT ${columns.join(", ")} FROM ${table}`;
+    // the board tables have no id, keep their rows in board order
+    const order = columns.includes("id") ? "id" : columns.filter((c) => c !== "game_id").join(", ");
+    const result = tableSchema.isPerGame(table)
+      ? await this.pool.query(`${select} WHERE game_id = $1 ORDER BY ${order}`, [game.id])
+      : await this.pool.query(select);
+
+    // fields keeps the header even when there are no rows
+    const parser = new Parser({ fields: columns });
+    const filePath = this.csvPath(game, table);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, parser.parse(result.rows));
+
+    return `/saves/${game.id}/${path.basename(path.dirname(filePath))}/${table}.csv`;
+  }
+
+  // Checks every row of a CSV against the table's columns
+  // Returns { rows: [values], errors: [{ row, column, error }] }
+  // row numbers are CSV line numbers (the header is line 1)
+  validateCsv(table, csv) {
+    let records;
+    try {
+      records = parse(csv, { columns: true, skip_empty_lines: true });
+    } catch (error) {
+      return { rows: [], errors: [{ row: error.lines ?? null, column: null, error: error.message }] };
+    }
+
+    const rows = [];
+    const errors = [];
+    records.forEach((record, i) => {
+      const { values, errors: rowErrors } = tableSchema.validateRow(table, record);
+      rowErrors.forEach((e) => errors.push({ row: i + 2, ...e }));
+      rows.push(values);
+    });
+    return { rows, errors };
+  }
+
+  // Replaces a catalog table's rows with a CSV
+  // csv: the CSV text, read from the game's save folder when left out
+  // dryRun: only validate, don't write anything
+  // Returns a report: { table, rows, errors, imported, dry_run }
+  async importTable(game, table, { csv, dryRun = false } = {}) {
+    if (csv === undefined) {
+      const filePath = this.csvPath(game, table);
+      if (!fs.existsSync(filePath)) {
+        return { table, rows: 0, errors: [{ row: null, column: null, error: "CSV file not found" }], imported: 0, dry_run: dryRun };
+      }
+      csv = fs.readFileSync(filePath, "utf8");
+    }
+
+    const { rows, errors } = this.validateCsv(table, csv);
+    const report = { table, rows: rows.length, errors, imported: 0, dry_run: dryRun };
+    if (errors.length || dryRun) return report;
+
+    // all or nothing, a bad row rolls the clear back too
+    const client = await this.pool.connect();
+    let current = 0;
+    try {
+      await client.query("BEGIN");
+      await client.query(`DELETE FROM ${table}`);
+
+      for (; current < rows.length; current++) {
+        const values = rows[current];
+        const columns = Object.keys(values);
+        const params = columns.map((_c, i) => `$${i + 1}`).join(", ");
+        await client.query(
+          `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${params})`,
+          Object.values(values),
+        );
+      }
+
+      await client.query("COMMIT");
+      report.imported = rows.length;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      report.errors.push({ row: current + 2, column: null, error: error.message });
+    } finally {
+      client.release();
+    }
+    return report;
+  }
+
+  // Removes a catalog table's rows
+  async clearTable(table) {
+    await this.pool.query(`DELETE FROM ${table}`);
+  }
+}
+
+module.exports = TableIO;
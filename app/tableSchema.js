@@ -0,0 +1,182 @@
+// The tables CSV export, import and /clear_table are allowed to touch, with
+// their column types. Keep in step with app/migrations.
+//
+// perGame tables can only be exported, and only the request's game's rows,
+// they change through the game's actions and save slots (see saves.js). Their
+// id/game_id are filled in by the database.
+
+const tables = {
+  units_data: {
+    columns: {
+      name: "varchar(30)",
+      health: "integer",
+      damage: "integer",
+      move_range: "integer",
+      attack_range: "integer",
+      cost: "integer",
+      upgradeable: "varchar(30)",
+      tier: "integer",
+      vision: "integer",
+      role: "varchar(30)",
+    },
+    required: ["name"],
+  },
+  structures_data: {
+    columns: {
+      name: "varchar(30)",
+      health: "integer",
+      cost: "integer",
+    },
+    required: ["name"],
+  },
+  units_state: {
+    perGame: true,
+    columns: {
+      id: "serial",
+      game_id: "integer",
+      unit_type: "varchar(30)",
+      current_health: "integer",
+      owned_by: "varchar(30)",
+      q_pos: "integer",
+      r_pos: "integer",
+      can_move: "boolean",
+      moves_left: "real",
+      xp: "integer",
+      promotions: "varchar(100)",
+      status: "varchar(20)",
+      acted: "boolean",
+    },
+    required: ["unit_type", "q_pos", "r_pos"],
+  },
+  players: {
+    perGame: true,
+    columns: {
+      id: "serial",
+      game_id: "integer",
+      name: "varchar(30)",
+      gold: "integer",
+    },
+    required: ["name"],
+  },
+  structures_state: {
+    perGame: true,
+    columns: {
+      id: "serial",
+      game_id: "integer",
+      structure_type: "varchar(30)",
+      current_health: "integer",
+      map_pos: "integer",
+      owned_by: "varchar(30)",
+      q_pos: "integer",
+      r_pos: "integer",
+      held_since: "integer",
+    },
+    required: ["structure_type", "q_pos", "r_pos"],
+  },
+  tiles_state: {
+    perGame: true,
+    columns: {
+      game_id: "integer",
+      q: "integer",
+      r: "integer",
+      color: "bigint",
+      owner: "varchar(30)",
+    },
+    required: ["q", "r"],
+  },
+  turn_state: {
+    perGame: true,
+    columns: {
+      game_id: "integer",
+      round: "integer",
+      turn: "integer",
+    },
+    required: [],
+  },
+};
+
+// columns a client can write, the database fills in the rest
+function writableColumns(table) {
+  const schema = tables[table];
+  return Object.keys(schema.columns).filter(
+    (c) => schema.columns[c] !== "serial" && !(schema.perGame && c === "game_id"),
+  );
+}
+
+// turns one CSV/JSON value into what the column holds
+// returns { value } or { error }
+function convertValue(type, raw) {
+  if (raw === null || raw === undefined || raw === "") return { value: null };
+
+  if (type === "integer" || type === "bigint" || type === "serial") {
+    const text = String(raw).trim();
+    if (!/^-?\d+$/.test(text)) return { error: `"${raw}" is not a whole number` };
+    return { value: parseInt(text) };
+  }
+
+  if (type === "real") {
+    const text = String(raw).trim();
+    if (text === "" || !Number.isFinite(Number(text))) return { error: `"${raw}" is not a number` };
+    return { value: Number(text) };
+  }
+
+  if (type === "boolean") {
+    const text = String(raw).trim().toLowerCase();
+    if (["true", "t", "1", "yes"].includes(text)) return { value: true };
+    if (["false", "f", "0", "no"].includes(text)) return { value: false };
+    return { error: `"${raw}" is not true or false` };
+  }
+
+  const varchar = /^varchar\((\d+)\)$/.exec(type);
+  if (varchar) {
+    const text = String(raw);
+    if (text.length > parseInt(varchar[1])) {
+      return { error: `"${raw}" is longer than ${varchar[1]} characters` };
+    }
+    return { value: text };
+  }
+
+  return { error: `unknown column type ${type}` };
+}
+
+// Checks a row against the table's columns
+// Returns { values: { column: value }, errors: [{ column, error }] }
+function validateRow(table, row) {
+  const schema = tables[table];
+  const writable = writableColumns(table);
+  const values = {};
+  const errors = [];
+
+  for (const [column, raw] of Object.entries(row)) {
+    if (!(column in schema.columns)) {
+      errors.push({ column, error: `unknown column for ${table}` });
+      continue;
+    }
+    if (!writable.includes(column)) continue; // ids, game_id
+
+    const { value, error } = convertValue(schema.columns[column], raw);
+    if (error) errors.push({ column, error });
+    else values[column] = value;
+  }
+
+  for (const column of schema.required) {
+    if (values[column] === null || values[column] === undefined) {
+      if (!errors.some((e) => e.column === column)) {
+        errors.push({ column, error: "is required" });
+      }
+    }
+  }
+
+  return { values, errors };
+}
+
+module.exports = {
+  tables,
+  isKnownTable: (table) => Object.prototype.hasOwnProperty.call(tables, table),
+  isPerGame: (table) => !!tables[table]?.perGame,
+  // the catalog tables, the only ones a client can import into or clear
+  isWritable: (table) => Object.prototype.hasOwnProperty.call(tables, table) && !tables[table].perGame,
+  columns: (table) => Object.keys(tables[table].columns),
+  writableColumns,
+  validateRow,
+};
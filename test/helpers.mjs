@@ -0,0 +1,44 @@
+// Shared by the tests in test/, builds games straight from a GameState, no
+// database or Phaser
+
+import assert from "node:assert/strict";
+import { GameState, RuleError, UNIT_TYPES, levelRules } from "../app/public/rules/index.js";
+import { victoryConditions } from "../app/public/rules/victory.js";
+
+// a cols by rows board, Player 1 owns the first column and AI 1 the last
+// units: [{ id, type, owner, q, r }], full health and all their moves unless set
+// structures: [{ type, owner, q, r, health }]
+// terrain: { "q,r": name }
+// round: the round the game is in, tiers unlock every ROUNDS_PER_TIER
+export function game({ units = [], structures = [], cols = 7, rows = 3, terrain = {}, rules, victory, seed = 1, gold = 500, round = 1 } = {}) {
+  const tiles = [];
+  for (let q = 0; q < cols; q++) {
+    for (let r = 0; r < rows; r++) {
+      const owner = q === 0 ? "Player 1" : q === cols - 1 ? "AI 1" : null;
+      tiles.push({ q, r, color: 0, owner, terrain: terrain[`${q},${r}`] ?? "plains" });
+    }
+  }
+  const types = new Map(UNIT_TYPES.map((t) => [t.name, t]));
+  return new GameState({
+    tiles,
+    units: units.map((u) => ({
+      health: types.get(u.type).health,
+      movesLeft: types.get(u.type).move_range,
+      ...u,
+    })),
+    structures,
+    players: [
+      { name: "Player 1", gold },
+      { name: "AI 1", gold },
+    ],
+    unitTypes: UNIT_TYPES,
+    victory: victoryConditions({ victory }),
+    rules: levelRules({ rules }),
+    round,
+    seed,
+  });
+}
+
+export function throwsCode(fn, code) {
+  assert.throws(fn, (error) => error instanceof RuleError && error.code === code);
+}
@@ -0,0 +1,37 @@
+// Tests for the hex grid helpers in app/public/rules/hex.js, run with npm test
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { distance, line } from "../app/public/rules/hex.js";
+
+describe("hex line", () => {
+  it("crosses one tile per step, both ends included", () => {
+    const from = { q: 1, r: 1 };
+    const to = { q: 4, r: -1 };
+    const tiles = line(from, to);
+
+    assert.equal(tiles.length, distance(from, to) + 1);
+    assert.deepEqual(tiles[0], from);
+    assert.deepEqual(tiles.at(-1), to);
+    for (let i = 1; i < tiles.length; i++) assert.equal(distance(tiles[i - 1], tiles[i]), 1);
+  });
+
+  it("goes straight along a row", () => {
+    assert.deepEqual(line({ q: 1, r: 1 }, { q: 4, r: 1 }), [
+      { q: 1, r: 1 },
+      { q: 2, r: 1 },
+      { q: 3, r: 1 },
+      { q: 4, r: 1 },
+    ]);
+  });
+
+  it("picks the same tile along an edge whichever way it's drawn", () => {
+    const there = line({ q: 0, r: 0 }, { q: 1, r: 1 });
+    const back = line({ q: 1, r: 1 }, { q: 0, r: 0 });
+    assert.deepEqual(there[1], back[1]);
+  });
+
+  it("is a single tile from a tile to itself", () => {
+    assert.deepEqual(line({ q: 2, r: 2 }, { q: 2, r: 2 }), [{ q: 2, r: 2 }]);
+  });
+});
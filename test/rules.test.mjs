@@ -0,0 +1,576 @@
+// Tests for the rules engine in app/public/rules, run with npm test
+// every game is built straight from a GameState, no database or Phaser
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parsePromotions, formatPromotions } from "../app/public/rules/promotions.js";
+import { game, throwsCode } from "./helpers.mjs";
+
+describe("move", () => {
+  it("spends the terrain's cost and claims the tile it ends on", () => {
+    const state = game({
+      units: [{ id: 1, type: "horseman", owner: "Player 1", q: 0, r: 1 }],
+      terrain: { "1,1": "forest" },
+    });
+    const { unit, path, captured } = state.apply({ type: "move", unitId: 1, q: 2, r: 1 });
+
+    assert.deepEqual([unit.q, unit.r], [2, 1]);
+    assert.equal(path.length, 2);
+    assert.equal(unit.movesLeft, 1); // 2 for the forest, 1 for plains
+    assert.deepEqual(captured, { q: 2, r: 1, owner: "Player 1" });
+    assert.equal(state.tile(2, 1).owner, "Player 1");
+  });
+
+  it("refuses occupied, far off and same tiles", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 0, r: 1 },
+        { id: 2, type: "warrior", owner: "Player 1", q: 1, r: 1 },
+      ],
+    });
+    throwsCode(() => state.apply({ type: "move", unitId: 1, q: 1, r: 1 }), "TILE_OCCUPIED");
+    throwsCode(() => state.apply({ type: "move", unitId: 1, q: 3, r: 1 }), "OUT_OF_RANGE");
+    throwsCode(() => state.apply({ type: "move", unitId: 1, q: 0, r: 1 }), "ALREADY_THERE");
+    assert.equal(state.log.length, 0);
+  });
+
+  it("needs moves left", () => {
+    const state = game({ units: [{ id: 1, type: "warrior", owner: "Player 1", q: 0, r: 1 }] });
+    state.apply({ type: "move", unitId: 1, q: 1, r: 1 });
+    throwsCode(() => state.apply({ type: "move", unitId: 1, q: 2, r: 1 }), "NOT_ENOUGH_MOVES");
+  });
+
+  it("stops next to an enemy with the zone of control rule, seen or not", () => {
+    const units = [
+      { id: 1, type: "horseman", owner: "Player 1", q: 0, r: 1 },
+      { id: 2, type: "warrior", owner: "AI 1", q: 3, r: 2 },
+    ];
+    const state = game({ units });
+    throwsCode(() => state.apply({ type: "move", unitId: 1, q: 4, r: 1 }), "ZONE_OF_CONTROL");
+    assert.equal(state.apply({ type: "move", unitId: 1, q: 3, r: 1 }).unit.movesLeft, 0);
+
+    const hidden = game({ units: [units[0], { ...units[1], q: 5, r: 1 }] });
+    assert.equal(hidden.stepCostFor(hidden.unit(1))(4, 1), Infinity);
+    assert.equal(hidden.stepCostFor(hidden.unit(1), { seenBy: "Player 1" })(4, 1), 1);
+
+    const open = game({ units, rules: { zoneOfControl: false } });
+    assert.equal(open.apply({ type: "move", unitId: 1, q: 4, r: 1 }).unit.movesLeft, 0);
+  });
+});
+
+describe("attack", () => {
+  const units = [
+    { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1 },
+    { id: 2, type: "warrior", owner: "AI 1", q: 2, r: 1 },
+  ];
+
+  it("deals the same damage for the same seed, within the forecast", () => {
+    const forecast = game({ units }).forecast(1, 2);
+    const first = game({ units }).apply({ type: "attack", attackerId: 1, victimId: 2 });
+    const again = game({ units }).apply({ type: "attack", attackerId: 1, victimId: 2 });
+
+    assert.deepEqual(first, again);
+    assert.ok(first.damage >= forecast.damage.min && first.damage <= forecast.damage.max);
+    assert.equal(first.victim.health, 100 - first.damage);
+    assert.equal(first.attacker.movesLeft, 0);
+  });
+
+  it("logs its rolls so it replays the same without the seed", () => {
+    const state = game({ units, seed: 1 });
+    const first = state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+    const logged = state.log.at(-1);
+    const replayed = game({ units, seed: 2 }).apply(logged);
+
+    assert.equal(logged.rolls.length, 2);
+    assert.deepEqual(logged.rolls, first.rolls);
+    assert.deepEqual(replayed, first);
+
+    const structures = [{ type: "village", owner: "AI 1", q: 2, r: 1, health: 100 }];
+    const hit = game({ units: [units[0]], structures, seed: 1 });
+    const damage = hit.apply({ type: "attack_structure", attackerId: 1, q: 2, r: 1 }).damage;
+    const again = game({ units: [units[0]], structures, seed: 2 }).apply(hit.log.at(-1));
+    assert.equal(again.damage, damage);
+  });
+
+  it("refuses own units, targets out of range and spent attackers", () => {
+    const state = game({ units: [...units, { id: 3, type: "warrior", owner: "Player 1", q: 0, r: 1 }] });
+    throwsCode(() => state.apply({ type: "attack", attackerId: 1, victimId: 3 }), "SAME_OWNER");
+    throwsCode(() => state.apply({ type: "attack", attackerId: 3, victimId: 2 }), "OUT_OF_RANGE");
+    state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+    throwsCode(() => state.apply({ type: "attack", attackerId: 1, victimId: 2 }), "NO_MOVES_LEFT");
+  });
+
+  it("moves onto the tile of a unit it kills next to it", () => {
+    const state = game({ units: [units[0], { ...units[1], health: 1 }] });
+    const { victim, attacker, captured } = state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+
+    assert.equal(victim.defeated, true);
+    assert.equal(state.unit(2), undefined);
+    assert.deepEqual([attacker.q, attacker.r], [2, 1]);
+    assert.deepEqual(captured, { q: 2, r: 1, owner: "Player 1" });
+  });
+
+  it("ends the attacker's fortify order, on structures too", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 5, r: 1, status: "fortified" },
+        { id: 2, type: "warrior", owner: "AI 1", q: 4, r: 1 },
+      ],
+      structures: [{ type: "village", owner: "AI 1", q: 6, r: 1, health: 100 }],
+    });
+    state.apply({ type: "attack_structure", attackerId: 1, q: 6, r: 1 });
+    assert.equal(state.unit(1).status, null);
+
+    state.unit(1).movesLeft = 1;
+    state.unit(1).status = "fortified";
+    state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+    assert.equal(state.unit(1).status, null);
+  });
+
+  it("hits harder with units flanking the victim", () => {
+    const flanked = [...units, { id: 3, type: "warrior", owner: "Player 1", q: 2, r: 0 }];
+    const alone = game({ units: flanked, rules: { flanking: 0 } }).forecast(1, 2);
+    const forecast = game({ units: flanked }).forecast(1, 2);
+
+    assert.equal(forecast.flanking, 0.1);
+    assert.ok(forecast.damage.expected > alone.damage.expected);
+  });
+});
+
+describe("upgrade", () => {
+  it("turns the unit into the next type for the difference in cost", () => {
+    const state = game({ units: [{ id: 1, type: "warrior", owner: "Player 1", q: 0, r: 1, health: 50 }], round: 6 });
+    const { unit, gold, cost } = state.apply({ type: "upgrade", unitId: 1 });
+
+    assert.equal(unit.type, "swordsman");
+    assert.equal(cost, 50);
+    assert.equal(gold, 450);
+    assert.equal(unit.health, 75); // keeps half its health
+    assert.equal(unit.movesLeft, 1);
+  });
+
+  it("needs the next tier unlocked, the gold and a next type", () => {
+    const units = [
+      { id: 1, type: "warrior", owner: "Player 1", q: 0, r: 1 },
+      { id: 2, type: "knight", owner: "Player 1", q: 0, r: 0 },
+    ];
+    throwsCode(() => game({ units }).apply({ type: "upgrade", unitId: 1 }), "TIER_LOCKED");
+    throwsCode(() => game({ units, round: 6, gold: 10 }).apply({ type: "upgrade", unitId: 1 }), "NOT_ENOUGH_GOLD");
+    throwsCode(() => game({ units, round: 11 }).apply({ type: "upgrade", unitId: 2 }), "NOT_UPGRADEABLE");
+  });
+
+  it("can be undone for a refund and redone", () => {
+    const state = game({ units: [{ id: 1, type: "warrior", owner: "Player 1", q: 0, r: 1, health: 50 }], round: 6 });
+    const upgraded = state.apply({ type: "upgrade", unitId: 1 });
+    const { unit, gold } = state.undo();
+
+    assert.deepEqual([unit.type, unit.health, gold], ["warrior", 50, 500]);
+    assert.deepEqual(state.apply({ type: "upgrade", unitId: 1 }), upgraded);
+  });
+});
+
+describe("structures", () => {
+  it("are built on the player's own empty tiles for their cost", () => {
+    const state = game({ structures: [{ type: "village", owner: "Player 1", q: 0, r: 2, health: 35 }] });
+    const { structure, gold } = state.apply({ type: "build", player: "Player 1", structureType: "barracks", q: 0, r: 0 });
+
+    assert.deepEqual([structure.type, structure.owner, structure.health, gold], ["barracks", "Player 1", 100, 300]);
+    throwsCode(() => state.apply({ type: "build", player: "Player 1", structureType: "town", q: 1, r: 0 }), "NOT_YOUR_TILE");
+    throwsCode(() => state.apply({ type: "build", player: "Player 1", structureType: "town", q: 0, r: 2 }), "TILE_HAS_STRUCTURE");
+    throwsCode(() => state.apply({ type: "build", player: "Player 1", structureType: "village", q: 0, r: 1 }), "NOT_BUILDABLE");
+
+    state.undo();
+    assert.equal(state.structure(0, 0), undefined);
+    assert.equal(state.player("Player 1").gold, 500);
+  });
+
+  it("only one tower of babel can stand", () => {
+    const state = game({ structures: [{ type: "tower of babel", owner: "AI 1", q: 6, r: 0, health: 300 }] });
+    throwsCode(
+      () => state.apply({ type: "build", player: "Player 1", structureType: "tower of babel", q: 0, r: 0 }),
+      "ALREADY_BUILT",
+    );
+  });
+
+  it("pay income and take barracks' discount off units bought next to them", () => {
+    const state = game({
+      structures: [
+        { type: "village", owner: "Player 1", q: 0, r: 0, health: 35 },
+        { type: "barracks", owner: "Player 1", q: 0, r: 1, health: 100 },
+      ],
+    });
+    const withVillage = state.income("Player 1");
+    state.structures.delete("0,0");
+
+    assert.equal(withVillage - state.income("Player 1"), 10);
+    assert.equal(state.unitCost("Player 1", "warrior", 0, 2), 56);
+    assert.equal(state.unitCost("Player 1", "warrior", 2, 2), 75);
+  });
+
+  it("block enemy units until they're attacked down and captured", () => {
+    const state = game({
+      units: [{ id: 1, type: "knight", owner: "Player 1", q: 4, r: 1 }],
+      structures: [{ type: "village", owner: "AI 1", q: 5, r: 1, health: 35 }],
+    });
+    throwsCode(() => state.apply({ type: "move", unitId: 1, q: 5, r: 1 }), "STRUCTURE_IN_THE_WAY");
+    const { structure, captured, attacker } = state.apply({ type: "attack_structure", attackerId: 1, q: 5, r: 1 });
+
+    assert.deepEqual(captured, { q: 5, r: 1, owner: "Player 1" });
+    assert.deepEqual([structure.owner, structure.health], ["Player 1", 18]); // repaired to half
+    assert.equal(state.tile(5, 1).owner, "Player 1");
+    assert.equal(attacker.movesLeft, 0);
+  });
+
+  it("can't be attacked while a unit stands on them", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "knight", owner: "Player 1", q: 4, r: 1 },
+        { id: 2, type: "warrior", owner: "AI 1", q: 5, r: 1 },
+      ],
+      structures: [{ type: "village", owner: "AI 1", q: 5, r: 1, health: 35 }],
+    });
+    throwsCode(() => state.apply({ type: "attack_structure", attackerId: 1, q: 5, r: 1 }), "STRUCTURE_DEFENDED");
+  });
+});
+
+describe("fog of war", () => {
+  const units = [
+    { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1 },
+    { id: 2, type: "warrior", owner: "AI 1", q: 3, r: 1 },
+    { id: 3, type: "warrior", owner: "AI 1", q: 8, r: 1 },
+  ];
+
+  it("shows the player their own tiles and what their units see", () => {
+    const state = game({ units, cols: 12 });
+    const visible = state.visibleTiles("Player 1");
+
+    assert.equal(visible.has("0,2"), true);
+    assert.equal(visible.has("3,1"), true);
+    assert.equal(visible.has("4,1"), false);
+    assert.equal(visible.has("11,1"), false);
+    // the enemy units the server sends the player
+    assert.deepEqual(
+      state.unitsOf("AI 1").filter((u) => visible.has(`${u.q},${u.r}`)).map((u) => u.id),
+      [2],
+    );
+  });
+
+  it("shows every tile without fog", () => {
+    const state = game({ units, cols: 12, rules: { fog: false } });
+    assert.equal(state.visibleTiles("Player 1").size, 36);
+  });
+});
+
+describe("line of sight", () => {
+  const units = [
+    { id: 1, type: "slinger", owner: "Player 1", q: 1, r: 1 },
+    { id: 2, type: "warrior", owner: "AI 1", q: 4, r: 1 },
+  ];
+
+  it("lets ranged units shoot over open ground", () => {
+    const state = game({ units });
+    assert.equal(state.hasLineOfSight(state.unit(1), state.unit(2)), true);
+    assert.ok(state.apply({ type: "attack", attackerId: 1, victimId: 2 }).damage > 0);
+  });
+
+  it("is blocked by forests, mountains and structures on the way", () => {
+    throwsCode(
+      () => game({ units, terrain: { "2,1": "forest" } }).apply({ type: "attack", attackerId: 1, victimId: 2 }),
+      "NO_LINE_OF_SIGHT",
+    );
+    throwsCode(
+      () => game({ units, terrain: { "3,1": "mountains" } }).apply({ type: "attack", attackerId: 1, victimId: 2 }),
+      "NO_LINE_OF_SIGHT",
+    );
+    const walled = game({ units, structures: [{ type: "town", owner: null, q: 2, r: 1, health: 100 }] });
+    throwsCode(() => walled.apply({ type: "attack", attackerId: 1, victimId: 2 }), "NO_LINE_OF_SIGHT");
+  });
+
+  it("isn't blocked by the ends of the line, hills or a forest the target stands in", () => {
+    const state = game({ units, terrain: { "1,1": "forest", "2,1": "hills", "4,1": "forest" } });
+    assert.equal(state.canTarget(state.unit(1), state.unit(2)), true);
+  });
+
+  it("is blocked by units only with the unitsBlockSight rule", () => {
+    const between = [...units, { id: 3, type: "warrior", owner: "Player 1", q: 3, r: 1 }];
+    const open = game({ units: between });
+    assert.equal(open.hasLineOfSight(open.unit(1), open.unit(2)), true);
+
+    const blocked = game({ units: between, rules: { unitsBlockSight: true } });
+    throwsCode(() => blocked.apply({ type: "attack", attackerId: 1, victimId: 2 }), "NO_LINE_OF_SIGHT");
+  });
+});
+
+describe("retaliation", () => {
+  it("melee victims strike back at melee attackers", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1 },
+        { id: 2, type: "warrior", owner: "AI 1", q: 2, r: 1 },
+      ],
+    });
+    const { retaliation, attacker } = state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+
+    assert.ok(retaliation > 0);
+    assert.equal(attacker.health, 100 - retaliation);
+  });
+
+  it("nobody strikes back at a ranged attacker", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "slinger", owner: "Player 1", q: 1, r: 1 },
+        { id: 2, type: "warrior", owner: "AI 1", q: 2, r: 1 },
+      ],
+    });
+    const { retaliation, attacker } = state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+
+    assert.equal(retaliation, 0);
+    assert.equal(attacker.health, 75);
+  });
+
+  it("an attacker can die to the blow it takes back", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1, health: 1 },
+        { id: 2, type: "knight", owner: "AI 1", q: 2, r: 1 },
+      ],
+    });
+    assert.equal(state.forecast(1, 2).deathChance, 1);
+    const { attacker } = state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+
+    assert.equal(attacker.defeated, true);
+    assert.equal(state.unit(1), undefined);
+  });
+});
+
+describe("veterancy", () => {
+  it("gives both sides experience for a fight and the attacker more for a kill", () => {
+    const fight = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1 },
+        { id: 2, type: "warrior", owner: "AI 1", q: 2, r: 1 },
+      ],
+    }).apply({ type: "attack", attackerId: 1, victimId: 2 });
+    assert.deepEqual([fight.attacker.xp, fight.victim.xp], [2, 2]);
+
+    const kill = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1, xp: 3 },
+        { id: 2, type: "warrior", owner: "AI 1", q: 2, r: 1, health: 1 },
+      ],
+    });
+    assert.equal(kill.apply({ type: "attack", attackerId: 1, victimId: 2 }).attacker.xp, 10);
+    assert.equal(kill.pendingPromotions(kill.unit(1)), 1);
+  });
+
+  it("offers a promotion per threshold passed, each once and only to the roles it's for", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "slinger", owner: "Player 1", q: 0, r: 0, xp: 12 },
+        { id: 2, type: "warrior", owner: "Player 1", q: 0, r: 1, xp: 4 },
+      ],
+    });
+    assert.equal(state.pendingPromotions(state.unit(1)), 2);
+    assert.deepEqual(state.promotionChoices(state.unit(1)), ["drill", "mobility", "bloodlust", "marksman"]);
+    throwsCode(() => state.apply({ type: "promote", unitId: 2, promotion: "drill" }), "NO_PROMOTION");
+
+    const { unit } = state.apply({ type: "promote", unitId: 1, promotion: "marksman" });
+    assert.deepEqual(unit.promotions, ["marksman"]);
+    assert.equal(state.attackRangeOf(unit), 4);
+    assert.ok(!state.promotionChoices(unit).includes("marksman"));
+    throwsCode(() => state.apply({ type: "promote", unitId: 1, promotion: "marksman" }), "PROMOTION_NOT_ALLOWED");
+    throwsCode(() => state.apply({ type: "promote", unitId: 1, promotion: "flight" }), "UNKNOWN_PROMOTION");
+
+    state.apply({ type: "promote", unitId: 1, promotion: "drill" });
+    throwsCode(() => state.apply({ type: "promote", unitId: 1, promotion: "mobility" }), "NO_PROMOTION");
+  });
+
+  it("a move promotion counts this turn, drill hits harder and bloodlust heals on a kill", () => {
+    const units = [
+      { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1, xp: 12, health: 40 },
+      { id: 2, type: "warrior", owner: "AI 1", q: 2, r: 1 },
+    ];
+    const state = game({ units });
+    const plain = game({ units }).forecast(1, 2);
+
+    assert.equal(state.apply({ type: "promote", unitId: 1, promotion: "mobility" }).unit.movesLeft, 2);
+    state.apply({ type: "promote", unitId: 1, promotion: "drill" });
+    assert.ok(state.forecast(1, 2).damage.expected > plain.damage.expected);
+
+    state.unit(2).health = 1;
+    const { attacker } = state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+    assert.equal(attacker.health, 40);
+    const hungry = game({ units: [{ ...units[0], promotions: ["bloodlust"] }, { ...units[1], health: 1 }] });
+    assert.equal(hungry.apply({ type: "attack", attackerId: 1, victimId: 2 }).attacker.health, 65);
+  });
+
+  it("stores the promotions comma separated, dropping unknown ones", () => {
+    assert.equal(formatPromotions(["drill", "marksman"]), "drill,marksman");
+    assert.deepEqual(parsePromotions("drill, marksman,flight"), ["drill", "marksman"]);
+    assert.deepEqual(parsePromotions(null), []);
+  });
+});
+
+describe("healing", () => {
+  it("heals units that didn't move or attack, promoted or not", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 0, r: 0, health: 50, xp: 5 },
+        { id: 2, type: "warrior", owner: "Player 1", q: 0, r: 1, health: 50 },
+      ],
+    });
+    state.apply({ type: "promote", unitId: 1, promotion: "mobility" });
+    state.apply({ type: "move", unitId: 2, q: 1, r: 1 });
+    state.apply({ type: "end_turn" });
+    state.apply({ type: "end_turn" });
+
+    assert.equal(state.unit(1).health, 65);
+    assert.equal(state.unit(2).health, 50);
+    assert.equal(state.unit(2).acted, false);
+  });
+});
+
+describe("turns", () => {
+  it("only lets the current player act", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1 },
+        { id: 2, type: "warrior", owner: "AI 1", q: 2, r: 1 },
+      ],
+      structures: [{ type: "barracks", owner: "Player 1", q: 0, r: 0, health: 50 }],
+    });
+    throwsCode(() => state.apply({ type: "move", unitId: 2, q: 3, r: 1 }), "NOT_YOUR_TURN");
+    throwsCode(() => state.apply({ type: "attack", attackerId: 2, victimId: 1 }), "NOT_YOUR_TURN");
+    throwsCode(() => state.apply({ type: "fortify", unitId: 2 }), "NOT_YOUR_TURN");
+    throwsCode(() => state.apply({ type: "upgrade", unitId: 2 }), "NOT_YOUR_TURN");
+    throwsCode(() => state.apply({ type: "promote", unitId: 2, promotion: "drill" }), "NOT_YOUR_TURN");
+    throwsCode(() => state.apply({ type: "buy", player: "AI 1", unitType: "warrior", q: 6, r: 0 }), "NOT_YOUR_TURN");
+    throwsCode(() => state.apply({ type: "build", player: "AI 1", structureType: "barracks", q: 6, r: 0 }), "NOT_YOUR_TURN");
+    throwsCode(() => state.apply({ type: "attack_structure", attackerId: 2, q: 0, r: 0 }), "NOT_YOUR_TURN");
+    assert.equal(state.log.length, 0);
+
+    state.apply({ type: "end_turn" });
+    throwsCode(() => state.apply({ type: "move", unitId: 1, q: 1, r: 0 }), "NOT_YOUR_TURN");
+    assert.equal(state.apply({ type: "move", unitId: 2, q: 3, r: 1 }).unit.q, 3);
+  });
+});
+
+describe("undo", () => {
+  it("puts a move back where it started", () => {
+    const state = game({ units: [{ id: 1, type: "warrior", owner: "Player 1", q: 0, r: 1, status: "fortified" }] });
+    state.apply({ type: "move", unitId: 1, q: 1, r: 1 });
+    const { unit } = state.undo();
+
+    assert.deepEqual([unit.q, unit.r, unit.movesLeft, unit.status], [0, 1, 1, "fortified"]);
+    assert.equal(state.tile(1, 1).owner, null);
+    assert.equal(state.log.length, 0);
+  });
+
+  it("refunds a purchase", () => {
+    const state = game();
+    state.apply({ type: "buy", player: "Player 1", unitType: "warrior", q: 0, r: 0 });
+    assert.equal(state.player("Player 1").gold, 425);
+    state.undo();
+
+    assert.equal(state.player("Player 1").gold, 500);
+    assert.equal(state.unitsOf("Player 1").length, 0);
+  });
+
+  it("takes back a purchase and the move after it newest first, and redoes them", () => {
+    const state = game({ units: [{ id: 1, type: "warrior", owner: "Player 1", q: 0, r: 0 }] });
+    const bought = state.apply({ type: "buy", player: "Player 1", unitType: "scout", q: 0, r: 2 });
+    const moved = state.apply({ type: "move", unitId: 1, q: 1, r: 0 });
+
+    assert.equal(state.undo().action.type, "move");
+    const { action, unitId, gold } = state.undo();
+    assert.deepEqual([action.type, unitId, gold], ["buy", bought.unit.id, 500]);
+    assert.equal(state.unit(bought.unit.id), undefined);
+    assert.equal(state.tile(1, 0).owner, null);
+    throwsCode(() => state.undo(), "NOTHING_TO_UNDO");
+
+    // redo plays the undone actions again, in the order they were made
+    assert.deepEqual(state.apply({ type: "buy", player: "Player 1", unitType: "scout", q: 0, r: 2 }), bought);
+    assert.deepEqual(state.apply({ type: "move", unitId: 1, q: 1, r: 0 }), moved);
+    assert.equal(state.log.length, 2);
+  });
+
+  it("can't take back attacks or another player's actions", () => {
+    const state = game({
+      units: [
+        { id: 1, type: "warrior", owner: "Player 1", q: 1, r: 1 },
+        { id: 2, type: "warrior", owner: "AI 1", q: 2, r: 1 },
+      ],
+    });
+    state.apply({ type: "attack", attackerId: 1, victimId: 2 });
+    throwsCode(() => state.undo(), "NOTHING_TO_UNDO");
+
+    state.apply({ type: "end_turn" });
+    throwsCode(() => state.undo(), "NOTHING_TO_UNDO");
+  });
+});
+
+describe("victory", () => {
+  it("domination is won once the other side holds no tiles", () => {
+    const state = game();
+    assert.equal(state.outcome(), null);
+    for (const tile of state.ownedTiles("AI 1")) tile.owner = "Player 1";
+    assert.equal(state.outcome(), "win");
+  });
+
+  it("domination is lost once the human holds no tiles", () => {
+    const state = game();
+    for (const tile of state.ownedTiles("Player 1")) tile.owner = null;
+    assert.equal(state.outcome(), "lose");
+  });
+
+  it("elimination needs no units and no gold for one", () => {
+    const state = game({ victory: ["elimination"], units: [{ id: 1, type: "warrior", owner: "Player 1", q: 0, r: 1 }] });
+    assert.equal(state.outcome(), null);
+    state.player("AI 1").gold = 0;
+    assert.equal(state.outcome(), "win");
+  });
+
+  it("territory is won by whichever side holds the share of the map", () => {
+    const state = game({ victory: [{ type: "territory", percent: 60 }] });
+    const claim = (owner, count) => {
+      for (const tile of Array.from(state.tiles.values()).filter((t) => !t.owner).slice(0, count)) tile.owner = owner;
+    };
+    claim("Player 1", 9); // 12 of 21 tiles
+    assert.equal(state.outcome(), null);
+    claim("Player 1", 1);
+    assert.deepEqual(state.victoryState(), {
+      outcome: "win",
+      player: "Player 1",
+      condition: { type: "territory", percent: 60 },
+    });
+
+    for (const tile of state.ownedTiles("Player 1").slice(0, 10)) tile.owner = "AI 1";
+    assert.equal(state.outcome(), "lose");
+  });
+
+  it("the wonder is won by holding the tower of babel for its rounds, a capture starts them again", () => {
+    const state = game({
+      victory: [{ type: "wonder", rounds: 5 }],
+      units: [{ id: 1, type: "knight", owner: "Player 1", q: 5, r: 1 }],
+      structures: [{ type: "tower of babel", owner: "AI 1", q: 6, r: 1, health: 1, heldSince: 1 }],
+      round: 5,
+    });
+    assert.equal(state.outcome(), null);
+
+    state.apply({ type: "attack_structure", attackerId: 1, q: 6, r: 1 });
+    assert.equal(state.structure(6, 1).heldSince, 5);
+    state.round = 9;
+    assert.equal(state.outcome(), null);
+    state.round = 10;
+    assert.equal(state.victoryState().player, "Player 1");
+    assert.equal(state.outcome(), "win");
+  });
+
+  it("the score victory ends in a draw on a tie", () => {
+    const state = game({ victory: [{ type: "score", rounds: 1 }] });
+    state.apply({ type: "end_turn" });
+    assert.equal(state.outcome(), null);
+    state.apply({ type: "end_turn" });
+    assert.equal(state.outcome(), "draw");
+  });
+});
@@ -0,0 +1,75 @@
+// Tests for the save bundle format in app/saveFormat.js, run with npm test
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import saveFormat from "../app/saveFormat.js";
+
+const level = {
+  rows: 2,
+  cols: 2,
+  tiles: [],
+  structures: [{ q: 1, r: 0, type: "village" }],
+};
+
+describe("save format", () => {
+  it("brings a version 1 save up to the current version", () => {
+    const bundle = saveFormat.migrate({
+      slot: "old",
+      saved_at: "2024-01-01T00:00:00.000Z",
+      turn_state: { turn: 1, round: 4 },
+      tiles: [{ q: 0, r: 0, color: 1, owner: "Player 1" }],
+      players: [{ name: "Player 1", gold: 120 }],
+      units_state: [{ unit_type: "warrior", q_pos: 0, r_pos: 0 }],
+    });
+
+    assert.equal(bundle.format, saveFormat.FORMAT);
+    assert.equal(bundle.version, saveFormat.CURRENT_VERSION);
+    assert.deepEqual([bundle.slot, bundle.round, bundle.turn], ["old", 4, 1]);
+    assert.equal(bundle.units[0].unit_type, "warrior");
+    // no level to take the structures from, loading it keeps the game's
+    assert.equal(bundle.structures, null);
+    assert.equal(saveFormat.getTable(bundle, "structures_state"), undefined);
+  });
+
+  it("gives a version 2 save its level's structures, owned by whoever held the tile", () => {
+    const bundle = saveFormat.migrate({
+      format: saveFormat.FORMAT,
+      version: 2,
+      level: { name: "custom", data: level },
+      round: 3,
+      turn: 0,
+      tiles: [{ q: 1, r: 0, color: 2, owner: "AI 1" }],
+      units: [],
+      players: [],
+      ai: [],
+    });
+
+    assert.deepEqual(bundle.structures, [
+      { structure_type: "village", current_health: null, owned_by: "AI 1", q_pos: 1, r_pos: 0, held_since: 1 },
+    ]);
+  });
+
+  it("leaves a current save as it is", () => {
+    const bundle = saveFormat.newBundle("level1", level);
+    assert.equal(saveFormat.migrate(bundle), bundle);
+  });
+
+  it("refuses files that aren't saves or are from a newer game", () => {
+    const refuses = (file) => assert.throws(() => saveFormat.migrate(file), saveFormat.SaveFormatError);
+    refuses(null);
+    refuses({ format: "something else", version: 1 });
+    refuses({ format: saveFormat.FORMAT, version: saveFormat.CURRENT_VERSION + 1 });
+    refuses({ format: saveFormat.FORMAT, version: saveFormat.CURRENT_VERSION, tiles: [] });
+  });
+
+  it("maps the tables the client and server talk in onto the bundle", () => {
+    const bundle = saveFormat.newBundle("level1", level);
+    saveFormat.setTable(bundle, "turn_state", { turn: 1, round: 7 });
+    saveFormat.setTable(bundle, "units_state", [{ unit_type: "scout" }]);
+
+    assert.deepEqual([bundle.round, bundle.turn], [7, 1]);
+    assert.deepEqual(saveFormat.getTable(bundle, "turn_state"), { turn: 1, round: 7 });
+    assert.deepEqual(saveFormat.getTable(bundle, "units_state"), [{ unit_type: "scout" }]);
+    assert.deepEqual(saveFormat.getTable(bundle, "structures_state"), []);
+  });
+});
@@ -0,0 +1,72 @@
+// Tests for the CSV table schema in app/tableSchema.js, run with npm test
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import tableSchema from "../app/tableSchema.js";
+
+describe("table schema", () => {
+  it("converts CSV text into the column's type", () => {
+    const { values, errors } = tableSchema.validateRow("units_data", {
+      name: "warrior",
+      health: " 100 ",
+      damage: "25",
+      upgradeable: "",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(values, { name: "warrior", health: 100, damage: 25, upgradeable: null });
+  });
+
+  it("reports every bad value, unknown column and missing required one", () => {
+    const { errors } = tableSchema.validateRow("units_data", {
+      name: "",
+      health: "1.5",
+      cost: "lots",
+      speed: "3",
+    });
+
+    assert.deepEqual(
+      errors.map((e) => e.column),
+      ["health", "cost", "speed", "name"],
+    );
+    assert.match(errors.find((e) => e.column === "cost").error, /not a whole number/);
+    assert.match(errors.find((e) => e.column === "name").error, /required/);
+  });
+
+  it("leaves ids and game_id to the database", () => {
+    const { values, errors } = tableSchema.validateRow("units_state", {
+      id: "12",
+      game_id: "3",
+      unit_type: "scout",
+      q_pos: "1",
+      r_pos: "2",
+      moves_left: "1.5",
+      acted: "yes",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(values, { unit_type: "scout", q_pos: 1, r_pos: 2, moves_left: 1.5, acted: true });
+  });
+
+  it("checks booleans and varchar lengths", () => {
+    const { errors } = tableSchema.validateRow("units_state", {
+      unit_type: "a name far longer than thirty characters",
+      q_pos: "0",
+      r_pos: "0",
+      can_move: "maybe",
+    });
+
+    assert.deepEqual(
+      errors.map((e) => e.column),
+      ["unit_type", "can_move"],
+    );
+  });
+
+  it("only lets clients write the catalog tables", () => {
+    assert.equal(tableSchema.isWritable("units_data"), true);
+    assert.equal(tableSchema.isWritable("structures_data"), true);
+    assert.equal(tableSchema.isWritable("units_state"), false);
+    assert.equal(tableSchema.isWritable("players"), false);
+    assert.equal(tableSchema.isWritable("pg_user"), false);
+  });
+});